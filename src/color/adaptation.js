@@ -0,0 +1,154 @@
+/**
+ * Illuminants and chromatic adaptation
+ *
+ * Colors in the app are specified as sRGB, i.e. as seen under D65 daylight.
+ * To preview how they shift under another light source, their XYZ values are
+ * carried from the D65 white to the target illuminant's white with the
+ * Bradford transform. The result is expressed as a single 3x3 matrix on
+ * linear sRGB so it can be applied on the GPU.
+ *
+ * This only previews the illuminant's white-point tint: every color gets the
+ * same shift, so colors that match under D65 still match. Metamerism needs
+ * reflectance spectra (see spectral.js).
+ */
+
+import { D65_WHITE, srgbToLinear, linearToSrgb } from './color-space';
+
+// Illuminant white points (CIE 1931 2° observer, Y normalized to 1)
+export const ILLUMINANTS = [
+    { id: 'D65', label: 'D65 Daylight', white: D65_WHITE },
+    { id: 'D50', label: 'D50 Horizon Daylight', white: { x: 0.96422, y: 1.0, z: 0.82521 } },
+    { id: 'A', label: 'A Incandescent', white: { x: 1.09850, y: 1.0, z: 0.35585 } },
+    { id: 'F2', label: 'F2 Cool White Fluorescent', white: { x: 0.99187, y: 1.0, z: 0.67395 } },
+    { id: 'F11', label: 'F11 TL84 Store Light', white: { x: 1.00962, y: 1.0, z: 0.64350 } },
+    // CIE LED-B3: phosphor-converted blue LED, x 0.4474, y 0.4066 (CCT 2733 K)
+    { id: 'LED', label: 'LED-B3 Warm White Phosphor (2733 K)', white: { x: 1.10034, y: 1.0, z: 0.35908 } }
+];
+
+// Bradford cone response matrix and its inverse (row-major)
+const BRADFORD = [
+    0.8951, 0.2664, -0.1614,
+    -0.7502, 1.7135, 0.0367,
+    0.0389, -0.0685, 1.0296
+];
+
+const BRADFORD_INVERSE = [
+    0.9869929, -0.1470543, 0.1599627,
+    0.4323053, 0.5183603, 0.0492912,
+    -0.0085287, 0.0400428, 0.9684867
+];
+
+// Linear sRGB <-> XYZ (D65) matrices (row-major)
+const RGB_TO_XYZ = [
+    0.4124564, 0.3575761, 0.1804375,
+    0.2126729, 0.7151522, 0.0721750,
+    0.0193339, 0.1191920, 0.9503041
+];
+
+const XYZ_TO_RGB = [
+    3.2404542, -1.5371385, -0.4985314,
+    -0.9692660, 1.8760108, 0.0415560,
+    0.0556434, -0.2040259, 1.0572252
+];
+
+/**
+ * Multiply two row-major 3x3 matrices
+ * @param {number[]} a - Left matrix
+ * @param {number[]} b - Right matrix
+ * @returns {number[]} a × b
+ */
+function multiply3x3(a, b) {
+    const result = [];
+    for (let row = 0; row < 3; row++) {
+        for (let col = 0; col < 3; col++) {
+            result.push(
+                a[row * 3] * b[col] +
+                a[row * 3 + 1] * b[3 + col] +
+                a[row * 3 + 2] * b[6 + col]
+            );
+        }
+    }
+    return result;
+}
+
+/**
+ * Multiply a row-major 3x3 matrix by a vector
+ * @param {number[]} m - The matrix
+ * @param {number[]} v - The vector
+ * @returns {number[]} m × v
+ */
+function transform3(m, v) {
+    return [
+        m[0] * v[0] + m[1] * v[1] + m[2] * v[2],
+        m[3] * v[0] + m[4] * v[1] + m[5] * v[2],
+        m[6] * v[0] + m[7] * v[1] + m[8] * v[2]
+    ];
+}
+
+/**
+ * Look up an illuminant by id
+ * @param {string} id - One of the ILLUMINANTS ids
+ * @returns {Object|undefined} The illuminant
+ */
+export function getIlluminant(id) {
+    return ILLUMINANTS.find(illuminant => illuminant.id === id);
+}
+
+/**
+ * Bradford chromatic adaptation matrix between two white points (XYZ to XYZ)
+ * @param {{x: number, y: number, z: number}} sourceWhite - The white the colors are relative to
+ * @param {{x: number, y: number, z: number}} targetWhite - The white to adapt to
+ * @returns {number[]} Row-major 3x3 matrix
+ */
+export function bradfordMatrix(sourceWhite, targetWhite) {
+    const source = transform3(BRADFORD, [sourceWhite.x, sourceWhite.y, sourceWhite.z]);
+    const target = transform3(BRADFORD, [targetWhite.x, targetWhite.y, targetWhite.z]);
+
+    const scale = [
+        target[0] / source[0], 0, 0,
+        0, target[1] / source[1], 0,
+        0, 0, target[2] / source[2]
+    ];
+
+    return multiply3x3(BRADFORD_INVERSE, multiply3x3(scale, BRADFORD));
+}
+
+/**
+ * Matrix on linear sRGB that shows D65 colors as they shift under an illuminant
+ * The matrix is normalized so that white maps to the brightest displayable
+ * color of the illuminant's tint
+ * @param {string} illuminantId - One of the ILLUMINANTS ids
+ * @returns {number[]} Row-major 3x3 matrix (identity for D65 or unknown ids)
+ */
+export function getIlluminantMatrix(illuminantId) {
+    const illuminant = getIlluminant(illuminantId);
+    if (!illuminant || illuminant.id === 'D65') {
+        return [1, 0, 0, 0, 1, 0, 0, 0, 1];
+    }
+
+    const adaptation = bradfordMatrix(D65_WHITE, illuminant.white);
+    const matrix = multiply3x3(XYZ_TO_RGB, multiply3x3(adaptation, RGB_TO_XYZ));
+
+    // Scale down so the illuminant's white still fits on screen
+    const white = transform3(matrix, [1, 1, 1]);
+    const exposure = 1 / Math.max(white[0], white[1], white[2]);
+
+    return matrix.map(value => value * exposure);
+}
+
+/**
+ * Shift an sRGB color as it would appear under an illuminant
+ * @param {{r: number, g: number, b: number}} rgb - RGB on a 0-255 scale (as seen under D65)
+ * @param {string} illuminantId - One of the ILLUMINANTS ids
+ * @returns {{r: number, g: number, b: number}} Unclamped RGB on a 0-255 scale
+ */
+export function adaptRgb({ r, g, b }, illuminantId) {
+    const linear = [srgbToLinear(r / 255), srgbToLinear(g / 255), srgbToLinear(b / 255)];
+    const adapted = transform3(getIlluminantMatrix(illuminantId), linear);
+
+    return {
+        r: linearToSrgb(adapted[0]) * 255,
+        g: linearToSrgb(adapted[1]) * 255,
+        b: linearToSrgb(adapted[2]) * 255
+    };
+}
@@ -0,0 +1,210 @@
+/**
+ * Dominant color extraction from image pixels
+ *
+ * Pixels are clustered in CIELAB so the clusters follow perceived color
+ * differences rather than raw RGB distances. Two methods are offered:
+ * - 'kmeans': k-means with k-means++ seeding (seeded, so results are repeatable)
+ * - 'median-cut': repeatedly splits the box with the widest Lab range at its median
+ * Each cluster reports its mean color and the share of pixels it covers.
+ */
+
+import { rgbToLab, labToRgb, rgbToHex } from './color-space';
+
+export const MIN_CLUSTERS = 2;
+export const MAX_CLUSTERS = 12;
+
+export const CLUSTER_METHODS = [
+    { id: 'kmeans', label: 'K-Means' },
+    { id: 'median-cut', label: 'Median Cut' }
+];
+
+// K-means stops after this many passes or once no pixel changes cluster
+const MAX_ITERATIONS = 20;
+
+// Pixels more transparent than this are ignored (cut-out product shots)
+const MIN_ALPHA = 128;
+
+/**
+ * Small seeded random number generator (mulberry32)
+ * @param {number} seed - The seed
+ * @returns {Function} Returns a number in [0, 1) on each call
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Squared Euclidean distance in Lab (CIE76 squared)
+ * @param {number[]} p - [L, a, b]
+ * @param {number[]} q - [L, a, b]
+ * @returns {number} The squared distance
+ */
+function distanceSquared(p, q) {
+    const dl = p[0] - q[0];
+    const da = p[1] - q[1];
+    const db = p[2] - q[2];
+    return dl * dl + da * da + db * db;
+}
+
+/**
+ * Mean of a set of Lab points
+ * @param {number[][]} points - [L, a, b] points
+ * @returns {number[]} The mean
+ */
+function meanOf(points) {
+    const sum = [0, 0, 0];
+    points.forEach(p => {
+        sum[0] += p[0];
+        sum[1] += p[1];
+        sum[2] += p[2];
+    });
+    return sum.map(value => value / points.length);
+}
+
+/**
+ * K-means clustering with k-means++ seeding
+ * @param {number[][]} points - [L, a, b] points
+ * @param {number} k - Number of clusters
+ * @returns {number[][][]} The points of each cluster
+ */
+function kMeans(points, k) {
+    const random = createRandom(points.length * 31 + k);
+
+    // k-means++: each further center is picked with probability proportional to its squared distance
+    const centers = [points[Math.floor(random() * points.length)]];
+    const nearest = points.map(p => distanceSquared(p, centers[0]));
+    while (centers.length < k) {
+        const total = nearest.reduce((sum, d) => sum + d, 0);
+        if (total === 0) break;
+
+        let target = random() * total;
+        let index = 0;
+        while (index < points.length - 1 && target > nearest[index]) {
+            target -= nearest[index];
+            index++;
+        }
+
+        centers.push(points[index]);
+        points.forEach((p, i) => {
+            nearest[i] = Math.min(nearest[i], distanceSquared(p, points[index]));
+        });
+    }
+
+    const assignment = new Int32Array(points.length).fill(-1);
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+        let changed = false;
+
+        points.forEach((p, i) => {
+            let best = 0;
+            let bestDistance = Infinity;
+            centers.forEach((center, c) => {
+                const d = distanceSquared(p, center);
+                if (d < bestDistance) {
+                    bestDistance = d;
+                    best = c;
+                }
+            });
+            if (assignment[i] !== best) {
+                assignment[i] = best;
+                changed = true;
+            }
+        });
+
+        if (!changed) break;
+
+        // Move each center to the mean of its points (empty clusters keep their center)
+        centers.forEach((center, c) => {
+            const members = points.filter((_, i) => assignment[i] === c);
+            if (members.length > 0) centers[c] = meanOf(members);
+        });
+    }
+
+    return centers.map((_, c) => points.filter((_, i) => assignment[i] === c));
+}
+
+/**
+ * Median cut in Lab
+ * @param {number[][]} points - [L, a, b] points
+ * @param {number} k - Number of boxes
+ * @returns {number[][][]} The points of each box
+ */
+function medianCut(points, k) {
+    const boxes = [points];
+
+    while (boxes.length < k) {
+        // Split the box with the widest range along any axis
+        let widest = null;
+        boxes.forEach((box, index) => {
+            if (box.length < 2) return;
+            for (let axis = 0; axis < 3; axis++) {
+                let min = Infinity;
+                let max = -Infinity;
+                box.forEach(p => {
+                    min = Math.min(min, p[axis]);
+                    max = Math.max(max, p[axis]);
+                });
+                if (!widest || max - min > widest.range) {
+                    widest = { index, axis, range: max - min };
+                }
+            }
+        });
+
+        if (!widest || widest.range === 0) break;
+
+        const box = boxes[widest.index].slice().sort((p, q) => p[widest.axis] - q[widest.axis]);
+        const middle = Math.floor(box.length / 2);
+        boxes.splice(widest.index, 1, box.slice(0, middle), box.slice(middle));
+    }
+
+    return boxes;
+}
+
+/**
+ * Find the dominant colors of an image
+ * @param {Uint8ClampedArray} pixels - RGBA pixel data (e.g. from getImageData)
+ * @param {number} k - Number of colors to find (MIN_CLUSTERS-MAX_CLUSTERS)
+ * @param {string} method - One of the CLUSTER_METHODS ids
+ * @returns {{hex: string, lab: Object, coverage: number}[]} The colors, largest coverage first (coverage 0-1)
+ */
+export function extractDominantColors(pixels, k = 6, method = 'kmeans') {
+    const clusters = Math.max(MIN_CLUSTERS, Math.min(MAX_CLUSTERS, Math.round(k) || MIN_CLUSTERS));
+
+    // Convert each distinct color once; photos repeat colors a lot
+    const labCache = new Map();
+    const points = [];
+    for (let i = 0; i < pixels.length; i += 4) {
+        if (pixels[i + 3] < MIN_ALPHA) continue;
+
+        const key = (pixels[i] << 16) | (pixels[i + 1] << 8) | pixels[i + 2];
+        let lab = labCache.get(key);
+        if (!lab) {
+            const { l, a, b } = rgbToLab({ r: pixels[i], g: pixels[i + 1], b: pixels[i + 2] });
+            lab = [l, a, b];
+            labCache.set(key, lab);
+        }
+        points.push(lab);
+    }
+
+    if (points.length === 0) return [];
+
+    const groups = method === 'median-cut' ? medianCut(points, clusters) : kMeans(points, clusters);
+
+    return groups
+        .filter(group => group.length > 0)
+        .map(group => {
+            const [l, a, b] = meanOf(group);
+            return {
+                hex: rgbToHex(labToRgb({ l, a, b })),
+                lab: { l, a, b },
+                coverage: group.length / points.length
+            };
+        })
+        .sort((p, q) => q.coverage - p.coverage);
+}
@@ -0,0 +1,321 @@
+/**
+ * Color space conversions used throughout the TCS Visualizer
+ *
+ * RGB values are objects of the form { r, g, b } on a 0-255 scale. They are
+ * kept as floats between conversions and only rounded/clamped when turned
+ * back into a hex string, so that out-of-gamut results can be detected.
+ */
+
+// CIE standard illuminant D65 reference white (Y normalized to 1)
+export const D65_WHITE = { x: 0.95047, y: 1.0, z: 1.08883 };
+
+/**
+ * Convert a hex string (#RGB or #RRGGBB, # optional) to RGB
+ * @param {string} hex - The hex color string
+ * @returns {{r: number, g: number, b: number}} RGB on a 0-255 scale
+ */
+export function hexToRgb(hex) {
+    let clean = hex.replace('#', '');
+
+    // Expand shorthand (#RGB) to full form (#RRGGBB)
+    if (clean.length === 3) {
+        clean = clean.split('').map(ch => ch + ch).join('');
+    }
+
+    return {
+        r: parseInt(clean.substr(0, 2), 16),
+        g: parseInt(clean.substr(2, 2), 16),
+        b: parseInt(clean.substr(4, 2), 16)
+    };
+}
+
+/**
+ * Convert RGB to a #rrggbb hex string, clamping each channel into range
+ * @param {{r: number, g: number, b: number}} rgb - RGB on a 0-255 scale
+ * @returns {string} The hex color string
+ */
+export function rgbToHex({ r, g, b }) {
+    const toHex = (value) => {
+        const channel = Math.round(Math.max(0, Math.min(255, value)));
+        return channel.toString(16).padStart(2, '0');
+    };
+    return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+}
+
+/**
+ * Check whether an RGB value lies inside the sRGB gamut
+ * @param {{r: number, g: number, b: number}} rgb - RGB on a 0-255 scale
+ * @param {number} tolerance - Allowed overshoot in 0-255 units
+ * @returns {boolean} True when every channel is within 0-255
+ */
+export function isInGamut({ r, g, b }, tolerance = 0.5) {
+    return [r, g, b].every(v => v >= -tolerance && v <= 255 + tolerance);
+}
+
+/**
+ * Convert an sRGB channel (0-1) to linear light
+ * @param {number} c - Gamma-encoded channel value
+ * @returns {number} Linear channel value
+ */
+export function srgbToLinear(c) {
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Convert a linear light channel (0-1) back to sRGB
+ * @param {number} c - Linear channel value
+ * @returns {number} Gamma-encoded channel value
+ */
+export function linearToSrgb(c) {
+    const sign = c < 0 ? -1 : 1;
+    const abs = Math.abs(c);
+    return sign * (abs <= 0.0031308 ? abs * 12.92 : 1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+}
+
+/**
+ * Convert RGB to HSL
+ * @param {{r: number, g: number, b: number}} rgb - RGB on a 0-255 scale
+ * @returns {{h: number, s: number, l: number}} Hue in degrees, saturation and lightness in percent
+ */
+export function rgbToHsl({ r, g, b }) {
+    const rn = r / 255;
+    const gn = g / 255;
+    const bn = b / 255;
+    const max = Math.max(rn, gn, bn);
+    const min = Math.min(rn, gn, bn);
+    const l = (max + min) / 2;
+    let h = 0;
+    let s = 0;
+
+    if (max !== min) {
+        const d = max - min;
+        s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+
+        if (max === rn) {
+            h = (gn - bn) / d + (gn < bn ? 6 : 0);
+        } else if (max === gn) {
+            h = (bn - rn) / d + 2;
+        } else {
+            h = (rn - gn) / d + 4;
+        }
+        h *= 60;
+    }
+
+    return { h, s: s * 100, l: l * 100 };
+}
+
+/**
+ * Convert HSL to RGB
+ * @param {{h: number, s: number, l: number}} hsl - Hue in degrees, saturation and lightness in percent
+ * @returns {{r: number, g: number, b: number}} RGB on a 0-255 scale
+ */
+export function hslToRgb({ h, s, l }) {
+    const hn = (((h % 360) + 360) % 360) / 360;
+    const sn = s / 100;
+    const ln = l / 100;
+
+    if (sn === 0) {
+        return { r: ln * 255, g: ln * 255, b: ln * 255 };
+    }
+
+    const hueToChannel = (p, q, t) => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+    };
+
+    const q = ln < 0.5 ? ln * (1 + sn) : ln + sn - ln * sn;
+    const p = 2 * ln - q;
+
+    return {
+        r: hueToChannel(p, q, hn + 1 / 3) * 255,
+        g: hueToChannel(p, q, hn) * 255,
+        b: hueToChannel(p, q, hn - 1 / 3) * 255
+    };
+}
+
+/**
+ * Convert RGB to CIE XYZ (D65, Y normalized to 1)
+ * @param {{r: number, g: number, b: number}} rgb - RGB on a 0-255 scale
+ * @returns {{x: number, y: number, z: number}} XYZ tristimulus values
+ */
+export function rgbToXyz({ r, g, b }) {
+    const rl = srgbToLinear(r / 255);
+    const gl = srgbToLinear(g / 255);
+    const bl = srgbToLinear(b / 255);
+
+    return {
+        x: rl * 0.4124564 + gl * 0.3575761 + bl * 0.1804375,
+        y: rl * 0.2126729 + gl * 0.7151522 + bl * 0.0721750,
+        z: rl * 0.0193339 + gl * 0.1191920 + bl * 0.9503041
+    };
+}
+
+/**
+ * Convert CIE XYZ (D65, Y normalized to 1) to RGB
+ * @param {{x: number, y: number, z: number}} xyz - XYZ tristimulus values
+ * @returns {{r: number, g: number, b: number}} Unclamped RGB on a 0-255 scale
+ */
+export function xyzToRgb({ x, y, z }) {
+    const rl = x * 3.2404542 + y * -1.5371385 + z * -0.4985314;
+    const gl = x * -0.9692660 + y * 1.8760108 + z * 0.0415560;
+    const bl = x * 0.0556434 + y * -0.2040259 + z * 1.0572252;
+
+    return {
+        r: linearToSrgb(rl) * 255,
+        g: linearToSrgb(gl) * 255,
+        b: linearToSrgb(bl) * 255
+    };
+}
+
+/**
+ * Convert CIE XYZ to CIELAB
+ * @param {{x: number, y: number, z: number}} xyz - XYZ tristimulus values
+ * @param {{x: number, y: number, z: number}} white - Reference white (defaults to D65)
+ * @returns {{l: number, a: number, b: number}} CIELAB coordinates
+ */
+export function xyzToLab({ x, y, z }, white = D65_WHITE) {
+    const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+    const fx = f(x / white.x);
+    const fy = f(y / white.y);
+    const fz = f(z / white.z);
+
+    return {
+        l: 116 * fy - 16,
+        a: 500 * (fx - fy),
+        b: 200 * (fy - fz)
+    };
+}
+
+/**
+ * Convert CIELAB to CIE XYZ
+ * @param {{l: number, a: number, b: number}} lab - CIELAB coordinates
+ * @param {{x: number, y: number, z: number}} white - Reference white (defaults to D65)
+ * @returns {{x: number, y: number, z: number}} XYZ tristimulus values
+ */
+export function labToXyz({ l, a, b }, white = D65_WHITE) {
+    const fy = (l + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const finv = (t) => (t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27));
+
+    return {
+        x: finv(fx) * white.x,
+        y: (l > 8 ? fy * fy * fy : l / (24389 / 27)) * white.y,
+        z: finv(fz) * white.z
+    };
+}
+
+/**
+ * Convert RGB to CIELAB (D65)
+ * @param {{r: number, g: number, b: number}} rgb - RGB on a 0-255 scale
+ * @returns {{l: number, a: number, b: number}} CIELAB coordinates
+ */
+export function rgbToLab(rgb) {
+    return xyzToLab(rgbToXyz(rgb));
+}
+
+/**
+ * Convert CIELAB (D65) to RGB
+ * @param {{l: number, a: number, b: number}} lab - CIELAB coordinates
+ * @returns {{r: number, g: number, b: number}} Unclamped RGB on a 0-255 scale
+ */
+export function labToRgb(lab) {
+    return xyzToRgb(labToXyz(lab));
+}
+
+/**
+ * Convert rectangular a/b coordinates to polar chroma/hue
+ * Works for both CIELAB (l, a, b) and OKLab (l, a, b) values
+ * @param {{l: number, a: number, b: number}} lab - Lab-style coordinates
+ * @returns {{l: number, c: number, h: number}} Lightness, chroma and hue in degrees
+ */
+export function labToLch({ l, a, b }) {
+    const c = Math.sqrt(a * a + b * b);
+    let h = Math.atan2(b, a) * 180 / Math.PI;
+    if (h < 0) h += 360;
+    return { l, c, h };
+}
+
+/**
+ * Convert polar chroma/hue back to rectangular a/b coordinates
+ * @param {{l: number, c: number, h: number}} lch - Lightness, chroma and hue in degrees
+ * @returns {{l: number, a: number, b: number}} Lab-style coordinates
+ */
+export function lchToLab({ l, c, h }) {
+    const rad = h * Math.PI / 180;
+    return { l, a: c * Math.cos(rad), b: c * Math.sin(rad) };
+}
+
+/**
+ * Convert RGB to OKLab
+ * @param {{r: number, g: number, b: number}} rgb - RGB on a 0-255 scale
+ * @returns {{l: number, a: number, b: number}} OKLab coordinates (L on 0-1)
+ */
+export function rgbToOklab({ r, g, b }) {
+    const rl = srgbToLinear(r / 255);
+    const gl = srgbToLinear(g / 255);
+    const bl = srgbToLinear(b / 255);
+
+    const l = Math.cbrt(0.4122214708 * rl + 0.5363325363 * gl + 0.0514459929 * bl);
+    const m = Math.cbrt(0.2119034982 * rl + 0.6806995451 * gl + 0.1073969566 * bl);
+    const s = Math.cbrt(0.0883024619 * rl + 0.2817188376 * gl + 0.6299787005 * bl);
+
+    return {
+        l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+}
+
+/**
+ * Convert OKLab to RGB
+ * @param {{l: number, a: number, b: number}} oklab - OKLab coordinates (L on 0-1)
+ * @returns {{r: number, g: number, b: number}} Unclamped RGB on a 0-255 scale
+ */
+export function oklabToRgb({ l, a, b }) {
+    const lp = l + 0.3963377774 * a + 0.2158037573 * b;
+    const mp = l - 0.1055613458 * a - 0.0638541728 * b;
+    const sp = l - 0.0894841775 * a - 1.2914855480 * b;
+
+    const lc = lp * lp * lp;
+    const mc = mp * mp * mp;
+    const sc = sp * sp * sp;
+
+    return {
+        r: linearToSrgb(4.0767416621 * lc - 3.3077115913 * mc + 0.2309699292 * sc) * 255,
+        g: linearToSrgb(-1.2684380046 * lc + 2.6097574011 * mc - 0.3413193965 * sc) * 255,
+        b: linearToSrgb(-0.0041960863 * lc - 0.7034186147 * mc + 1.7076147010 * sc) * 255
+    };
+}
+
+/**
+ * Map an LCh color into the sRGB gamut by reducing chroma while keeping
+ * lightness and hue fixed
+ * @param {{l: number, c: number, h: number}} lch - Lightness, chroma and hue
+ * @param {Function} toRgb - Converter from Lab-style coordinates to RGB (labToRgb or oklabToRgb)
+ * @returns {{r: number, g: number, b: number}} In-gamut RGB on a 0-255 scale
+ */
+export function gamutMapLch(lch, toRgb) {
+    const direct = toRgb(lchToLab(lch));
+    if (isInGamut(direct)) {
+        return direct;
+    }
+
+    // Binary search for the largest chroma that still fits in sRGB
+    let low = 0;
+    let high = lch.c;
+    for (let i = 0; i < 24; i++) {
+        const mid = (low + high) / 2;
+        if (isInGamut(toRgb(lchToLab({ ...lch, c: mid })))) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+
+    return toRgb(lchToLab({ ...lch, c: low }));
+}
@@ -0,0 +1,83 @@
+/**
+ * Complementary color algorithms
+ *
+ * RGB inversion and the HSL rotation are their own inverses. The CIELAB and
+ * OKLCH modes are too, except where the rotated color leaves sRGB and loses
+ * chroma to gamut mapping: such complements can't be produced exactly by any
+ * main color, so findColorForComplement reports the nearest one.
+ */
+
+import {
+    hexToRgb,
+    rgbToHex,
+    rgbToHsl,
+    hslToRgb,
+    rgbToLab,
+    labToRgb,
+    rgbToOklab,
+    oklabToRgb,
+    labToLch,
+    gamutMapLch
+} from './color-space';
+import { deltaE2000 } from './delta-e';
+
+// Largest CIEDE2000 difference still treated as an exact round trip (absorbs 8-bit rounding)
+const ROUND_TRIP_TOLERANCE = 1;
+
+// Available complement algorithms, in the order they appear in the UI
+export const COMPLEMENT_MODES = [
+    { id: 'rgb', label: 'RGB Inverse' },
+    { id: 'hsl', label: 'HSL Hue +180°' },
+    { id: 'lab', label: 'CIELAB Opposite' },
+    { id: 'oklch', label: 'OKLCH Hue +180°' }
+];
+
+export const DEFAULT_COMPLEMENT_MODE = 'rgb';
+
+/**
+ * Calculate the complementary color of a hex color
+ * @param {string} hexColor - The base color as a hex string
+ * @param {string} mode - One of the COMPLEMENT_MODES ids
+ * @returns {string} The complementary color as a #rrggbb hex string
+ */
+export function calculateComplementaryColor(hexColor, mode = DEFAULT_COMPLEMENT_MODE) {
+    const rgb = hexToRgb(hexColor);
+
+    switch (mode) {
+        case 'hsl': {
+            // Rotate the hue half way round the HSL wheel
+            const hsl = rgbToHsl(rgb);
+            return rgbToHex(hslToRgb({ ...hsl, h: (hsl.h + 180) % 360 }));
+        }
+        case 'lab': {
+            // Negate a* and b* while keeping L*, reducing chroma if the result leaves sRGB
+            const lch = labToLch(rgbToLab(rgb));
+            return rgbToHex(gamutMapLch({ ...lch, h: (lch.h + 180) % 360 }, labToRgb));
+        }
+        case 'oklch': {
+            // Rotate the hue in OKLCH so the partner keeps the same perceived lightness
+            const lch = labToLch(rgbToOklab(rgb));
+            return rgbToHex(gamutMapLch({ ...lch, h: (lch.h + 180) % 360 }, oklabToRgb));
+        }
+        case 'rgb':
+        default:
+            // Invert the colors (255 - value)
+            return rgbToHex({ r: 255 - rgb.r, g: 255 - rgb.g, b: 255 - rgb.b });
+    }
+}
+
+/**
+ * Find the main color whose complement is a given color
+ * @param {string} complementHex - The wanted complementary color as a hex string
+ * @param {string} mode - One of the COMPLEMENT_MODES ids
+ * @returns {{hex: string, complement: string, exact: boolean}} The main color, the complement it
+ *   actually produces, and whether that complement matches the wanted one
+ */
+export function findColorForComplement(complementHex, mode = DEFAULT_COMPLEMENT_MODE) {
+    // Rotating back lands on the right hue and lightness; only clipped chroma can be lost
+    const hex = calculateComplementaryColor(complementHex, mode);
+    const complement = calculateComplementaryColor(hex, mode);
+    const difference = deltaE2000(rgbToLab(hexToRgb(complement)), rgbToLab(hexToRgb(complementHex)));
+
+    return { hex, complement, exact: difference <= ROUND_TRIP_TOLERANCE };
+}
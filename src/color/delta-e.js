@@ -0,0 +1,104 @@
+/**
+ * Color difference (ΔE) formulas
+ *
+ * All functions take CIELAB values of the form { l, a, b }.
+ */
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * CIE76 color difference (Euclidean distance in CIELAB)
+ * @param {{l: number, a: number, b: number}} lab1 - First color
+ * @param {{l: number, a: number, b: number}} lab2 - Second color
+ * @returns {number} ΔE*ab
+ */
+export function deltaE76(lab1, lab2) {
+    const dl = lab1.l - lab2.l;
+    const da = lab1.a - lab2.a;
+    const db = lab1.b - lab2.b;
+    return Math.sqrt(dl * dl + da * da + db * db);
+}
+
+/**
+ * CIEDE2000 color difference
+ * Follows Sharma, Wu & Dalal (2005) with kL = kC = kH = 1
+ * @param {{l: number, a: number, b: number}} lab1 - First color
+ * @param {{l: number, a: number, b: number}} lab2 - Second color
+ * @returns {number} ΔE00
+ */
+export function deltaE2000(lab1, lab2) {
+    const { l: l1, a: a1, b: b1 } = lab1;
+    const { l: l2, a: a2, b: b2 } = lab2;
+
+    // Adjust a* for the neutral-axis compression (G factor)
+    const c1 = Math.sqrt(a1 * a1 + b1 * b1);
+    const c2 = Math.sqrt(a2 * a2 + b2 * b2);
+    const cBar = (c1 + c2) / 2;
+    const cBar7 = Math.pow(cBar, 7);
+    const g = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + Math.pow(25, 7))));
+
+    const a1p = a1 * (1 + g);
+    const a2p = a2 * (1 + g);
+    const c1p = Math.sqrt(a1p * a1p + b1 * b1);
+    const c2p = Math.sqrt(a2p * a2p + b2 * b2);
+
+    const hueAngle = (b, ap) => {
+        if (b === 0 && ap === 0) return 0;
+        const h = toDegrees(Math.atan2(b, ap));
+        return h < 0 ? h + 360 : h;
+    };
+    const h1p = hueAngle(b1, a1p);
+    const h2p = hueAngle(b2, a2p);
+
+    // Differences in lightness, chroma and hue
+    const dLp = l2 - l1;
+    const dCp = c2p - c1p;
+
+    let dhp = 0;
+    if (c1p * c2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(c1p * c2p) * Math.sin(toRadians(dhp / 2));
+
+    // Means
+    const lBarP = (l1 + l2) / 2;
+    const cBarP = (c1p + c2p) / 2;
+
+    let hBarP = h1p + h2p;
+    if (c1p * c2p !== 0) {
+        if (Math.abs(h1p - h2p) <= 180) {
+            hBarP = (h1p + h2p) / 2;
+        } else if (h1p + h2p < 360) {
+            hBarP = (h1p + h2p + 360) / 2;
+        } else {
+            hBarP = (h1p + h2p - 360) / 2;
+        }
+    }
+
+    // Weighting functions
+    const t = 1
+        - 0.17 * Math.cos(toRadians(hBarP - 30))
+        + 0.24 * Math.cos(toRadians(2 * hBarP))
+        + 0.32 * Math.cos(toRadians(3 * hBarP + 6))
+        - 0.20 * Math.cos(toRadians(4 * hBarP - 63));
+
+    const lBarP50 = (lBarP - 50) * (lBarP - 50);
+    const sL = 1 + (0.015 * lBarP50) / Math.sqrt(20 + lBarP50);
+    const sC = 1 + 0.045 * cBarP;
+    const sH = 1 + 0.015 * cBarP * t;
+
+    // Rotation term for the blue region
+    const dTheta = 30 * Math.exp(-Math.pow((hBarP - 275) / 25, 2));
+    const cBarP7 = Math.pow(cBarP, 7);
+    const rC = 2 * Math.sqrt(cBarP7 / (cBarP7 + Math.pow(25, 7)));
+    const rT = -Math.sin(toRadians(2 * dTheta)) * rC;
+
+    const lTerm = dLp / sL;
+    const cTerm = dCp / sC;
+    const hTerm = dHp / sH;
+
+    return Math.sqrt(lTerm * lTerm + cTerm * cTerm + hTerm * hTerm + rT * cTerm * hTerm);
+}
@@ -0,0 +1,242 @@
+/**
+ * Gradient ramp for the TCS cylinder
+ *
+ * A ramp is a list of stops ordered by position (0 = bottom, 1 = top). A stop
+ * is either a shade of the surface's own color - a tint from -1 (black)
+ * through 0 (the color itself) to 1 (white) - or a fixed hex color. Each stop
+ * carries the easing of the segment up to the next stop, and the whole ramp
+ * is interpolated in one color space.
+ *
+ * The default ramp reproduces the classic TCS gradient: black at the bottom,
+ * the color halfway up and white at the top, mixed linearly in linear light.
+ */
+
+import { hexToRgb, rgbToHex, srgbToLinear, linearToSrgb, rgbToOklab, oklabToRgb } from './color-space';
+
+// Upper limit on stops (sizes the shader uniform arrays)
+export const MAX_RAMP_STOPS = 8;
+export const MIN_RAMP_STOPS = 2;
+
+// Segment easing curves, in the order the shader numbers them
+export const RAMP_EASINGS = [
+    { id: 'linear', label: 'Linear' },
+    { id: 'ease-in', label: 'Ease In' },
+    { id: 'ease-out', label: 'Ease Out' },
+    { id: 'ease-in-out', label: 'Ease In-Out' },
+    { id: 'step', label: 'Step' }
+];
+
+// Interpolation spaces, in the order the shader numbers them
+export const RAMP_SPACES = [
+    { id: 'srgb', label: 'sRGB' },
+    { id: 'linear', label: 'Linear RGB' },
+    { id: 'oklab', label: 'OKLab' }
+];
+
+export const DEFAULT_RAMP = {
+    space: 'linear',
+    stops: [
+        { position: 0, tint: -1, color: null, easing: 'linear' },
+        { position: 0.5, tint: 0, color: null, easing: 'linear' },
+        { position: 1, tint: 1, color: null, easing: 'linear' }
+    ]
+};
+
+/**
+ * Copy a ramp so it can be edited without touching the original
+ * @param {Object} ramp - The ramp
+ * @returns {Object} A deep copy
+ */
+export function cloneRamp(ramp) {
+    return {
+        space: ramp.space,
+        stops: ramp.stops.map(stop => ({ ...stop }))
+    };
+}
+
+/**
+ * Clean up a ramp: known space and easings, clamped values, stops sorted by position
+ * @param {Object} ramp - The ramp to check
+ * @returns {Object} A valid copy of the ramp (the default ramp if it has too few stops)
+ */
+export function normalizeRamp(ramp) {
+    if (!ramp || !Array.isArray(ramp.stops) || ramp.stops.length < MIN_RAMP_STOPS) {
+        return cloneRamp(DEFAULT_RAMP);
+    }
+
+    const clamp = (value, min, max, fallback) => (
+        Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback
+    );
+
+    const stops = ramp.stops.slice(0, MAX_RAMP_STOPS).map(stop => ({
+        position: clamp(stop.position, 0, 1, 0),
+        tint: clamp(stop.tint, -1, 1, 0),
+        color: typeof stop.color === 'string' && /^#[0-9a-f]{6}$/i.test(stop.color) ? stop.color.toLowerCase() : null,
+        easing: RAMP_EASINGS.some(e => e.id === stop.easing) ? stop.easing : 'linear'
+    }));
+
+    stops.sort((a, b) => a.position - b.position);
+
+    return {
+        space: RAMP_SPACES.some(s => s.id === ramp.space) ? ramp.space : DEFAULT_RAMP.space,
+        stops
+    };
+}
+
+/**
+ * Apply a segment easing curve
+ * @param {number} t - Position within the segment (0-1)
+ * @param {string} easing - One of the RAMP_EASINGS ids
+ * @returns {number} The eased mix factor
+ */
+export function easeRamp(t, easing) {
+    switch (easing) {
+        case 'ease-in':
+            return t * t;
+        case 'ease-out':
+            return t * (2 - t);
+        case 'ease-in-out':
+            return t * t * (3 - 2 * t);
+        case 'step':
+            return t >= 1 ? 1 : 0;
+        default:
+            return t;
+    }
+}
+
+/**
+ * Linear RGB of a stop on a given base color
+ * @param {Object} stop - The ramp stop
+ * @param {number[]} base - The base color as linear [r, g, b]
+ * @returns {number[]} The stop color as linear [r, g, b]
+ */
+function resolveStop(stop, base) {
+    if (stop.color) {
+        const { r, g, b } = hexToRgb(stop.color);
+        return [r, g, b].map(c => srgbToLinear(c / 255));
+    }
+
+    const target = stop.tint < 0 ? 0 : 1;
+    const amount = Math.abs(stop.tint);
+    return base.map(c => c + (target - c) * amount);
+}
+
+/**
+ * Convert linear RGB into the ramp's interpolation space
+ * @param {number[]} rgb - Linear [r, g, b]
+ * @param {string} space - One of the RAMP_SPACES ids
+ * @returns {number[]} Coordinates in that space
+ */
+function toSpace(rgb, space) {
+    if (space === 'srgb') return rgb.map(linearToSrgb);
+    if (space === 'oklab') {
+        const [r, g, b] = rgb.map(c => linearToSrgb(c) * 255);
+        const { l, a, b: bb } = rgbToOklab({ r, g, b });
+        return [l, a, bb];
+    }
+    return rgb;
+}
+
+/**
+ * Convert coordinates in the ramp's interpolation space back to linear RGB
+ * @param {number[]} coords - Coordinates in that space
+ * @param {string} space - One of the RAMP_SPACES ids
+ * @returns {number[]} Linear [r, g, b]
+ */
+function fromSpace(coords, space) {
+    if (space === 'srgb') return coords.map(srgbToLinear);
+    if (space === 'oklab') {
+        const { r, g, b } = oklabToRgb({ l: coords[0], a: coords[1], b: coords[2] });
+        return [r, g, b].map(c => srgbToLinear(c / 255));
+    }
+    return coords;
+}
+
+/**
+ * Sample a ramp (same math as the cylinder shader)
+ * @param {Object} ramp - The ramp
+ * @param {string} baseHex - The surface color the shade stops are derived from
+ * @param {number} t - Height along the ramp (0 = bottom, 1 = top)
+ * @returns {string} The color as hex
+ */
+export function sampleRamp(ramp, baseHex, t) {
+    const { r, g, b } = hexToRgb(baseHex);
+    const base = [r, g, b].map(c => srgbToLinear(c / 255));
+    const stops = ramp.stops;
+
+    let color = resolveStop(stops[0], base);
+    for (let i = 0; i < stops.length - 1; i++) {
+        if (t >= stops[i].position) {
+            const span = Math.max(stops[i + 1].position - stops[i].position, 0.0001);
+            const local = easeRamp(Math.max(0, Math.min(1, (t - stops[i].position) / span)), stops[i].easing);
+            const from = toSpace(resolveStop(stops[i], base), ramp.space);
+            const to = toSpace(resolveStop(stops[i + 1], base), ramp.space);
+            color = fromSpace(from.map((c, channel) => c + (to[channel] - c) * local), ramp.space);
+        }
+    }
+
+    const [lr, lg, lb] = color.map(c => Math.max(0, Math.min(1, linearToSrgb(c))) * 255);
+    return rgbToHex({ r: lr, g: lg, b: lb });
+}
+
+/**
+ * Build a CSS gradient previewing a ramp from left (bottom) to right (top)
+ * @param {Object} ramp - The ramp
+ * @param {string} baseHex - The surface color
+ * @param {number} samples - Number of color stops in the CSS gradient
+ * @returns {string} A CSS linear-gradient()
+ */
+export function rampToCss(ramp, baseHex, samples = 32) {
+    const colors = [];
+    for (let i = 0; i <= samples; i++) {
+        const t = i / samples;
+        colors.push(`${sampleRamp(ramp, baseHex, t)} ${(t * 100).toFixed(1)}%`);
+    }
+    return `linear-gradient(to right, ${colors.join(', ')})`;
+}
+
+/**
+ * Add a stop to a ramp without changing how it looks
+ * Between two shade stops the new stop is a shade as well, so it keeps
+ * following the surface color; otherwise it takes the sampled color
+ * @param {Object} ramp - The ramp
+ * @param {number} position - Where to add the stop (0-1)
+ * @param {string} baseHex - The surface color
+ * @returns {{ramp: Object, index: number}|null} The new ramp and the new stop's index, or null when full
+ */
+export function addRampStop(ramp, position, baseHex) {
+    if (ramp.stops.length >= MAX_RAMP_STOPS) return null;
+
+    const next = cloneRamp(ramp);
+    const after = next.stops.findIndex(stop => stop.position > position);
+    const index = after === -1 ? next.stops.length : after;
+    const below = next.stops[index - 1];
+    const above = next.stops[index];
+
+    let stop;
+    if (below && above && !below.color && !above.color && below.tint * above.tint >= 0 &&
+        below.easing === 'linear' && ramp.space === 'linear') {
+        // Shades on the same side of the color, mixed linearly in linear light, stay on one line
+        const local = (position - below.position) / Math.max(above.position - below.position, 0.0001);
+        stop = { position, tint: below.tint + (above.tint - below.tint) * local, color: null, easing: 'linear' };
+    } else {
+        stop = { position, tint: 0, color: sampleRamp(ramp, baseHex, position), easing: below ? below.easing : 'linear' };
+    }
+
+    next.stops.splice(index, 0, stop);
+    return { ramp: next, index };
+}
+
+/**
+ * Remove a stop from a ramp
+ * @param {Object} ramp - The ramp
+ * @param {number} index - The stop to remove
+ * @returns {Object|null} The new ramp, or null when it already has the minimum number of stops
+ */
+export function removeRampStop(ramp, index) {
+    if (ramp.stops.length <= MIN_RAMP_STOPS) return null;
+
+    const next = cloneRamp(ramp);
+    next.stops.splice(index, 1);
+    return next;
+}
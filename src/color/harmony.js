@@ -0,0 +1,40 @@
+/**
+ * Color harmony generation
+ *
+ * Harmonies are built by rotating the base color's hue around the HSL
+ * wheel, keeping its saturation and lightness. The base color itself is not
+ * part of the returned set since it is already shown by the main cylinder.
+ */
+
+import { hexToRgb, rgbToHex, rgbToHsl, hslToRgb } from './color-space';
+
+// Hue offsets (in degrees) from the base color for each harmony
+export const HARMONY_MODES = [
+    { id: 'none', label: 'None', offsets: [] },
+    { id: 'analogous', label: 'Analogous', offsets: [-30, 30] },
+    { id: 'triadic', label: 'Triadic', offsets: [120, 240] },
+    { id: 'split-complementary', label: 'Split Complementary', offsets: [150, 210] },
+    { id: 'tetradic', label: 'Tetradic', offsets: [60, 180, 240] },
+    { id: 'square', label: 'Square', offsets: [90, 180, 270] },
+    { id: 'pentadic', label: 'Pentadic', offsets: [72, 144, 216, 288] }
+];
+
+/**
+ * Calculate the harmony colors for a base color
+ * @param {string} hexColor - The base color as a hex string
+ * @param {string} mode - One of the HARMONY_MODES ids
+ * @returns {string[]} The related colors as #rrggbb hex strings (base color excluded)
+ */
+export function calculateHarmonyColors(hexColor, mode) {
+    const harmony = HARMONY_MODES.find(h => h.id === mode);
+    if (!harmony) {
+        return [];
+    }
+
+    const hsl = rgbToHsl(hexToRgb(hexColor));
+
+    return harmony.offsets.map(offset => rgbToHex(hslToRgb({
+        ...hsl,
+        h: (hsl.h + offset + 360) % 360
+    })));
+}
@@ -0,0 +1,76 @@
+/**
+ * Kubelka-Munk dye mixing
+ *
+ * Uses the single-constant Kubelka-Munk model common in textile recipe
+ * prediction: each dye adds absorption/scattering (K/S) to the substrate in
+ * proportion to its concentration, and the mixed K/S is turned back into a
+ * reflectance. Colors are given as sRGB, so the model is evaluated per linear
+ * RGB channel as a three-band approximation of the reflectance curve.
+ */
+
+import { hexToRgb, rgbToHex, srgbToLinear, linearToSrgb } from './color-space';
+
+export const MIN_COLORANTS = 2;
+export const MAX_COLORANTS = 5;
+
+// Keeps K/S finite for pure black or pure white channels
+const MIN_REFLECTANCE = 0.001;
+const MAX_REFLECTANCE = 0.999;
+
+/**
+ * K/S of an opaque layer with a given reflectance
+ * @param {number} reflectance - Reflectance factor (0-1)
+ * @returns {number} The absorption to scattering ratio
+ */
+export function ksFromReflectance(reflectance) {
+    const r = Math.max(MIN_REFLECTANCE, Math.min(MAX_REFLECTANCE, reflectance));
+    return ((1 - r) * (1 - r)) / (2 * r);
+}
+
+/**
+ * Reflectance of an opaque layer with a given K/S
+ * @param {number} ks - The absorption to scattering ratio
+ * @returns {number} Reflectance factor (0-1)
+ */
+export function reflectanceFromKs(ks) {
+    return 1 + ks - Math.sqrt(ks * ks + 2 * ks);
+}
+
+/**
+ * Split a hex color into per-channel reflectance (linear sRGB)
+ * @param {string} hex - The color
+ * @returns {number[]} [r, g, b] reflectance factors
+ */
+function hexToReflectance(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    return [r, g, b].map(channel => srgbToLinear(channel / 255));
+}
+
+/**
+ * Predict the shade produced by a dye recipe
+ *
+ * Each colorant's color is its full-strength shade on the substrate (100%).
+ * Lower concentrations add proportionally less K/S; concentrations may add up
+ * to more than 100% for deep shades.
+ *
+ * @param {{hex: string, concentration: number}[]} colorants - Dye colors with concentrations in percent
+ * @param {string} substrate - The undyed substrate color
+ * @returns {string} The predicted color as hex
+ */
+export function mixRecipe(colorants, substrate = '#ffffff') {
+    const substrateKs = hexToReflectance(substrate).map(ksFromReflectance);
+
+    const mixedKs = substrateKs.slice();
+    colorants.forEach(({ hex, concentration }) => {
+        const amount = Math.max(0, concentration) / 100;
+        const colorantKs = hexToReflectance(hex).map(ksFromReflectance);
+
+        // Unit K/S of the dye, net of the substrate it was measured on
+        colorantKs.forEach((ks, channel) => {
+            mixedKs[channel] += amount * Math.max(0, ks - substrateKs[channel]);
+        });
+    });
+
+    const [r, g, b] = mixedKs.map(ks => linearToSrgb(reflectanceFromKs(ks)) * 255);
+    return rgbToHex({ r, g, b });
+}
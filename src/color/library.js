@@ -0,0 +1,207 @@
+/**
+ * Local color libraries (lab-dip books, in-house standards lists)
+ *
+ * A library is loaded from a JSON or CSV file and normalized into entries of
+ * the form { code, name, lab, hex }. When a file gives CIELAB values they are
+ * used as-is for matching; sRGB-only entries are converted to CIELAB (D65).
+ */
+
+import { hexToRgb, rgbToHex, rgbToLab, labToRgb } from './color-space';
+import { deltaE2000 } from './delta-e';
+import { parseColor } from './notation';
+
+// Column/property names accepted for each field (compared case-insensitively, * ignored)
+const FIELD_ALIASES = {
+    code: ['code', 'id', 'number', 'ref', 'reference'],
+    name: ['name', 'title', 'description', 'label'],
+    l: ['l', 'lab_l', 'cie_l'],
+    a: ['a', 'lab_a', 'cie_a'],
+    b: ['b', 'lab_b', 'cie_b'],
+    hex: ['hex', 'color', 'colour', 'srgb'],
+    red: ['r', 'red'],
+    green: ['g', 'green'],
+    blue: ['b', 'blue']
+};
+
+/**
+ * Normalize a column or property name for alias lookups
+ * @param {string} key - The raw name
+ * @returns {string} The normalized name
+ */
+function normalizeKey(key) {
+    return String(key).trim().toLowerCase().replace(/[*\s]/g, '');
+}
+
+/**
+ * Build a library entry from a record of raw field values
+ * @param {Object} record - Raw values keyed by normalized field name
+ * @param {number} index - Position in the file, used for fallback codes
+ * @returns {{code: string, name: string, lab: Object, hex: string}|null} The entry, or null if it has no usable color
+ */
+function createEntry(record, index) {
+    const pick = (field) => {
+        const key = FIELD_ALIASES[field].find(alias => record[alias] !== undefined && record[alias] !== '');
+        return key === undefined ? undefined : record[key];
+    };
+
+    const code = String(pick('code') ?? index + 1);
+    const name = String(pick('name') ?? '');
+
+    // Nested lab object ({ lab: { l, a, b } } or { lab: [l, a, b] })
+    let labValues = record.lab;
+    if (Array.isArray(labValues)) {
+        labValues = { l: labValues[0], a: labValues[1], b: labValues[2] };
+    }
+
+    const l = parseFloat(labValues ? labValues.l ?? labValues.L : pick('l'));
+    const a = parseFloat(labValues ? labValues.a : pick('a'));
+    const b = parseFloat(labValues ? labValues.b : pick('b'));
+
+    if ([l, a, b].every(Number.isFinite)) {
+        const lab = { l, a, b };
+        return { code, name, lab, hex: rgbToHex(labToRgb(lab)) };
+    }
+
+    // Nested rgb array ({ rgb: [r, g, b] })
+    const rgbValues = Array.isArray(record.rgb) ? record.rgb : [pick('red'), pick('green'), pick('blue')];
+    const rgb = { r: parseFloat(rgbValues[0]), g: parseFloat(rgbValues[1]), b: parseFloat(rgbValues[2]) };
+    if ([rgb.r, rgb.g, rgb.b].every(Number.isFinite)) {
+        return { code, name, lab: rgbToLab(rgb), hex: rgbToHex(rgb) };
+    }
+
+    const hexValue = pick('hex');
+    const parsed = hexValue !== undefined ? parseColor(String(hexValue)) : null;
+    if (parsed) {
+        return { code, name, lab: rgbToLab(hexToRgb(parsed.hex)), hex: parsed.hex };
+    }
+
+    return null;
+}
+
+/**
+ * Split one CSV line into fields, honouring double-quoted values
+ * @param {string} line - The CSV line
+ * @param {string} delimiter - The field delimiter
+ * @returns {string[]} The fields
+ */
+export function splitCsvLine(line, delimiter) {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === '"') {
+            if (inQuotes && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                inQuotes = !inQuotes;
+            }
+        } else if (ch === delimiter && !inQuotes) {
+            fields.push(current.trim());
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    fields.push(current.trim());
+
+    return fields;
+}
+
+/**
+ * Parse CSV text into raw records keyed by normalized column name
+ * The first line must be a header; comma, semicolon and tab delimiters are detected
+ * @param {string} text - The CSV text
+ * @returns {Object[]} The records
+ */
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+    if (lines.length < 2) {
+        return [];
+    }
+
+    const delimiter = ['\t', ';', ','].find(d => lines[0].includes(d)) || ',';
+    const header = splitCsvLine(lines[0], delimiter).map(normalizeKey);
+
+    return lines.slice(1).map(line => {
+        const fields = splitCsvLine(line, delimiter);
+        const record = {};
+        header.forEach((key, i) => {
+            record[key] = fields[i];
+        });
+        return record;
+    });
+}
+
+/**
+ * Parse a color library file
+ * Rows without a usable color (including JSON items that aren't objects) are
+ * skipped and counted
+ * @param {string} text - The file contents
+ * @param {string} fileName - The file name, used to pick the format
+ * @returns {{entries: {code: string, name: string, lab: Object, hex: string}[], skipped: number}} The library entries and the number of rows skipped
+ * @throws {Error} If the file can't be read or contains no usable colors
+ */
+export function parseLibraryFile(text, fileName = '') {
+    let records;
+    const trimmed = text.trim();
+
+    if (fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+
+        // Accept either a bare array or an object wrapping one ({ colors: [...] })
+        let list = data;
+        if (!Array.isArray(data) && data && typeof data === 'object') {
+            list = data.colors || data.entries || data.swatches;
+        }
+        if (!Array.isArray(list)) {
+            throw new Error('JSON library must be an array of colors or have a "colors" array');
+        }
+
+        records = list.map(item => {
+            // null, numbers, strings and nested arrays can't hold a color
+            if (!item || typeof item !== 'object' || Array.isArray(item)) return null;
+
+            const record = {};
+            Object.keys(item).forEach(key => {
+                record[normalizeKey(key)] = item[key];
+            });
+            return record;
+        });
+    } else {
+        records = parseCsv(trimmed);
+    }
+
+    const entries = records
+        .map((record, index) => (record ? createEntry(record, index) : null))
+        .filter(entry => entry !== null);
+
+    if (entries.length === 0) {
+        throw new Error('No colors found. Each entry needs L/a/b, R/G/B or hex values.');
+    }
+
+    return { entries, skipped: records.length - entries.length };
+}
+
+/**
+ * Find the library entries closest to a color by CIEDE2000
+ * @param {Object[]} library - The library entries
+ * @param {string} hexColor - The color to match
+ * @param {number} count - How many matches to return
+ * @returns {{entry: Object, deltaE: number}[]} The closest entries, nearest first
+ */
+export function findNearestColors(library, hexColor, count = 5) {
+    const target = rgbToLab(hexToRgb(hexColor));
+
+    return library
+        .map(entry => ({ entry, deltaE: deltaE2000(target, entry.lab) }))
+        .sort((x, y) => x.deltaE - y.deltaE)
+        .slice(0, count);
+}
@@ -0,0 +1,247 @@
+/**
+ * Spectrophotometer measurement files
+ *
+ * Reads reflectance measurements from CGATS (.txt / .cgats / .it8), CxF3 (.cxf)
+ * and CSV files into samples of the form { id, name, wavelengths, values },
+ * with reflectance factors scaled to 0-1.
+ */
+
+import { resampleSpectrum, START_WAVELENGTH, END_WAVELENGTH } from './spectral';
+import { splitCsvLine } from './library';
+
+// Column names that identify a sample (compared case-insensitively)
+const ID_COLUMNS = ['sample_id', 'sampleid', 'id', 'code', 'number'];
+const NAME_COLUMNS = ['sample_name', 'samplename', 'name', 'description', 'label'];
+
+/**
+ * Read a wavelength from a column name such as "SPECTRAL_NM400", "nm400", "R400" or "400nm"
+ * @param {string} column - The column name
+ * @returns {number|null} The wavelength in nm, or null if the column isn't spectral
+ */
+function columnWavelength(column) {
+    const match = String(column).trim().match(/^(?:spectral_?)?(?:nm|r)?_?(\d{3})(?:\s*nm)?$/i);
+    return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Build a sample, scaling percentages to 0-1 and sorting by wavelength
+ * @param {string} id - Sample id
+ * @param {string} name - Sample name
+ * @param {number[]} wavelengths - Wavelengths in nm
+ * @param {number[]} values - Reflectance values (0-1 or 0-100)
+ * @returns {{id: string, name: string, wavelengths: number[], values: number[]}|null} The sample, or null if unusable
+ */
+function createSample(id, name, wavelengths, values) {
+    const points = wavelengths
+        .map((wavelength, i) => ({ wavelength, value: values[i] }))
+        .filter(point => Number.isFinite(point.wavelength) && Number.isFinite(point.value))
+        .sort((a, b) => a.wavelength - b.wavelength);
+
+    // Need enough of the visible range to compute a color
+    if (points.length < 4 ||
+        points[0].wavelength > START_WAVELENGTH + 20 ||
+        points[points.length - 1].wavelength < END_WAVELENGTH - 20) {
+        return null;
+    }
+
+    return {
+        id,
+        name,
+        wavelengths: points.map(point => point.wavelength),
+        values: points.map(point => point.value)
+    };
+}
+
+/**
+ * Scale every sample to 0-1 if the file reports reflectance in percent
+ * @param {Object[]} samples - The samples
+ * @returns {Object[]} The samples
+ */
+function normalizeScale(samples) {
+    const max = Math.max(...samples.flatMap(sample => sample.values));
+    if (max > 2) {
+        samples.forEach(sample => {
+            sample.values = sample.values.map(value => value / 100);
+        });
+    }
+    return samples;
+}
+
+/**
+ * Split a whitespace-separated CGATS line, keeping quoted strings together
+ * @param {string} line - The line
+ * @returns {string[]} The fields
+ */
+function splitCgatsLine(line) {
+    return (line.match(/"[^"]*"|\S+/g) || []).map(field => field.replace(/^"|"$/g, ''));
+}
+
+/**
+ * Parse a CGATS.17 / IT8 text file
+ * @param {string} text - The file contents
+ * @returns {Object[]} The samples
+ */
+function parseCgats(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim());
+
+    const formatStart = lines.findIndex(line => line.startsWith('BEGIN_DATA_FORMAT'));
+    const formatEnd = lines.findIndex(line => line.startsWith('END_DATA_FORMAT'));
+    const dataStart = lines.findIndex(line => line === 'BEGIN_DATA');
+    const dataEnd = lines.findIndex(line => line === 'END_DATA');
+
+    if (formatStart < 0 || formatEnd < formatStart || dataStart < 0 || dataEnd < dataStart) {
+        throw new Error('CGATS file is missing its BEGIN_DATA_FORMAT or BEGIN_DATA section');
+    }
+
+    const fields = lines.slice(formatStart + 1, formatEnd).flatMap(splitCgatsLine);
+    return parseTable(fields, lines.slice(dataStart + 1, dataEnd).filter(Boolean).map(splitCgatsLine));
+}
+
+/**
+ * Turn a header and rows with one spectral column per wavelength into samples
+ * @param {string[]} header - Column names
+ * @param {string[][]} rows - Row fields
+ * @returns {Object[]} The samples
+ */
+function parseTable(header, rows) {
+    const normalized = header.map(column => column.trim().toLowerCase());
+    const idIndex = normalized.findIndex(column => ID_COLUMNS.includes(column));
+    const nameIndex = normalized.findIndex(column => NAME_COLUMNS.includes(column));
+
+    const spectralColumns = header
+        .map((column, index) => ({ index, wavelength: columnWavelength(column) }))
+        .filter(column => column.wavelength !== null);
+
+    if (spectralColumns.length === 0) {
+        throw new Error('No spectral columns found (expected names like SPECTRAL_NM400 or 400)');
+    }
+
+    return rows
+        .map((fields, rowIndex) => {
+            const id = idIndex >= 0 ? fields[idIndex] : String(rowIndex + 1);
+            const name = nameIndex >= 0 ? fields[nameIndex] : '';
+            return createSample(
+                id,
+                name,
+                spectralColumns.map(column => column.wavelength),
+                spectralColumns.map(column => parseFloat(fields[column.index]))
+            );
+        })
+        .filter(sample => sample !== null);
+}
+
+/**
+ * Parse a CSV file, either one sample per row (wavelength columns)
+ * or one sample per column (a leading wavelength column)
+ * @param {string} text - The file contents
+ * @returns {Object[]} The samples
+ */
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+    if (lines.length < 2) {
+        throw new Error('CSV file needs a header row and at least one data row');
+    }
+
+    const delimiter = ['\t', ';', ','].find(d => lines[0].includes(d)) || ',';
+    const header = splitCsvLine(lines[0], delimiter);
+    const rows = lines.slice(1).map(line => splitCsvLine(line, delimiter));
+
+    // A row with a different column count would shift every value after the mismatch
+    const badRow = rows.findIndex(fields => fields.length !== header.length);
+    if (badRow >= 0) {
+        throw new Error(`CSV row ${badRow + 2} has ${rows[badRow].length} columns but the header has ${header.length}`);
+    }
+
+    // Transposed layout: first column holds the wavelengths, each other column is a sample
+    if (/^(wavelength|wl|nm|lambda|λ)/i.test(header[0])) {
+        const wavelengths = rows.map(fields => parseFloat(fields[0]));
+        return header.slice(1)
+            .map((name, i) => createSample(
+                String(i + 1),
+                name,
+                wavelengths,
+                rows.map(fields => parseFloat(fields[i + 1]))
+            ))
+            .filter(sample => sample !== null);
+    }
+
+    return parseTable(header, rows);
+}
+
+/**
+ * Parse a CxF3 (ISO 17972) XML file
+ * @param {string} text - The file contents
+ * @returns {Object[]} The samples
+ */
+function parseCxf(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('CxF file is not valid XML');
+    }
+
+    // Wavelength ranges are declared per color specification
+    const ranges = {};
+    Array.from(doc.getElementsByTagNameNS('*', 'ColorSpecification')).forEach(specification => {
+        const range = specification.getElementsByTagNameNS('*', 'WavelengthRange')[0];
+        if (range) {
+            ranges[specification.getAttribute('Id')] = {
+                start: parseFloat(range.getAttribute('StartWL')),
+                increment: parseFloat(range.getAttribute('Increment'))
+            };
+        }
+    });
+
+    const samples = [];
+    Array.from(doc.getElementsByTagNameNS('*', 'Object')).forEach((object, index) => {
+        const spectrum = object.getElementsByTagNameNS('*', 'ReflectanceSpectrum')[0];
+        if (!spectrum) return;
+
+        const range = ranges[spectrum.getAttribute('ColorSpecification')] || {};
+        const start = parseFloat(spectrum.getAttribute('StartWL')) || range.start || 400;
+        const increment = range.increment || 10;
+
+        const values = spectrum.textContent.trim().split(/\s+/).map(parseFloat);
+        const wavelengths = values.map((_, i) => start + i * increment);
+
+        const sample = createSample(
+            object.getAttribute('Id') || String(index + 1),
+            object.getAttribute('Name') || '',
+            wavelengths,
+            values
+        );
+        if (sample) samples.push(sample);
+    });
+
+    return samples;
+}
+
+/**
+ * Parse a spectral measurement file
+ * @param {string} text - The file contents
+ * @param {string} fileName - The file name, used to pick the format
+ * @returns {{id: string, name: string, wavelengths: number[], values: number[], reflectance: number[]}[]} The samples,
+ *     with `reflectance` resampled onto the spectral grid
+ * @throws {Error} If the file can't be read or contains no usable spectra
+ */
+export function parseMeasurementFile(text, fileName = '') {
+    const trimmed = text.trim();
+    const extension = fileName.toLowerCase().split('.').pop();
+
+    let samples;
+    if (extension === 'cxf' || trimmed.startsWith('<')) {
+        samples = parseCxf(trimmed);
+    } else if (trimmed.includes('BEGIN_DATA_FORMAT')) {
+        samples = parseCgats(trimmed);
+    } else {
+        samples = parseCsv(trimmed);
+    }
+
+    if (samples.length === 0) {
+        throw new Error(`No reflectance spectra covering ${START_WAVELENGTH}-${END_WAVELENGTH} nm found`);
+    }
+
+    return normalizeScale(samples).map(sample => ({
+        ...sample,
+        reflectance: resampleSpectrum(sample.wavelengths, sample.values)
+    }));
+}
@@ -0,0 +1,51 @@
+/**
+ * Color comparison metrics for tech packs
+ *
+ * Combines the ΔE formulas with the WCAG 2.x contrast ratio so a pair of
+ * colors can be described with a single call.
+ */
+
+import { hexToRgb, rgbToLab, srgbToLinear } from './color-space';
+import { deltaE76, deltaE2000 } from './delta-e';
+
+/**
+ * WCAG relative luminance of an sRGB color
+ * @param {{r: number, g: number, b: number}} rgb - RGB on a 0-255 scale
+ * @returns {number} Relative luminance (0 = black, 1 = white)
+ */
+export function relativeLuminance({ r, g, b }) {
+    return 0.2126 * srgbToLinear(r / 255) + 0.7152 * srgbToLinear(g / 255) + 0.0722 * srgbToLinear(b / 255);
+}
+
+/**
+ * WCAG contrast ratio between two sRGB colors
+ * @param {{r: number, g: number, b: number}} rgb1 - First color
+ * @param {{r: number, g: number, b: number}} rgb2 - Second color
+ * @returns {number} Contrast ratio from 1 (none) to 21 (black on white)
+ */
+export function contrastRatio(rgb1, rgb2) {
+    const l1 = relativeLuminance(rgb1);
+    const l2 = relativeLuminance(rgb2);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * Compare two colors with every supported metric
+ * @param {string} referenceHex - The reference color (e.g. the main color)
+ * @param {string} sampleHex - The color compared against the reference
+ * @returns {{deltaE2000: number, deltaE76: number, contrast: number, deltaL: number}}
+ *   The differences; deltaL is the sample's L* minus the reference's L*
+ */
+export function compareColors(referenceHex, sampleHex) {
+    const referenceRgb = hexToRgb(referenceHex);
+    const sampleRgb = hexToRgb(sampleHex);
+    const referenceLab = rgbToLab(referenceRgb);
+    const sampleLab = rgbToLab(sampleRgb);
+
+    return {
+        deltaE2000: deltaE2000(referenceLab, sampleLab),
+        deltaE76: deltaE76(referenceLab, sampleLab),
+        contrast: contrastRatio(referenceRgb, sampleRgb),
+        deltaL: sampleLab.l - referenceLab.l
+    };
+}
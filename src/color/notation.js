@@ -0,0 +1,247 @@
+/**
+ * Parsing and formatting of color notations
+ *
+ * Accepts the notations designers are usually given specs in: hex, rgb(),
+ * hsl(), lab()/lch(), oklab()/oklch(), CMYK percentages and CSS color names.
+ * CIELAB values are interpreted relative to D65, like the rest of the app
+ * (CSS itself defines lab() against D50).
+ */
+
+import { Color } from 'three';
+import {
+    hexToRgb,
+    rgbToHex,
+    rgbToHsl,
+    hslToRgb,
+    rgbToLab,
+    labToRgb,
+    rgbToOklab,
+    oklabToRgb,
+    labToLch,
+    lchToLab,
+    isInGamut
+} from './color-space';
+
+// Matches a functional notation such as "rgb(255 87 51 / 50%)"
+const FUNCTION_REGEX = /^([a-z-]+)\(\s*([^)]*)\)$/;
+
+// Matches #RGB / #RRGGBB with an optional leading #
+const HEX_REGEX = /^#?([a-f0-9]{6}|[a-f0-9]{3})$/;
+
+/**
+ * Split the arguments of a functional notation, dropping any alpha component
+ * Both the legacy comma syntax and the modern space/slash syntax are accepted
+ * @param {string} args - The text between the parentheses
+ * @returns {string[]} The individual argument tokens
+ */
+function splitArguments(args) {
+    const withoutAlpha = args.split('/')[0];
+    return withoutAlpha.split(/[\s,]+/).filter(token => token.length > 0);
+}
+
+/**
+ * Parse a single numeric token
+ * @param {string} token - The token, optionally with a % or deg suffix
+ * @param {number} percentScale - What 100% corresponds to
+ * @returns {number} The parsed value, or NaN if the token is not a number
+ */
+function parseNumber(token, percentScale = 1) {
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+))(%|deg)?$/.exec(token);
+    if (!match) {
+        return NaN;
+    }
+
+    const value = parseFloat(match[1]);
+    return match[2] === '%' ? (value / 100) * percentScale : value;
+}
+
+/**
+ * Parse the numbers of a functional notation
+ * @param {string} args - The text between the parentheses
+ * @param {number[]} percentScales - What 100% corresponds to for each argument
+ * @param {boolean} allowLegacyAlpha - Whether a trailing comma-separated alpha is allowed (rgba/hsla)
+ * @returns {number[]|null} The parsed values, or null if the count or any value is wrong
+ */
+function parseArguments(args, percentScales, allowLegacyAlpha = false) {
+    let tokens = splitArguments(args);
+    if (allowLegacyAlpha && tokens.length === percentScales.length + 1) {
+        tokens = tokens.slice(0, percentScales.length);
+    }
+    if (tokens.length !== percentScales.length) {
+        return null;
+    }
+
+    const values = tokens.map((token, i) => parseNumber(token, percentScales[i]));
+    return values.some(value => Number.isNaN(value)) ? null : values;
+}
+
+/**
+ * Convert CMYK fractions (0-1) to RGB
+ * @param {number[]} cmyk - Cyan, magenta, yellow and black as fractions
+ * @returns {{r: number, g: number, b: number}} RGB on a 0-255 scale
+ */
+function cmykToRgb([c, m, y, k]) {
+    return {
+        r: 255 * (1 - c) * (1 - k),
+        g: 255 * (1 - m) * (1 - k),
+        b: 255 * (1 - y) * (1 - k)
+    };
+}
+
+/**
+ * Convert RGB to naive (uncalibrated) CMYK fractions
+ * @param {{r: number, g: number, b: number}} rgb - RGB on a 0-255 scale
+ * @returns {{c: number, m: number, y: number, k: number}} CMYK fractions (0-1)
+ */
+export function rgbToCmyk({ r, g, b }) {
+    const rn = r / 255;
+    const gn = g / 255;
+    const bn = b / 255;
+    const k = 1 - Math.max(rn, gn, bn);
+
+    if (k >= 1) {
+        return { c: 0, m: 0, y: 0, k: 1 };
+    }
+
+    return {
+        c: (1 - rn - k) / (1 - k),
+        m: (1 - gn - k) / (1 - k),
+        y: (1 - bn - k) / (1 - k),
+        k
+    };
+}
+
+/**
+ * Convert a functional notation to RGB
+ * @param {string} name - The function name (rgb, hsl, lab, ...)
+ * @param {string} args - The text between the parentheses
+ * @returns {{r: number, g: number, b: number}|null} RGB on a 0-255 scale, or null if invalid
+ */
+function parseFunction(name, args) {
+    let values;
+
+    switch (name) {
+        case 'rgb':
+        case 'rgba':
+            values = parseArguments(args, [255, 255, 255], true);
+            return values && { r: values[0], g: values[1], b: values[2] };
+
+        case 'hsl':
+        case 'hsla':
+            values = parseArguments(args, [360, 100, 100], true);
+            return values && hslToRgb({ h: values[0], s: values[1], l: values[2] });
+
+        case 'lab':
+            values = parseArguments(args, [100, 125, 125]);
+            return values && labToRgb({ l: values[0], a: values[1], b: values[2] });
+
+        case 'lch':
+            values = parseArguments(args, [100, 150, 360]);
+            return values && labToRgb(lchToLab({ l: values[0], c: values[1], h: values[2] }));
+
+        case 'oklab':
+            values = parseArguments(args, [1, 0.4, 0.4]);
+            return values && oklabToRgb({ l: values[0], a: values[1], b: values[2] });
+
+        case 'oklch':
+            values = parseArguments(args, [1, 0.4, 360]);
+            return values && oklabToRgb(lchToLab({ l: values[0], c: values[1], h: values[2] }));
+
+        case 'cmyk':
+            // Print convention: bare numbers are percentages
+            values = parseArguments(args, [100, 100, 100, 100]);
+            return values && cmykToRgb(values.map(v => v / 100));
+
+        case 'device-cmyk':
+            // CSS convention: bare numbers are fractions
+            values = parseArguments(args, [1, 1, 1, 1]);
+            return values && cmykToRgb(values);
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Parse a color typed in any supported notation
+ * @param {string} input - The color as entered by the user
+ * @returns {{hex: string, inGamut: boolean}|null} The normalized #rrggbb color and
+ *   whether it fitted in sRGB without clipping, or null if the input can't be parsed
+ */
+export function parseColor(input) {
+    if (typeof input !== 'string') {
+        return null;
+    }
+
+    const value = input.trim().toLowerCase();
+    if (value.length === 0) {
+        return null;
+    }
+
+    // CSS color names (e.g. "teal")
+    const compactName = value.replace(/\s+/g, '');
+    if (Object.prototype.hasOwnProperty.call(Color.NAMES, compactName)) {
+        return { hex: `#${Color.NAMES[compactName].toString(16).padStart(6, '0')}`, inGamut: true };
+    }
+
+    // Hex notation, with or without the leading #
+    if (HEX_REGEX.test(value)) {
+        return { hex: rgbToHex(hexToRgb(value)), inGamut: true };
+    }
+
+    // Functional notations
+    const match = FUNCTION_REGEX.exec(value);
+    if (!match) {
+        return null;
+    }
+
+    const rgb = parseFunction(match[1], match[2]);
+    if (!rgb || [rgb.r, rgb.g, rgb.b].some(v => !Number.isFinite(v))) {
+        return null;
+    }
+
+    return { hex: rgbToHex(rgb), inGamut: isInGamut(rgb) };
+}
+
+/**
+ * Find the CSS color name that exactly matches a hex color
+ * @param {string} hexColor - The color as a hex string
+ * @returns {string|null} The color name, or null if there is none
+ */
+export function findColorName(hexColor) {
+    const target = parseInt(hexColor.replace('#', ''), 16);
+    const name = Object.keys(Color.NAMES).find(key => Color.NAMES[key] === target);
+    return name || null;
+}
+
+/**
+ * Format a color in every supported notation
+ * @param {string} hexColor - The color as a hex string
+ * @returns {{label: string, value: string}[]} The notations, in display order
+ */
+export function formatColorNotations(hexColor) {
+    const rgb = hexToRgb(hexColor);
+    const hsl = rgbToHsl(rgb);
+    const cmyk = rgbToCmyk(rgb);
+    const lab = rgbToLab(rgb);
+    const oklch = labToLch(rgbToOklab(rgb));
+    const name = findColorName(hexColor);
+
+    const round = (value, digits = 0) => Number(value.toFixed(digits));
+    const percent = (fraction) => `${round(fraction * 100)}%`;
+
+    const notations = [
+        { label: 'HEX', value: rgbToHex(rgb).toUpperCase() },
+        { label: 'RGB', value: `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})` },
+        { label: 'HSL', value: `hsl(${round(hsl.h)}, ${round(hsl.s)}%, ${round(hsl.l)}%)` },
+        { label: 'CMYK', value: `cmyk(${percent(cmyk.c)}, ${percent(cmyk.m)}, ${percent(cmyk.y)}, ${percent(cmyk.k)})` },
+        { label: 'LAB', value: `lab(${round(lab.l, 1)} ${round(lab.a, 1)} ${round(lab.b, 1)})` },
+        { label: 'OKLCH', value: `oklch(${round(oklch.l, 3)} ${round(oklch.c, 3)} ${round(oklch.h, 1)})` }
+    ];
+
+    if (name) {
+        notations.push({ label: 'NAME', value: name });
+    }
+
+    return notations;
+}
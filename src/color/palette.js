@@ -0,0 +1,93 @@
+/**
+ * Tone-on-tone palettes sampled from the TCS gradient ramp
+ *
+ * The ramp runs from black through the base color to white (or whatever the
+ * edited ramp holds). A palette takes N steps from bottom to top, spaced:
+ * - 'height': evenly along the cylinder's height
+ * - 'lightness': in equal CIE L* steps
+ * - 'delta-e': in equal CIEDE2000 steps along the ramp
+ * The perceptual spacings measure the ramp's length in that metric and place
+ * the steps at equal fractions of it, so ramps whose lightness doubles back
+ * (e.g. a fixed-color stop) still give evenly spread steps.
+ */
+
+import { sampleRamp } from './gradient-ramp';
+import { hexToRgb, rgbToLab } from './color-space';
+import { deltaE2000 } from './delta-e';
+
+export const MIN_PALETTE_STEPS = 2;
+export const MAX_PALETTE_STEPS = 24;
+
+export const PALETTE_SPACINGS = [
+    { id: 'height', label: 'Linear in Height' },
+    { id: 'lightness', label: 'Equal L* Steps' },
+    { id: 'delta-e', label: 'Equal ΔE00 Steps' }
+];
+
+// Ramp samples used to measure its length
+const RESOLUTION = 256;
+
+/**
+ * Find the ramp positions at equal fractions of its length in a metric
+ * @param {{t: number, lab: Object}[]} samples - Dense ramp samples, bottom to top
+ * @param {Function} distance - Distance between two Lab colors
+ * @param {number} count - Number of steps
+ * @returns {number[]} Ramp positions (0-1)
+ */
+function equalSteps(samples, distance, count) {
+    // Cumulative length at each sample
+    const lengths = [0];
+    for (let i = 1; i < samples.length; i++) {
+        lengths.push(lengths[i - 1] + distance(samples[i - 1].lab, samples[i].lab));
+    }
+
+    const total = lengths[lengths.length - 1];
+    if (total === 0) {
+        // Flat ramp: fall back to even heights
+        return Array.from({ length: count }, (_, i) => i / (count - 1));
+    }
+
+    let segment = 1;
+    return Array.from({ length: count }, (_, i) => {
+        const target = (i / (count - 1)) * total;
+        while (segment < lengths.length - 1 && lengths[segment] < target) segment++;
+
+        // Interpolate within the sample segment that reaches the target length
+        const start = lengths[segment - 1];
+        const span = lengths[segment] - start;
+        const local = span > 0 ? (target - start) / span : 0;
+        return samples[segment - 1].t + (samples[segment].t - samples[segment - 1].t) * Math.max(0, Math.min(1, local));
+    });
+}
+
+/**
+ * Sample a palette from the gradient ramp
+ * @param {Object} ramp - The gradient ramp
+ * @param {string} baseHex - The base color the ramp is drawn for
+ * @param {number} count - Number of steps (MIN_PALETTE_STEPS-MAX_PALETTE_STEPS)
+ * @param {string} spacing - One of the PALETTE_SPACINGS ids
+ * @returns {{hex: string, position: number, rgb: Object, lab: Object}[]} The steps, bottom to top
+ */
+export function generateRampPalette(ramp, baseHex, count, spacing = 'height') {
+    const steps = Math.max(MIN_PALETTE_STEPS, Math.min(MAX_PALETTE_STEPS, Math.round(count) || MIN_PALETTE_STEPS));
+
+    let positions;
+    if (spacing === 'lightness' || spacing === 'delta-e') {
+        const samples = Array.from({ length: RESOLUTION + 1 }, (_, i) => {
+            const t = i / RESOLUTION;
+            return { t, lab: rgbToLab(hexToRgb(sampleRamp(ramp, baseHex, t))) };
+        });
+        const distance = spacing === 'lightness'
+            ? (a, b) => Math.abs(b.l - a.l)
+            : deltaE2000;
+        positions = equalSteps(samples, distance, steps);
+    } else {
+        positions = Array.from({ length: steps }, (_, i) => i / (steps - 1));
+    }
+
+    return positions.map(position => {
+        const hex = sampleRamp(ramp, baseHex, position);
+        const rgb = hexToRgb(hex);
+        return { hex, position, rgb, lab: rgbToLab(rgb) };
+    });
+}
@@ -0,0 +1,210 @@
+/**
+ * Spectral colorimetry
+ *
+ * Turns reflectance curves (as measured by a spectrophotometer) into XYZ,
+ * CIELAB and sRGB for a chosen illuminant and standard observer.
+ * Everything is computed on a 5 nm grid from 400 to 700 nm, the range most
+ * textile instruments report. Tables published at 10 nm are linearly
+ * interpolated onto that grid; the fluorescent illuminants use their 5 nm
+ * tables so their narrow emission lines are not lost.
+ */
+
+import { D65_WHITE, xyzToLab, xyzToRgb, rgbToHex, isInGamut } from './color-space';
+import { bradfordMatrix } from './adaptation';
+
+export const START_WAVELENGTH = 400;
+export const END_WAVELENGTH = 700;
+export const WAVELENGTH_STEP = 5;
+
+// The wavelengths (nm) every spectrum is resampled to
+export const WAVELENGTHS = Array.from(
+    { length: (END_WAVELENGTH - START_WAVELENGTH) / WAVELENGTH_STEP + 1 },
+    (_, i) => START_WAVELENGTH + i * WAVELENGTH_STEP
+);
+
+// CIE color matching functions, 400-700 nm at 10 nm ([x̄, ȳ, z̄] per wavelength)
+const CIE_1931_2DEG = [
+    [0.014310, 0.000396, 0.067850], [0.043510, 0.001210, 0.207400], [0.134380, 0.004000, 0.645600],
+    [0.283900, 0.011600, 1.385600], [0.348280, 0.023000, 1.747060], [0.336200, 0.038000, 1.772110],
+    [0.290800, 0.060000, 1.669200], [0.195360, 0.090980, 1.287640], [0.095640, 0.139020, 0.812950],
+    [0.032010, 0.208020, 0.465180], [0.004900, 0.323000, 0.272000], [0.009300, 0.503000, 0.158200],
+    [0.063270, 0.710000, 0.078250], [0.165500, 0.862000, 0.042160], [0.290400, 0.954000, 0.020300],
+    [0.433450, 0.994950, 0.008750], [0.594500, 0.995000, 0.003900], [0.762100, 0.952000, 0.002100],
+    [0.916300, 0.870000, 0.001650], [1.026300, 0.757000, 0.001100], [1.062200, 0.631000, 0.000800],
+    [1.002600, 0.503000, 0.000340], [0.854450, 0.381000, 0.000190], [0.642400, 0.265000, 0.000050],
+    [0.447900, 0.175000, 0.000020], [0.283500, 0.107000, 0.000000], [0.164900, 0.061000, 0.000000],
+    [0.087400, 0.032000, 0.000000], [0.046770, 0.017000, 0.000000], [0.022700, 0.008210, 0.000000],
+    [0.011359, 0.004102, 0.000000]
+];
+
+const CIE_1964_10DEG = [
+    [0.019110, 0.002004, 0.086011], [0.084736, 0.008756, 0.389366], [0.204492, 0.021391, 0.972542],
+    [0.314679, 0.038676, 1.553480], [0.383734, 0.062077, 1.967280], [0.370702, 0.089456, 1.994800],
+    [0.302273, 0.128201, 1.745370], [0.195618, 0.185190, 1.317560], [0.080507, 0.253589, 0.772125],
+    [0.016172, 0.339133, 0.415254], [0.003816, 0.460777, 0.218502], [0.037465, 0.606741, 0.112044],
+    [0.117749, 0.761757, 0.060709], [0.236491, 0.875211, 0.030451], [0.376772, 0.961988, 0.013676],
+    [0.529826, 0.991761, 0.003988], [0.705224, 0.997340, 0.000000], [0.878655, 0.955552, 0.000000],
+    [1.014160, 0.868934, 0.000000], [1.118520, 0.777405, 0.000000], [1.123990, 0.658341, 0.000000],
+    [1.030480, 0.527963, 0.000000], [0.856297, 0.398057, 0.000000], [0.647467, 0.283493, 0.000000],
+    [0.431567, 0.179828, 0.000000], [0.268329, 0.107633, 0.000000], [0.152568, 0.060281, 0.000000],
+    [0.081261, 0.031800, 0.000000], [0.040851, 0.015905, 0.000000], [0.019941, 0.007749, 0.000000],
+    [0.009577, 0.003718, 0.000000]
+];
+
+// Relative spectral power distributions, 400-700 nm at 10 nm
+const D65_SPD = [
+    82.7549, 91.4860, 93.4318, 86.6823, 104.865, 117.008, 117.812, 114.861, 115.923, 108.811,
+    109.354, 107.802, 104.790, 107.689, 104.405, 104.046, 100.000, 96.3342, 95.7880, 88.6856,
+    90.0062, 89.5991, 87.6987, 83.2886, 83.6992, 80.0268, 80.2146, 82.2778, 78.2842, 69.7213,
+    71.6091
+];
+
+const D50_SPD = [
+    49.3082, 56.5132, 60.0343, 57.8158, 74.8252, 87.2470, 90.6122, 91.3681, 95.1091, 91.9634,
+    95.7236, 96.6134, 97.1295, 102.099, 100.755, 102.317, 100.000, 97.7350, 98.9180, 93.5010,
+    97.6880, 99.2690, 99.0420, 95.7220, 98.8570, 95.6670, 98.1900, 103.003, 99.1330, 87.3810,
+    91.6040
+];
+
+// Fluorescent lamps, 400-700 nm at 5 nm
+const F2_SPD = [
+    3.44, 15.69, 3.85, 3.74, 4.19, 4.62, 5.06, 34.98, 11.81, 6.27,
+    6.63, 6.93, 7.19, 7.40, 7.54, 7.62, 7.65, 7.62, 7.62, 7.45,
+    7.28, 7.15, 7.05, 7.04, 7.16, 7.47, 8.04, 8.88, 10.01, 24.88,
+    16.64, 14.59, 16.16, 17.56, 18.62, 21.47, 22.79, 19.29, 18.66, 17.73,
+    16.54, 15.21, 13.80, 12.36, 10.95, 9.65, 8.40, 7.32, 6.31, 5.43,
+    4.68, 4.02, 3.45, 2.96, 2.55, 2.19, 1.89, 1.64, 1.53, 1.27,
+    1.10
+];
+
+const F11_SPD = [
+    1.29, 12.68, 1.59, 1.79, 2.46, 3.33, 4.49, 33.94, 12.13, 6.95,
+    7.19, 7.12, 6.72, 6.13, 5.46, 4.79, 5.66, 14.29, 14.96, 8.97,
+    4.72, 2.33, 1.47, 1.10, 0.89, 0.83, 1.18, 4.90, 39.59, 72.84,
+    32.61, 7.52, 2.83, 1.96, 1.67, 4.43, 11.28, 14.76, 12.73, 9.74,
+    7.33, 9.72, 55.27, 42.58, 13.18, 13.16, 12.26, 5.11, 2.07, 2.34,
+    3.58, 3.01, 2.48, 2.14, 1.54, 1.33, 1.46, 1.94, 2.00, 1.20,
+    1.35
+];
+
+/**
+ * Resample a 10 nm table (400-700 nm) onto the 5 nm grid
+ * @param {number[]} values - 31 values at 10 nm
+ * @returns {number[]} 61 values at 5 nm
+ */
+function to5nm(values) {
+    return WAVELENGTHS.map((_, i) => {
+        const low = Math.floor(i / 2);
+        return i % 2 === 0 ? values[low] : (values[low] + values[low + 1]) / 2;
+    });
+}
+
+/**
+ * CIE illuminant A (incandescent, 2856 K) from Planck's law, normalized to 100 at 560 nm
+ * @param {number} wavelength - Wavelength in nm
+ * @returns {number} Relative power
+ */
+function illuminantA(wavelength) {
+    const c2 = 1.435e7;
+    const temperature = 2848; // The CIE definition uses the older c2, hence 2848 rather than 2856
+    return 100 * Math.pow(560 / wavelength, 5) *
+        (Math.exp(c2 / (temperature * 560)) - 1) / (Math.exp(c2 / (temperature * wavelength)) - 1);
+}
+
+/**
+ * Resample a 10 nm color matching function table onto the 5 nm grid
+ * @param {number[][]} table - 31 [x̄, ȳ, z̄] rows at 10 nm
+ * @returns {number[][]} 61 [x̄, ȳ, z̄] rows at 5 nm
+ */
+function cmfTo5nm(table) {
+    const columns = [0, 1, 2].map(c => to5nm(table.map(row => row[c])));
+    return WAVELENGTHS.map((_, i) => columns.map(column => column[i]));
+}
+
+// Standard observers available for spectral conversions
+export const OBSERVERS = [
+    { id: '2', label: 'CIE 1931 2°', cmf: cmfTo5nm(CIE_1931_2DEG) },
+    { id: '10', label: 'CIE 1964 10°', cmf: cmfTo5nm(CIE_1964_10DEG) }
+];
+
+// Illuminants with known spectral power distributions (ids match ../color/adaptation)
+export const SPECTRAL_ILLUMINANTS = [
+    { id: 'D65', label: 'D65 Daylight', spd: to5nm(D65_SPD) },
+    { id: 'D50', label: 'D50 Horizon Daylight', spd: to5nm(D50_SPD) },
+    { id: 'A', label: 'A Incandescent', spd: WAVELENGTHS.map(illuminantA) },
+    { id: 'F2', label: 'F2 Cool White Fluorescent', spd: F2_SPD },
+    { id: 'F11', label: 'F11 TL84 Store Light', spd: F11_SPD }
+];
+
+/**
+ * Resample measured reflectance onto the 5 nm grid
+ * Values outside the measured range are held at the nearest measured value
+ * @param {number[]} wavelengths - Measured wavelengths in nm, ascending
+ * @param {number[]} values - Reflectance factors (0-1) at those wavelengths
+ * @returns {number[]} Reflectance at each of WAVELENGTHS
+ */
+export function resampleSpectrum(wavelengths, values) {
+    return WAVELENGTHS.map(wavelength => {
+        if (wavelength <= wavelengths[0]) return values[0];
+        if (wavelength >= wavelengths[wavelengths.length - 1]) return values[values.length - 1];
+
+        const upper = wavelengths.findIndex(w => w >= wavelength);
+        const lower = upper - 1;
+        const t = (wavelength - wavelengths[lower]) / (wavelengths[upper] - wavelengths[lower]);
+        return values[lower] + (values[upper] - values[lower]) * t;
+    });
+}
+
+/**
+ * Calculate tristimulus values for a reflectance curve
+ * @param {number[]} reflectance - Reflectance at each of WAVELENGTHS (0-1)
+ * @param {string} illuminantId - One of the SPECTRAL_ILLUMINANTS ids
+ * @param {string} observerId - One of the OBSERVERS ids
+ * @returns {{x: number, y: number, z: number}} XYZ with the illuminant's white at Y = 1
+ */
+export function spectrumToXyz(reflectance, illuminantId = 'D65', observerId = '2') {
+    const illuminant = SPECTRAL_ILLUMINANTS.find(i => i.id === illuminantId) || SPECTRAL_ILLUMINANTS[0];
+    const observer = OBSERVERS.find(o => o.id === observerId) || OBSERVERS[0];
+
+    let x = 0, y = 0, z = 0, norm = 0;
+    WAVELENGTHS.forEach((_, i) => {
+        const power = illuminant.spd[i];
+        const [xBar, yBar, zBar] = observer.cmf[i];
+        x += power * reflectance[i] * xBar;
+        y += power * reflectance[i] * yBar;
+        z += power * reflectance[i] * zBar;
+        norm += power * yBar;
+    });
+
+    return { x: x / norm, y: y / norm, z: z / norm };
+}
+
+/**
+ * Describe a reflectance curve as a color under an illuminant and observer
+ *
+ * Lab is relative to the illuminant's own white, as in a spectrophotometer
+ * readout. The sRGB value is chromatically adapted back to D65 (Bradford), so it
+ * shows how the sample looks under that light once the eye has adjusted to it;
+ * two samples that match in daylight but not under store light will differ here.
+ *
+ * @param {number[]} reflectance - Reflectance at each of WAVELENGTHS (0-1)
+ * @param {string} illuminantId - One of the SPECTRAL_ILLUMINANTS ids
+ * @param {string} observerId - One of the OBSERVERS ids
+ * @returns {{xyz: Object, lab: Object, hex: string, inGamut: boolean}} The color
+ */
+export function spectrumToColor(reflectance, illuminantId = 'D65', observerId = '2') {
+    const xyz = spectrumToXyz(reflectance, illuminantId, observerId);
+    const white = spectrumToXyz(WAVELENGTHS.map(() => 1), illuminantId, observerId);
+    const lab = xyzToLab(xyz, white);
+
+    // Adapt from the illuminant white to the sRGB (D65) white
+    const m = bradfordMatrix(white, D65_WHITE);
+    const adapted = {
+        x: m[0] * xyz.x + m[1] * xyz.y + m[2] * xyz.z,
+        y: m[3] * xyz.x + m[4] * xyz.y + m[5] * xyz.z,
+        z: m[6] * xyz.x + m[7] * xyz.y + m[8] * xyz.z
+    };
+    const rgb = xyzToRgb(adapted);
+
+    return { xyz, lab, hex: rgbToHex(rgb), inGamut: isInGamut(rgb) };
+}
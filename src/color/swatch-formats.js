@@ -0,0 +1,327 @@
+/**
+ * Swatch file formats for design tools
+ *
+ * Every writer takes the same input: named groups of named colors, e.g.
+ * [{ name: 'Stem stops', colors: [{ name: 'Stem bottom', hex: '#000000' }] }].
+ * Text formats are returned as strings, binary formats as Uint8Arrays.
+ */
+
+import { hexToRgb, rgbToHsl, rgbToLab } from './color-space';
+
+export const SWATCH_FORMATS = [
+    { id: 'ase', label: 'Adobe Swatch Exchange (.ase)', extension: 'ase', mimeType: 'application/octet-stream' },
+    { id: 'gpl', label: 'GIMP Palette (.gpl)', extension: 'gpl', mimeType: 'text/plain' },
+    { id: 'procreate', label: 'Procreate (.swatches)', extension: 'swatches', mimeType: 'application/zip' },
+    { id: 'css', label: 'CSS Variables (.css)', extension: 'css', mimeType: 'text/css' },
+    { id: 'tailwind', label: 'Tailwind Colors (.json)', extension: 'json', mimeType: 'application/json' },
+    { id: 'csv', label: 'CSV (.csv)', extension: 'csv', mimeType: 'text/csv' }
+];
+
+// Procreate palettes hold at most 30 swatches
+export const PROCREATE_MAX_SWATCHES = 30;
+
+/**
+ * Turn a name into a lowercase identifier (CSS variables, JSON keys)
+ * @param {string} name - The name
+ * @returns {string} The identifier
+ */
+function slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'color';
+}
+
+/**
+ * Adobe Swatch Exchange: one ASE group per swatch group, RGB process colors
+ * @param {Object[]} groups - The swatch groups
+ * @returns {Uint8Array} The file contents
+ */
+function writeAse(groups) {
+    const blocks = [];
+
+    // Names are UTF-16BE with a length prefix (in characters) and a null terminator
+    const nameBytes = (name) => {
+        const bytes = new Uint8Array(2 + (name.length + 1) * 2);
+        const view = new DataView(bytes.buffer);
+        view.setUint16(0, name.length + 1);
+        for (let i = 0; i < name.length; i++) {
+            view.setUint16(2 + i * 2, name.charCodeAt(i));
+        }
+        return bytes;
+    };
+
+    const block = (type, body) => {
+        const bytes = new Uint8Array(6 + body.length);
+        const view = new DataView(bytes.buffer);
+        view.setUint16(0, type);
+        view.setUint32(2, body.length);
+        bytes.set(body, 6);
+        return bytes;
+    };
+
+    groups.forEach(group => {
+        blocks.push(block(0xC001, nameBytes(group.name)));
+
+        group.colors.forEach(({ name, hex }) => {
+            const label = nameBytes(name);
+            const body = new Uint8Array(label.length + 4 + 12 + 2);
+            const view = new DataView(body.buffer);
+            const { r, g, b } = hexToRgb(hex);
+
+            body.set(label, 0);
+            let offset = label.length;
+            'RGB '.split('').forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+            offset += 4;
+            [r, g, b].forEach((channel, i) => view.setFloat32(offset + i * 4, channel / 255));
+            offset += 12;
+            view.setUint16(offset, 2); // Normal (not global or spot) color
+
+            blocks.push(block(0x0001, body));
+        });
+
+        blocks.push(block(0xC002, new Uint8Array(0)));
+    });
+
+    const length = 12 + blocks.reduce((sum, b) => sum + b.length, 0);
+    const bytes = new Uint8Array(length);
+    const view = new DataView(bytes.buffer);
+
+    'ASEF'.split('').forEach((char, i) => view.setUint8(i, char.charCodeAt(0)));
+    view.setUint16(4, 1); // Version 1.0
+    view.setUint16(6, 0);
+    view.setUint32(8, blocks.length);
+
+    let offset = 12;
+    blocks.forEach(b => {
+        bytes.set(b, offset);
+        offset += b.length;
+    });
+
+    return bytes;
+}
+
+/**
+ * GIMP palette (also read by Inkscape and Krita)
+ * @param {Object[]} groups - The swatch groups
+ * @param {string} title - The palette name
+ * @returns {string} The file contents
+ */
+function writeGpl(groups, title) {
+    const lines = ['GIMP Palette', `Name: ${title}`, 'Columns: 8', '#'];
+
+    groups.forEach(group => {
+        lines.push(`# ${group.name}`);
+        group.colors.forEach(({ name, hex }) => {
+            const { r, g, b } = hexToRgb(hex);
+            const channels = [r, g, b].map(c => String(Math.round(c)).padStart(3, ' ')).join(' ');
+            lines.push(`${channels}\t${name}`);
+        });
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * CSS custom properties, named after the group and color
+ * @param {Object[]} groups - The swatch groups
+ * @param {string} title - The palette name
+ * @returns {string} The file contents
+ */
+function writeCss(groups, title) {
+    const lines = [`/* ${title} */`, ':root {'];
+
+    groups.forEach(group => {
+        lines.push(`    /* ${group.name} */`);
+        group.colors.forEach(({ name, hex }) => {
+            lines.push(`    --tcs-${slugify(name)}: ${hex.toLowerCase()};`);
+        });
+    });
+
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Tailwind-style color object: single colors as values, groups as numbered scales
+ * (100 for the first color, 200 for the second, ...)
+ * @param {Object[]} groups - The swatch groups
+ * @returns {string} The file contents
+ */
+function writeTailwind(groups) {
+    const colors = {};
+
+    groups.forEach(group => {
+        const key = slugify(group.name);
+        if (group.colors.length === 1) {
+            colors[key] = group.colors[0].hex.toLowerCase();
+            return;
+        }
+
+        colors[key] = {};
+        group.colors.forEach(({ hex }, i) => {
+            colors[key][String((i + 1) * 100)] = hex.toLowerCase();
+        });
+    });
+
+    return `${JSON.stringify({ tcs: colors }, null, 2)}\n`;
+}
+
+/**
+ * CSV with hex, RGB and CIELAB columns
+ * @param {Object[]} groups - The swatch groups
+ * @returns {string} The file contents
+ */
+function writeCsv(groups) {
+    const quote = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    // CIELAB columns use the color library's lab_ names, so the file loads back as a library
+    const lines = ['group,name,hex,r,g,b,lab_l,lab_a,lab_b'];
+    const fixed = (value) => (Math.abs(value) < 0.005 ? 0 : value).toFixed(2);
+
+    groups.forEach(group => {
+        group.colors.forEach(({ name, hex }) => {
+            const rgb = hexToRgb(hex);
+            const lab = rgbToLab(rgb);
+            lines.push([
+                quote(group.name),
+                quote(name),
+                hex.toUpperCase(),
+                Math.round(rgb.r),
+                Math.round(rgb.g),
+                Math.round(rgb.b),
+                fixed(lab.l),
+                fixed(lab.a),
+                fixed(lab.b)
+            ].join(','));
+        });
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+// CRC-32 lookup table for the ZIP container
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * CRC-32 of a byte array
+ * @param {Uint8Array} bytes - The data
+ * @returns {number} The checksum
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// 1980-01-01, the earliest valid ZIP (MS-DOS) date
+const DOS_DATE = (1 << 5) | 1;
+
+/**
+ * Build an uncompressed ZIP archive holding one file
+ * @param {string} fileName - Name of the file inside the archive
+ * @param {Uint8Array} data - The file contents
+ * @returns {Uint8Array} The archive
+ */
+function zipSingleFile(fileName, data) {
+    const name = new TextEncoder().encode(fileName);
+    const crc = crc32(data);
+
+    const local = new Uint8Array(30 + name.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034B50, true);
+    localView.setUint16(4, 20, true); // Version needed
+    localView.setUint16(12, DOS_DATE, true);
+    localView.setUint32(14, crc, true);
+    localView.setUint32(18, data.length, true);
+    localView.setUint32(22, data.length, true);
+    localView.setUint16(26, name.length, true);
+    local.set(name, 30);
+
+    const central = new Uint8Array(46 + name.length);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, 0x02014B50, true);
+    centralView.setUint16(4, 20, true); // Version made by
+    centralView.setUint16(6, 20, true); // Version needed
+    centralView.setUint16(14, DOS_DATE, true);
+    centralView.setUint32(16, crc, true);
+    centralView.setUint32(20, data.length, true);
+    centralView.setUint32(24, data.length, true);
+    centralView.setUint16(28, name.length, true);
+    central.set(name, 46);
+
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054B50, true);
+    endView.setUint16(8, 1, true);
+    endView.setUint16(10, 1, true);
+    endView.setUint32(12, central.length, true);
+    endView.setUint32(16, local.length + data.length, true);
+
+    const zip = new Uint8Array(local.length + data.length + central.length + end.length);
+    zip.set(local, 0);
+    zip.set(data, local.length);
+    zip.set(central, local.length + data.length);
+    zip.set(end, local.length + data.length + central.length);
+    return zip;
+}
+
+/**
+ * Procreate swatches: a ZIP holding Swatches.json with HSB colors
+ * Only the first PROCREATE_MAX_SWATCHES colors fit in one palette
+ * @param {Object[]} groups - The swatch groups
+ * @param {string} title - The palette name
+ * @returns {Uint8Array} The file contents
+ */
+function writeProcreate(groups, title) {
+    const swatches = groups
+        .flatMap(group => group.colors)
+        .slice(0, PROCREATE_MAX_SWATCHES)
+        .map(({ hex }) => {
+            const { r, g, b } = hexToRgb(hex);
+            const max = Math.max(r, g, b);
+            const min = Math.min(r, g, b);
+            const { h } = rgbToHsl({ r, g, b });
+
+            return {
+                hue: h / 360,
+                saturation: max === 0 ? 0 : (max - min) / max,
+                brightness: max / 255,
+                alpha: 1,
+                colorSpace: 0
+            };
+        });
+
+    const json = JSON.stringify([{ name: title, swatches }]);
+    return zipSingleFile('Swatches.json', new TextEncoder().encode(json));
+}
+
+/**
+ * Write swatch groups in one of the SWATCH_FORMATS
+ * @param {Object[]} groups - Groups of { name, hex } colors
+ * @param {string} formatId - One of the SWATCH_FORMATS ids
+ * @param {string} title - The palette name stored in formats that have one
+ * @returns {string|Uint8Array} The file contents
+ */
+export function writeSwatchFile(groups, formatId, title = 'TCS Swatches') {
+    switch (formatId) {
+        case 'ase':
+            return writeAse(groups);
+        case 'gpl':
+            return writeGpl(groups, title);
+        case 'procreate':
+            return writeProcreate(groups, title);
+        case 'css':
+            return writeCss(groups, title);
+        case 'tailwind':
+            return writeTailwind(groups);
+        case 'csv':
+            return writeCsv(groups);
+        default:
+            throw new Error(`Unknown swatch format: ${formatId}`);
+    }
+}
@@ -0,0 +1,267 @@
+import * as THREE from 'three';
+import { updateColorDisplay, getComplementMode } from './ui';
+import { getAllFiberPresets, isValidStemShape, MIN_STEM_OFFSET } from '../visualization/stem-presets';
+import { COMPLEMENT_MODES } from '../color/complementary';
+
+// Segment counts behind the four steps of the stem segments slider
+const STEM_SEGMENT_STEPS = [4, 8, 16, 24];
+
+/**
+ * Take a snapshot of the colorway currently shown
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ * @returns {Object} Plain, JSON-safe state (main color, lining, gradient, display mode, transparency, stem and camera)
+ */
+export function captureAppState(visualization) {
+    const liningColor = visualization.useGrayLining ? visualization.grayLiningColor : visualization.complementaryColor;
+    const stemShape = visualization.editedStemShape;
+
+    return {
+        mainColor: `#${visualization.currentColor.getHexString()}`,
+        lining: {
+            enabled: visualization.showGradient,
+            mode: visualization.useGrayLining ? 'gray' : 'complementary',
+            color: `#${liningColor.getHexString()}`,
+            complementMode: getComplementMode()
+        },
+        circularGradient: visualization.showCircularGradient,
+        displayMode: visualization.displayMode,
+        transparency: visualization.transparencyLevel,
+        stem: {
+            curved: visualization.useCurvedStem,
+            multiple: visualization.showMultipleStems,
+            preset: visualization.stemPreset,
+            offset: visualization.stemMaxOffset,
+            segments: visualization.curvedStemSegments,
+            colorDriven: visualization.colorDrivenStem,
+            useRamp: visualization.stemUsesRamp,
+            shape: stemShape ? { heights: stemShape.heights.slice(), offsets: stemShape.offsets.slice() } : null
+        },
+        camera: {
+            position: visualization.camera.position.toArray(),
+            target: visualization.controls.target.toArray()
+        }
+    };
+}
+
+/**
+ * Take a snapshot of the view settings that are not part of a colorway
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ * @returns {Object} Grid, mesh, rotation and theme settings
+ */
+export function captureViewState(visualization) {
+    return {
+        grid: visualization.showGrid,
+        mesh: visualization.showMesh,
+        invertMesh: visualization.invertMeshColor,
+        rotating: visualization.isRotating,
+        rotationSpeed: visualization.rotationSpeed,
+        theme: visualization.isDarkMode ? 'dark' : 'light'
+    };
+}
+
+/**
+ * Check a snapshot from outside the app (a link or a file) field by field
+ * Invalid fields are dropped, so applying the result leaves those settings unchanged
+ * @param {Object} raw - The parsed snapshot
+ * @returns {{state: Object, problems: string[]}} The valid fields and a description of each dropped one
+ */
+export function sanitizeAppState(raw) {
+    const problems = [];
+    const state = {};
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { state, problems: ['the settings are not an object'] };
+    }
+
+    const isHex = value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+    const isBoolean = value => typeof value === 'boolean';
+    const isNumberIn = (min, max) => value => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+    const isOneOf = (...options) => value => options.includes(value);
+    const isVector = value => Array.isArray(value) && value.length === 3 && value.every(isNumberIn(-1000, 1000));
+    const isStemShape = value => value === null || isValidStemShape(value);
+
+    // Copy the fields of one section that pass their check
+    const copySection = (source, target, checks, sectionName) => {
+        Object.entries(checks).forEach(([key, isValid]) => {
+            if (!(key in source)) return;
+            if (isValid(source[key])) {
+                target[key] = source[key];
+            } else {
+                problems.push(sectionName ? `${sectionName} ${key}` : key);
+            }
+        });
+    };
+
+    copySection(raw, state, {
+        mainColor: isHex,
+        circularGradient: isBoolean,
+        displayMode: isOneOf('knit-pattern', 'semi-transparent', 'solid'),
+        transparency: isNumberIn(0, 1)
+    });
+
+    const sections = {
+        lining: {
+            enabled: isBoolean,
+            mode: isOneOf('complementary', 'gray'),
+            color: isHex,
+            complementMode: isOneOf(...COMPLEMENT_MODES.map(mode => mode.id))
+        },
+        stem: {
+            curved: isBoolean,
+            multiple: isBoolean,
+            preset: value => typeof value === 'string' && value.length > 0,
+            offset: isNumberIn(MIN_STEM_OFFSET, 1),
+            segments: isNumberIn(4, 24),
+            colorDriven: isBoolean,
+            useRamp: isBoolean,
+            shape: isStemShape
+        },
+        camera: {
+            position: isVector,
+            target: isVector
+        },
+        view: {
+            grid: isBoolean,
+            mesh: isBoolean,
+            invertMesh: isBoolean,
+            rotating: isBoolean,
+            rotationSpeed: isNumberIn(0, 0.05),
+            theme: isOneOf('light', 'dark')
+        }
+    };
+
+    Object.entries(sections).forEach(([name, checks]) => {
+        if (!(name in raw)) return;
+        const source = raw[name];
+        if (!source || typeof source !== 'object' || Array.isArray(source)) {
+            problems.push(name);
+            return;
+        }
+        state[name] = {};
+        copySection(source, state[name], checks, name);
+    });
+
+    // The camera needs both halves of its pose
+    if (state.camera && !(state.camera.position && state.camera.target)) {
+        if (!problems.some(problem => problem.startsWith('camera'))) problems.push('camera');
+        delete state.camera;
+    }
+
+    return { state, problems };
+}
+
+/**
+ * Set a control's value and fire its event, so its own handler updates the
+ * visualization and any readouts exactly as if the user had changed it
+ * @param {string} id - The control's element id
+ * @param {string} property - 'value' or 'checked'
+ * @param {*} value - The new value
+ * @param {string} eventType - 'change' or 'input'
+ */
+export function setControl(id, property, value, eventType) {
+    const control = document.getElementById(id);
+    if (!control || control[property] === value) return;
+
+    control[property] = value;
+    control.dispatchEvent(new Event(eventType));
+}
+
+/**
+ * Restore a snapshot taken with captureAppState, keeping the controls in step
+ * A `view` section (from captureViewState) is restored too when present.
+ * Missing sections leave that part of the view unchanged
+ * @param {Object} state - The snapshot
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function applyAppState(state, visualization) {
+    if (state.lining && state.lining.complementMode) {
+        setControl('complementModeSelect', 'value', state.lining.complementMode, 'change');
+    }
+
+    if (state.mainColor) {
+        updateColorDisplay(state.mainColor, visualization);
+    }
+
+    if (state.lining) {
+        setControl('grayLiningToggle', 'checked', state.lining.mode === 'gray', 'change');
+        setControl('gradientToggle', 'checked', Boolean(state.lining.enabled), 'change');
+    }
+
+    // Transparency first: the display mode builds its materials from it
+    if (typeof state.transparency === 'number') {
+        setControl('transparencyLevel', 'value', String(state.transparency), 'input');
+    }
+
+    if (state.displayMode) {
+        const radio = document.querySelector(`input[name="displayMode"][value="${state.displayMode}"]`);
+        if (radio && !radio.checked) {
+            radio.checked = true;
+            radio.dispatchEvent(new Event('change'));
+        } else if (!radio) {
+            visualization.setDisplayMode(state.displayMode);
+        }
+    }
+
+    // After the display mode, which rebuilds the cylinder's material
+    if (typeof state.circularGradient === 'boolean') {
+        const circularGradientToggle = document.getElementById('circularGradientToggle');
+        if (circularGradientToggle) circularGradientToggle.checked = state.circularGradient;
+        if (state.circularGradient || visualization.showCircularGradient) {
+            visualization.toggleCircularGradient(state.circularGradient);
+        }
+    }
+
+    if (state.stem) {
+        const stem = state.stem;
+
+        if (typeof stem.curved === 'boolean') setControl('curvedStemToggle', 'checked', stem.curved, 'change');
+        if (typeof stem.multiple === 'boolean') setControl('showMultipleStemsToggle', 'checked', stem.multiple, 'change');
+
+        // Custom presets live in this browser only; keep the current preset if the saved one is missing
+        if (stem.preset && getAllFiberPresets().some(preset => preset.id === stem.preset)) {
+            setControl('stemPresetSelect', 'value', stem.preset, 'change');
+        }
+
+        if (typeof stem.colorDriven === 'boolean') setControl('colorDrivenStemToggle', 'checked', stem.colorDriven, 'change');
+        if (typeof stem.offset === 'number') setControl('stemOffsetSlider', 'value', String(stem.offset), 'input');
+        if (typeof stem.useRamp === 'boolean') setControl('gradientStemToggle', 'checked', stem.useRamp, 'change');
+
+        if (typeof stem.segments === 'number') {
+            // Nearest slider step to the saved segment count
+            let step = 0;
+            STEM_SEGMENT_STEPS.forEach((segments, i) => {
+                if (Math.abs(segments - stem.segments) < Math.abs(STEM_SEGMENT_STEPS[step] - stem.segments)) step = i;
+            });
+            setControl('stemSegmentsSlider', 'value', String(step + 1), 'input');
+        }
+
+        // Hand-edited control points go last; changing the preset or color-driven shape clears them
+        if (stem.shape && Array.isArray(stem.shape.heights) && Array.isArray(stem.shape.offsets)) {
+            visualization.setEditedStemShape(stem.shape);
+        } else if (stem.shape === null && visualization.editedStemShape) {
+            // Re-applying the preset drops the current hand edits
+            visualization.setStemPreset(visualization.stemPreset);
+        }
+    }
+
+    if (state.view) {
+        const view = state.view;
+
+        if (typeof view.theme === 'string') setControl('themeToggle', 'checked', view.theme === 'dark', 'change');
+        if (typeof view.grid === 'boolean') setControl('gridToggle', 'checked', view.grid, 'change');
+
+        // Inverting the mesh color also turns the mesh on, so it goes first
+        if (typeof view.invertMesh === 'boolean') setControl('invertGridColorToggle', 'checked', view.invertMesh, 'change');
+        if (typeof view.mesh === 'boolean') setControl('showMeshToggle', 'checked', view.mesh, 'change');
+
+        if (typeof view.rotationSpeed === 'number') setControl('rotationSpeed', 'value', String(view.rotationSpeed), 'input');
+        if (typeof view.rotating === 'boolean') setControl('rotationToggle', 'checked', view.rotating, 'change');
+    }
+
+    if (state.camera && Array.isArray(state.camera.position) && Array.isArray(state.camera.target)) {
+        visualization.animateCameraMove(
+            new THREE.Vector3().fromArray(state.camera.position),
+            new THREE.Vector3().fromArray(state.camera.target)
+        );
+    }
+}
@@ -0,0 +1,137 @@
+import { updateColorDisplay, addColorChangeListener } from './ui';
+import { parseLibraryFile, findNearestColors } from '../color/library';
+
+// Currently loaded library entries
+let library = [];
+
+/**
+ * Render the library entries nearest to a color
+ * @param {string} hexColor - The color to match
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function updateLibraryMatches(hexColor, visualization) {
+    const matchesContainer = document.getElementById('libraryMatches');
+    const matchCountSelect = document.getElementById('libraryMatchCount');
+    if (!matchesContainer) return;
+
+    matchesContainer.innerHTML = '';
+    if (library.length === 0) return;
+
+    const count = matchCountSelect ? parseInt(matchCountSelect.value) : 5;
+
+    findNearestColors(library, hexColor, count).forEach(({ entry, deltaE }) => {
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        row.style.gap = '10px';
+        row.style.padding = '5px';
+        row.style.borderRadius = '4px';
+        row.style.cursor = 'pointer';
+        row.style.textAlign = 'left';
+        row.title = `Use ${entry.code} ${entry.name} as the main color`;
+
+        // Highlight an entry that (visually) matches the current color
+        if (deltaE < 0.5) {
+            row.style.backgroundColor = 'var(--selector-bg)';
+            row.style.fontWeight = 'bold';
+        }
+
+        const chip = document.createElement('div');
+        chip.style.width = '28px';
+        chip.style.height = '28px';
+        chip.style.flexShrink = '0';
+        chip.style.borderRadius = '4px';
+        chip.style.boxShadow = '0 1px 2px var(--shadow-color)';
+        chip.style.backgroundColor = entry.hex;
+
+        const label = document.createElement('div');
+        label.style.flex = '1';
+        label.style.overflow = 'hidden';
+        label.style.textOverflow = 'ellipsis';
+        label.style.whiteSpace = 'nowrap';
+        label.textContent = entry.name ? `${entry.code} ${entry.name}` : entry.code;
+
+        const difference = document.createElement('span');
+        difference.style.fontFamily = 'monospace';
+        difference.style.fontSize = '0.85rem';
+        difference.textContent = `ΔE00 ${deltaE.toFixed(2)}`;
+
+        row.appendChild(chip);
+        row.appendChild(label);
+        row.appendChild(difference);
+
+        row.addEventListener('mouseover', () => {
+            row.style.outline = '1px solid var(--selector-border)';
+        });
+        row.addEventListener('mouseout', () => {
+            row.style.outline = 'none';
+        });
+
+        // Apply the library shade as the main color
+        row.addEventListener('click', () => {
+            updateColorDisplay(entry.hex, visualization);
+        });
+
+        matchesContainer.appendChild(row);
+    });
+}
+
+/**
+ * Setup the color library panel
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function setupColorLibrary(visualization) {
+    const loadLibraryButton = document.getElementById('loadLibraryButton');
+    const libraryFileInput = document.getElementById('libraryFileInput');
+    const libraryStatus = document.getElementById('libraryStatus');
+    const matchCountSelect = document.getElementById('libraryMatchCount');
+
+    const refresh = () => updateLibraryMatches(`#${visualization.currentColor.getHexString()}`, visualization);
+
+    const setStatus = (message, isError = false) => {
+        if (!libraryStatus) return;
+        libraryStatus.textContent = message;
+        libraryStatus.style.color = isError ? '#d9534f' : 'var(--text-color)';
+    };
+
+    if (loadLibraryButton && libraryFileInput) {
+        // Open the file chooser
+        loadLibraryButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            libraryFileInput.click();
+        });
+
+        libraryFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    const { entries, skipped } = parseLibraryFile(reader.result, file.name);
+                    library = entries;
+                    setStatus(`${file.name}: ${library.length} colors` +
+                        (skipped > 0 ? ` (${skipped} invalid ${skipped === 1 ? 'row' : 'rows'} skipped)` : ''));
+                } catch (error) {
+                    console.error('Error loading color library:', error);
+                    setStatus(`Could not load ${file.name}: ${error.message}`, true);
+                }
+                refresh();
+            };
+            reader.onerror = () => {
+                setStatus(`Could not read ${file.name}`, true);
+            };
+            reader.readAsText(file);
+
+            // Allow the same file to be chosen again after editing it
+            libraryFileInput.value = '';
+        });
+    }
+
+    if (matchCountSelect) {
+        matchCountSelect.addEventListener('change', refresh);
+    }
+
+    // Re-rank the library whenever the main color changes
+    addColorChangeListener((hexColor) => updateLibraryMatches(hexColor, visualization));
+}
@@ -0,0 +1,116 @@
+import { hexToRgb, rgbToLab } from '../color/color-space';
+import { deltaE2000 } from '../color/delta-e';
+import { sampleRamp } from '../color/gradient-ramp';
+
+// Largest ΔE00 still reported as a match (8-bit rounding stays well below this)
+const MATCH_TOLERANCE = 0.5;
+
+/**
+ * Explain why the rendered midpoint may legitimately differ from the target
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ * @returns {string[]} Short notes for the readout
+ */
+function getVerificationNotes(visualization) {
+    const notes = [];
+
+    if (!visualization.colorManaged) notes.push('color management is off');
+    if (visualization.displayMode !== 'solid') notes.push('blended with the lining in this display mode');
+    if (visualization.showCircularGradient) notes.push('circular gradient mixes in the second color');
+    if (visualization.colorVisionType !== 'none' || visualization.illuminant !== 'D65' || visualization.splitIlluminant) {
+        notes.push('vision or illuminant simulation is on');
+    }
+
+    return notes;
+}
+
+/**
+ * Sample the rendered midpoint and show how far it is from the target color
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function verifyMidpoint(visualization) {
+    const readout = document.getElementById('colorVerifyReadout');
+    if (!readout) return;
+
+    readout.style.display = 'block';
+
+    const rendered = visualization.sampleMidpointPixel();
+    if (!rendered) {
+        readout.textContent = 'The cylinder midpoint is off screen; reset the view and try again.';
+        return;
+    }
+
+    // The mid band shows the ramp at 50% (the entered color for the default ramp)
+    const target = sampleRamp(visualization.gradientRamp, `#${visualization.currentColor.getHexString()}`, 0.5);
+    const difference = deltaE2000(rgbToLab(hexToRgb(target)), rgbToLab(hexToRgb(rendered)));
+    const notes = getVerificationNotes(visualization);
+
+    readout.innerHTML = '';
+
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '6px';
+
+    [['Target', target], ['Rendered', rendered]].forEach(([label, hex]) => {
+        const swatch = document.createElement('span');
+        swatch.style.display = 'inline-block';
+        swatch.style.width = '14px';
+        swatch.style.height = '14px';
+        swatch.style.borderRadius = '2px';
+        swatch.style.border = '1px solid var(--selector-border)';
+        swatch.style.backgroundColor = hex;
+
+        const text = document.createElement('span');
+        text.textContent = `${label} ${hex.toUpperCase()}`;
+
+        row.appendChild(swatch);
+        row.appendChild(text);
+    });
+
+    const result = document.createElement('div');
+    const matches = difference <= MATCH_TOLERANCE;
+    result.textContent = `ΔE00 ${difference.toFixed(2)} — ${matches ? 'match' : 'mismatch'}`;
+    result.style.fontWeight = 'bold';
+    result.style.color = matches ? '#5cb85c' : '#d9534f';
+
+    readout.appendChild(row);
+    readout.appendChild(result);
+
+    if (notes.length > 0) {
+        const note = document.createElement('div');
+        note.textContent = `Note: ${notes.join('; ')}.`;
+        note.style.opacity = '0.8';
+        readout.appendChild(note);
+    }
+}
+
+/**
+ * Setup the color management toggle and the midpoint verification readout
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function setupColorManagement(visualization) {
+    const toggle = document.getElementById('colorManagementToggle');
+    const verifyButton = document.getElementById('verifyColorButton');
+    const readout = document.getElementById('colorVerifyReadout');
+
+    if (toggle) {
+        toggle.checked = visualization.colorManaged;
+        toggle.addEventListener('change', (e) => {
+            visualization.setColorManagement(e.target.checked);
+        });
+    }
+
+    if (verifyButton) {
+        verifyButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            verifyMidpoint(visualization);
+        });
+    }
+
+    // Keep an open readout current (after the next frame has drawn the change)
+    visualization.addChangeListener(() => {
+        if (readout && readout.style.display !== 'none') {
+            requestAnimationFrame(() => verifyMidpoint(visualization));
+        }
+    });
+}
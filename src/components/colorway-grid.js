@@ -0,0 +1,202 @@
+import * as THREE from 'three';
+import { calculateComplementaryColor } from '../color/complementary';
+import { findColorName } from '../color/notation';
+import { getComplementMode } from './ui';
+
+// Most colorways laid out in the grid at once
+const MAX_COLORWAYS = 12;
+
+export const LINING_OPTIONS = [
+    { id: 'none', label: 'No Lining' },
+    { id: 'complementary', label: 'Complementary' },
+    { id: 'gray', label: 'Tonal Gray' }
+];
+
+// Colorways in the grid, as { hex, lining, label } (lining is one of the LINING_OPTIONS ids)
+let colorways = [];
+
+/**
+ * Get the colorways in the comparison grid
+ * @returns {{hex: string, lining: string, label: string}[]} The colorways
+ */
+export function getColorways() {
+    return colorways.map(colorway => ({ ...colorway }));
+}
+
+/**
+ * Replace the colorways in the comparison grid
+ * @param {{hex: string, lining: string, label: string}[]} list - The colorways (at most 12 are kept)
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function loadColorways(list, visualization) {
+    colorways = list.slice(0, MAX_COLORWAYS).map(colorway => ({ ...colorway }));
+    applyColorways(visualization);
+}
+
+/**
+ * Work out a colorway's lining color
+ * @param {{hex: string, lining: string}} colorway - The colorway
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ * @returns {THREE.Color|null} The lining color, or null for no lining
+ */
+function getLiningColor({ hex, lining }, visualization) {
+    if (lining === 'gray') return visualization.grayLiningColor.clone();
+    if (lining === 'complementary') return new THREE.Color(calculateComplementaryColor(hex, getComplementMode()));
+    return null;
+}
+
+/**
+ * Push the colorways to the visualization and redraw the list
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function applyColorways(visualization) {
+    visualization.setColorways(colorways.map(colorway => ({
+        color: new THREE.Color(colorway.hex),
+        lining: getLiningColor(colorway, visualization),
+        label: colorway.label
+    })));
+    renderColorwayList(visualization);
+}
+
+/**
+ * Render one editable row per colorway
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function renderColorwayList(visualization) {
+    const list = document.getElementById('colorwayList');
+    const addButton = document.getElementById('addColorwayButton');
+    const status = document.getElementById('colorwayStatus');
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    colorways.forEach((colorway, index) => {
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        row.style.gap = '6px';
+
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.value = colorway.hex;
+        colorInput.title = 'Colorway color';
+        colorInput.style.width = '32px';
+        colorInput.style.height = '26px';
+        colorInput.style.padding = '0';
+        colorInput.style.border = 'none';
+        colorInput.style.background = 'none';
+        colorInput.style.cursor = 'pointer';
+        colorInput.addEventListener('change', () => {
+            colorway.hex = colorInput.value;
+            applyColorways(visualization);
+        });
+
+        const labelInput = document.createElement('input');
+        labelInput.type = 'text';
+        labelInput.value = colorway.label;
+        labelInput.title = 'Label shown above the cylinder';
+        labelInput.style.flex = '1';
+        labelInput.style.minWidth = '0';
+        labelInput.style.padding = '4px';
+        labelInput.style.border = '1px solid var(--selector-border)';
+        labelInput.style.background = 'var(--container-bg)';
+        labelInput.style.color = 'var(--text-color)';
+        labelInput.style.borderRadius = '4px';
+        labelInput.addEventListener('change', () => {
+            colorway.label = labelInput.value.trim();
+            applyColorways(visualization);
+        });
+
+        const liningSelect = document.createElement('select');
+        liningSelect.title = 'Lining';
+        liningSelect.style.width = '120px';
+        liningSelect.style.padding = '4px';
+        liningSelect.style.border = '1px solid var(--selector-border)';
+        liningSelect.style.background = 'var(--container-bg)';
+        liningSelect.style.color = 'var(--text-color)';
+        liningSelect.style.borderRadius = '4px';
+        liningSelect.innerHTML = LINING_OPTIONS
+            .map(option => `<option value="${option.id}">${option.label}</option>`)
+            .join('');
+        liningSelect.value = colorway.lining;
+        liningSelect.addEventListener('change', () => {
+            colorway.lining = liningSelect.value;
+            applyColorways(visualization);
+        });
+
+        const remove = document.createElement('span');
+        remove.innerHTML = '&times;';
+        remove.title = `Remove ${colorway.label || colorway.hex.toUpperCase()}`;
+        remove.style.cursor = 'pointer';
+        remove.style.fontWeight = 'bold';
+        remove.addEventListener('click', () => {
+            colorways.splice(index, 1);
+            applyColorways(visualization);
+        });
+
+        row.appendChild(colorInput);
+        row.appendChild(labelInput);
+        row.appendChild(liningSelect);
+        row.appendChild(remove);
+        list.appendChild(row);
+    });
+
+    if (addButton) {
+        addButton.disabled = colorways.length >= MAX_COLORWAYS;
+    }
+
+    if (status) {
+        status.textContent = colorways.length === 0
+            ? 'Add colorways to compare them side by side'
+            : `${colorways.length} of ${MAX_COLORWAYS} colorways`;
+    }
+}
+
+/**
+ * Setup the colorway comparison grid
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function setupColorwayGrid(visualization) {
+    const gridButton = document.getElementById('colorwayGridButton');
+    const addButton = document.getElementById('addColorwayButton');
+    const clearButton = document.getElementById('clearColorwaysButton');
+
+    if (gridButton) {
+        gridButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            const enabled = !visualization.showColorwayGrid;
+            visualization.toggleColorwayGrid(enabled);
+
+            gridButton.setAttribute('aria-pressed', String(enabled));
+            gridButton.style.backgroundColor = enabled ? 'var(--selector-active-bg)' : '';
+            gridButton.style.color = enabled ? 'var(--selector-active-text)' : '';
+        });
+    }
+
+    // Add the main color with its current lining setting
+    if (addButton) {
+        addButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (colorways.length >= MAX_COLORWAYS) return;
+
+            const hex = `#${visualization.currentColor.getHexString()}`;
+            let lining = 'none';
+            if (visualization.showGradient) {
+                lining = visualization.useGrayLining ? 'gray' : 'complementary';
+            }
+
+            colorways.push({ hex, lining, label: findColorName(hex) || hex.toUpperCase() });
+            applyColorways(visualization);
+        });
+    }
+
+    if (clearButton) {
+        clearButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            colorways = [];
+            applyColorways(visualization);
+        });
+    }
+
+    renderColorwayList(visualization);
+}
@@ -0,0 +1,299 @@
+import {
+    DEFAULT_RAMP,
+    RAMP_EASINGS,
+    RAMP_SPACES,
+    MAX_RAMP_STOPS,
+    cloneRamp,
+    sampleRamp,
+    rampToCss,
+    addRampStop,
+    removeRampStop
+} from '../color/gradient-ramp';
+
+// Index of the stop shown in the stop controls
+let selectedStop = 1;
+
+// Stop being dragged along the bar, or null
+let dragStop = null;
+
+/**
+ * The color the ramp preview is drawn for
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ * @returns {string} The main color as hex
+ */
+function getBaseHex(visualization) {
+    return `#${visualization.currentColor.getHexString()}`;
+}
+
+/**
+ * Change one stop and hand the edited ramp to the visualization
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ * @param {Object} changes - Stop properties to change
+ */
+function updateSelectedStop(visualization, changes) {
+    const ramp = cloneRamp(visualization.gradientRamp);
+    Object.assign(ramp.stops[selectedStop], changes);
+    visualization.setGradientRamp(ramp);
+}
+
+/**
+ * Redraw the bar preview and its stop markers
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function renderGradientBar(visualization) {
+    const gradientBar = document.getElementById('gradientBar');
+    if (!gradientBar) return;
+
+    const ramp = visualization.gradientRamp;
+    const baseHex = getBaseHex(visualization);
+    gradientBar.style.backgroundImage = rampToCss(ramp, baseHex);
+
+    // Reuse the markers while dragging so the pointer capture isn't lost
+    const markers = Array.from(gradientBar.querySelectorAll('.gradient-stop-marker'));
+    if (markers.length !== ramp.stops.length) {
+        markers.forEach(marker => marker.remove());
+        markers.length = 0;
+
+        ramp.stops.forEach((stop, index) => {
+            const marker = document.createElement('div');
+            marker.className = 'gradient-stop-marker';
+            marker.title = 'Drag to move; double-click to remove';
+            marker.style.position = 'absolute';
+            marker.style.bottom = '-8px';
+            marker.style.width = '10px';
+            marker.style.height = '16px';
+            marker.style.marginLeft = '-6px';
+            marker.style.borderRadius = '3px';
+            marker.style.cursor = 'ew-resize';
+            marker.style.touchAction = 'none';
+            marker.dataset.index = index;
+
+            marker.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                selectedStop = parseInt(marker.dataset.index, 10);
+                dragStop = selectedStop;
+                marker.setPointerCapture(e.pointerId);
+                renderGradientEditor(visualization);
+            });
+
+            marker.addEventListener('pointermove', (e) => {
+                if (dragStop === null) return;
+
+                const rect = gradientBar.getBoundingClientRect();
+                const stops = visualization.gradientRamp.stops;
+                const min = dragStop > 0 ? stops[dragStop - 1].position : 0;
+                const max = dragStop < stops.length - 1 ? stops[dragStop + 1].position : 1;
+                const position = (e.clientX - rect.left) / rect.width;
+
+                updateSelectedStop(visualization, { position: Math.max(min, Math.min(max, position)) });
+            });
+
+            marker.addEventListener('pointerup', () => {
+                dragStop = null;
+            });
+
+            // Keep marker clicks from adding a stop
+            marker.addEventListener('click', (e) => e.stopPropagation());
+
+            marker.addEventListener('dblclick', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                const ramp = removeRampStop(visualization.gradientRamp, parseInt(marker.dataset.index, 10));
+                if (!ramp) return;
+                selectedStop = Math.min(selectedStop, ramp.stops.length - 1);
+                visualization.setGradientRamp(ramp);
+            });
+
+            gradientBar.appendChild(marker);
+            markers.push(marker);
+        });
+    }
+
+    ramp.stops.forEach((stop, index) => {
+        const marker = markers[index];
+        const selected = index === selectedStop;
+        marker.style.left = `${stop.position * 100}%`;
+        marker.style.backgroundColor = stop.color || sampleRamp(ramp, baseHex, stop.position);
+        marker.style.border = selected ? '2px solid var(--text-color)' : '1px solid var(--selector-border)';
+        marker.style.zIndex = selected ? '2' : '1';
+    });
+}
+
+/**
+ * Sync the stop controls with the selected stop
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function renderStopControls(visualization) {
+    const ramp = visualization.gradientRamp;
+    const stop = ramp.stops[selectedStop];
+    if (!stop) return;
+
+    const stopLabel = document.getElementById('gradientStopLabel');
+    const positionInput = document.getElementById('gradientStopPosition');
+    const sourceSelect = document.getElementById('gradientStopSource');
+    const tintSlider = document.getElementById('gradientStopTint');
+    const colorInput = document.getElementById('gradientStopColor');
+    const easingSelect = document.getElementById('gradientStopEasing');
+    const removeButton = document.getElementById('removeGradientStopButton');
+    const spaceSelect = document.getElementById('gradientSpaceSelect');
+
+    if (stopLabel) stopLabel.textContent = `Stop ${selectedStop + 1} of ${ramp.stops.length}`;
+    if (positionInput && document.activeElement !== positionInput) {
+        positionInput.value = Math.round(stop.position * 100);
+    }
+    if (sourceSelect) sourceSelect.value = stop.color ? 'fixed' : 'shade';
+    if (tintSlider) {
+        tintSlider.value = Math.round(stop.tint * 100);
+        tintSlider.style.display = stop.color ? 'none' : '';
+    }
+    if (colorInput) {
+        colorInput.value = stop.color || sampleRamp(ramp, getBaseHex(visualization), stop.position);
+        colorInput.style.display = stop.color ? '' : 'none';
+    }
+    if (easingSelect) {
+        // The last stop has no segment after it
+        easingSelect.value = stop.easing;
+        easingSelect.disabled = selectedStop === ramp.stops.length - 1;
+    }
+    if (removeButton) removeButton.disabled = ramp.stops.length <= 2;
+    if (spaceSelect) spaceSelect.value = ramp.space;
+}
+
+/**
+ * Redraw the whole ramp editor
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function renderGradientEditor(visualization) {
+    selectedStop = Math.min(selectedStop, visualization.gradientRamp.stops.length - 1);
+    renderGradientBar(visualization);
+    renderStopControls(visualization);
+}
+
+/**
+ * Setup the gradient ramp editor on the gradient bar
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function setupGradientEditor(visualization) {
+    const gradientBar = document.getElementById('gradientBar');
+    const positionInput = document.getElementById('gradientStopPosition');
+    const sourceSelect = document.getElementById('gradientStopSource');
+    const tintSlider = document.getElementById('gradientStopTint');
+    const colorInput = document.getElementById('gradientStopColor');
+    const easingSelect = document.getElementById('gradientStopEasing');
+    const removeButton = document.getElementById('removeGradientStopButton');
+    const spaceSelect = document.getElementById('gradientSpaceSelect');
+    const resetButton = document.getElementById('resetGradientButton');
+    const stemRampToggle = document.getElementById('gradientStemToggle');
+
+    // Click the bar to add a stop there
+    if (gradientBar) {
+        gradientBar.title = `Click to add a stop (up to ${MAX_RAMP_STOPS}); drag a stop to move it`;
+        gradientBar.addEventListener('click', (e) => {
+            const rect = gradientBar.getBoundingClientRect();
+            const position = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+            const added = addRampStop(visualization.gradientRamp, position, getBaseHex(visualization));
+            if (!added) return;
+
+            selectedStop = added.index;
+            visualization.setGradientRamp(added.ramp);
+        });
+    }
+
+    if (positionInput) {
+        positionInput.addEventListener('change', (e) => {
+            const stops = visualization.gradientRamp.stops;
+            const min = selectedStop > 0 ? stops[selectedStop - 1].position : 0;
+            const max = selectedStop < stops.length - 1 ? stops[selectedStop + 1].position : 1;
+            const value = parseFloat(e.target.value) / 100;
+
+            if (!Number.isFinite(value)) {
+                renderStopControls(visualization);
+                return;
+            }
+            updateSelectedStop(visualization, { position: Math.max(min, Math.min(max, value)) });
+        });
+    }
+
+    if (sourceSelect) {
+        sourceSelect.addEventListener('change', (e) => {
+            const ramp = visualization.gradientRamp;
+            const stop = ramp.stops[selectedStop];
+
+            // Start a fixed stop from the color it currently shows
+            updateSelectedStop(visualization, {
+                color: e.target.value === 'fixed' ? sampleRamp(ramp, getBaseHex(visualization), stop.position) : null
+            });
+        });
+    }
+
+    if (tintSlider) {
+        tintSlider.addEventListener('input', (e) => {
+            updateSelectedStop(visualization, { tint: parseInt(e.target.value, 10) / 100 });
+        });
+    }
+
+    if (colorInput) {
+        colorInput.addEventListener('input', (e) => {
+            updateSelectedStop(visualization, { color: e.target.value });
+        });
+    }
+
+    if (easingSelect) {
+        easingSelect.innerHTML = RAMP_EASINGS
+            .map(easing => `<option value="${easing.id}">${easing.label}</option>`)
+            .join('');
+        easingSelect.addEventListener('change', (e) => {
+            updateSelectedStop(visualization, { easing: e.target.value });
+        });
+    }
+
+    if (removeButton) {
+        removeButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            const ramp = removeRampStop(visualization.gradientRamp, selectedStop);
+            if (!ramp) return;
+            selectedStop = Math.max(0, selectedStop - 1);
+            visualization.setGradientRamp(ramp);
+        });
+    }
+
+    if (spaceSelect) {
+        spaceSelect.innerHTML = RAMP_SPACES
+            .map(space => `<option value="${space.id}">${space.label}</option>`)
+            .join('');
+        spaceSelect.addEventListener('change', (e) => {
+            const ramp = cloneRamp(visualization.gradientRamp);
+            ramp.space = e.target.value;
+            visualization.setGradientRamp(ramp);
+        });
+    }
+
+    if (resetButton) {
+        resetButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            selectedStop = 1;
+            visualization.setGradientRamp(cloneRamp(DEFAULT_RAMP));
+        });
+    }
+
+    if (stemRampToggle) {
+        stemRampToggle.checked = visualization.stemUsesRamp;
+        stemRampToggle.addEventListener('change', (e) => {
+            visualization.toggleStemRamp(e.target.checked);
+        });
+    }
+
+    window.addEventListener('pointerup', () => {
+        dragStop = null;
+    });
+
+    // The preview follows both ramp edits and the main color
+    visualization.addChangeListener(property => {
+        if (property === 'gradient' || property === 'color') {
+            renderGradientEditor(visualization);
+        }
+    });
+
+    renderGradientEditor(visualization);
+}
@@ -0,0 +1,113 @@
+import * as THREE from 'three';
+import { updateColorDisplay, addColorChangeListener } from './ui';
+import { HARMONY_MODES, calculateHarmonyColors } from '../color/harmony';
+
+// Currently selected harmony mode
+let harmonyMode = 'none';
+
+/**
+ * Render the harmony swatches and cylinders for a base color
+ * @param {string} hexColor - The base color as a hex string
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function updateHarmonyDisplay(hexColor, visualization) {
+    const harmonyColors = calculateHarmonyColors(hexColor, harmonyMode);
+
+    // Draw one cylinder per harmony color
+    visualization.setHarmonyColors(harmonyColors.map(hex => new THREE.Color(hex)));
+
+    const swatchContainer = document.getElementById('harmonySwatches');
+    if (!swatchContainer) return;
+
+    swatchContainer.innerHTML = '';
+    swatchContainer.style.display = harmonyColors.length > 0 ? 'flex' : 'none';
+
+    harmonyColors.forEach(hex => {
+        const upperHex = hex.toUpperCase();
+
+        const swatch = document.createElement('div');
+        swatch.style.flex = '1';
+        swatch.style.minWidth = '60px';
+        swatch.style.textAlign = 'center';
+        swatch.style.cursor = 'pointer';
+        swatch.title = `Use ${upperHex} as the main color`;
+
+        const chip = document.createElement('div');
+        chip.className = 'color-swatch';
+        chip.style.width = '100%';
+        chip.style.height = '36px';
+        chip.style.margin = '0 0 4px 0';
+        chip.style.backgroundColor = hex;
+
+        const label = document.createElement('span');
+        label.textContent = upperHex;
+        label.style.fontSize = '0.8rem';
+
+        swatch.appendChild(chip);
+        swatch.appendChild(label);
+
+        // Promote this harmony color to the main color
+        swatch.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            updateColorDisplay(hex, visualization);
+        });
+
+        swatchContainer.appendChild(swatch);
+    });
+}
+
+/**
+ * Setup the color harmony controls
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function setupHarmonyControls(visualization) {
+    const harmonyModeSelect = document.getElementById('harmonyModeSelect');
+    const harmonyLayoutSelect = document.getElementById('harmonyLayoutSelect');
+    const refresh = () => updateHarmonyDisplay(`#${visualization.currentColor.getHexString()}`, visualization);
+
+    if (harmonyModeSelect) {
+        // Populate the options from the available harmonies
+        harmonyModeSelect.innerHTML = HARMONY_MODES
+            .map(mode => `<option value="${mode.id}">${mode.label}</option>`)
+            .join('');
+        harmonyModeSelect.value = harmonyMode;
+
+        harmonyModeSelect.addEventListener('change', (e) => {
+            harmonyMode = e.target.value;
+
+            // The layout only matters while a harmony is shown
+            if (harmonyLayoutSelect) {
+                harmonyLayoutSelect.disabled = harmonyMode === 'none';
+            }
+
+            refresh();
+        });
+    }
+
+    if (harmonyLayoutSelect) {
+        harmonyLayoutSelect.value = visualization.harmonyLayout;
+        harmonyLayoutSelect.disabled = harmonyMode === 'none';
+
+        harmonyLayoutSelect.addEventListener('change', (e) => {
+            visualization.setHarmonyLayout(e.target.value);
+        });
+    }
+
+    // Follow every change to the main color
+    addColorChangeListener((hexColor) => updateHarmonyDisplay(hexColor, visualization));
+
+    // Reset clears the harmony along with the other toggles
+    const resetButton = document.getElementById('resetButton');
+    if (resetButton) {
+        resetButton.addEventListener('click', () => {
+            harmonyMode = 'none';
+            if (harmonyModeSelect) harmonyModeSelect.value = harmonyMode;
+            if (harmonyLayoutSelect) harmonyLayoutSelect.disabled = true;
+            refresh();
+        });
+    }
+
+    refresh();
+}
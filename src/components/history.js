@@ -0,0 +1,323 @@
+import { captureAppState, applyAppState } from './app-state';
+import { cloneRamp } from '../color/gradient-ramp';
+
+// Oldest steps are dropped beyond this many
+const MAX_HISTORY_STEPS = 100;
+
+const DISPLAY_MODE_LABELS = {
+    'knit-pattern': 'Construction',
+    'semi-transparent': 'Transparent',
+    solid: 'Solid'
+};
+
+// Steps as { label, before, after } snapshots; the first `position` of them are applied
+let commands = [];
+let position = 0;
+
+// Snapshot of the state after the last recorded step
+let currentState = null;
+
+// Control whose continuous input (slider drag, typing) is being merged into the last step
+let openMergeKey = null;
+
+// Control whose 'input' event is being handled, so the changes it makes can be merged
+let activeInputKey = null;
+
+// Pointer drag in progress (e.g. a gradient stop); the changes it makes merge into one step
+let gestureKey = null;
+let gestureCount = 0;
+
+// Set while a step is being undone or redone, so restoring doesn't record new steps
+let restoring = false;
+
+// Pending check for the changes notified since the last one, with the control behind them
+let pendingCheck = null;
+let pendingMergeKey = null;
+
+/**
+ * Snapshot without the camera (orbiting the view is not an undoable step),
+ * plus the gradient ramp
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ * @returns {Object} The state
+ */
+function captureHistoryState(visualization) {
+    const state = captureAppState(visualization);
+    delete state.camera;
+    state.gradientRamp = cloneRamp(visualization.gradientRamp);
+    return state;
+}
+
+/**
+ * Describe what changed between two snapshots
+ * @param {Object} before - The state before
+ * @param {Object} after - The state after
+ * @returns {string} A short label for the history list
+ */
+function describeChange(before, after) {
+    if (before.mainColor !== after.mainColor) return `Color ${after.mainColor.toUpperCase()}`;
+    if (before.lining.complementMode !== after.lining.complementMode) return 'Complement algorithm';
+    if (before.lining.enabled !== after.lining.enabled) return after.lining.enabled ? 'Show lining' : 'Hide lining';
+    if (before.lining.mode !== after.lining.mode) return after.lining.mode === 'gray' ? 'Tonal lining on' : 'Tonal lining off';
+    if (before.circularGradient !== after.circularGradient) return after.circularGradient ? 'Gradient on' : 'Gradient off';
+    if (before.displayMode !== after.displayMode) return `Display mode: ${DISPLAY_MODE_LABELS[after.displayMode] || after.displayMode}`;
+    if (before.transparency !== after.transparency) return `Transparency ${Math.round(after.transparency * 100)}%`;
+    if (JSON.stringify(before.gradientRamp) !== JSON.stringify(after.gradientRamp)) return 'Edit gradient ramp';
+
+    const stemBefore = before.stem;
+    const stemAfter = after.stem;
+    if (stemBefore.curved !== stemAfter.curved) return stemAfter.curved ? 'Curved stem on' : 'Curved stem off';
+    if (stemBefore.multiple !== stemAfter.multiple) return stemAfter.multiple ? 'Multiple stems on' : 'Multiple stems off';
+    if (stemBefore.preset !== stemAfter.preset) return 'Fiber preset';
+    if (stemBefore.colorDriven !== stemAfter.colorDriven) return stemAfter.colorDriven ? 'Color-driven stem on' : 'Color-driven stem off';
+    if (stemBefore.offset !== stemAfter.offset) return `Stem curvature ${stemAfter.offset.toFixed(2)}`;
+    if (stemBefore.segments !== stemAfter.segments) return `Stem segments ${stemAfter.segments}`;
+    if (stemBefore.useRamp !== stemAfter.useRamp) return stemAfter.useRamp ? 'Ramp on stems' : 'Preset shades on stems';
+    return 'Edit stem shape';
+}
+
+/**
+ * Record a step if the visualization changed since the last one
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ * @param {string|null} mergeKey - Control behind a continuous input; repeated inputs from it update one step
+ */
+function checkForChange(visualization, mergeKey = null) {
+    if (restoring || !currentState) return;
+
+    const state = captureHistoryState(visualization);
+    if (JSON.stringify(state) === JSON.stringify(currentState)) return;
+
+    const last = commands[position - 1];
+    if (mergeKey && mergeKey === openMergeKey && last && position === commands.length) {
+        // Same drag or typing run: extend the last step
+        last.after = state;
+        last.label = describeChange(last.before, state);
+    } else {
+        // A new step drops anything that could have been redone
+        commands = commands.slice(0, position);
+        commands.push({ label: describeChange(currentState, state), before: currentState, after: state });
+        if (commands.length > MAX_HISTORY_STEPS) commands.shift();
+        position = commands.length;
+    }
+
+    openMergeKey = mergeKey;
+    currentState = state;
+    renderHistory(visualization);
+}
+
+/**
+ * Restore a snapshot without recording it
+ * @param {Object} state - The snapshot
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function restoreState(state, visualization) {
+    restoring = true;
+    try {
+        applyAppState(state, visualization);
+        if (JSON.stringify(state.gradientRamp) !== JSON.stringify(visualization.gradientRamp)) {
+            visualization.setGradientRamp(state.gradientRamp);
+        }
+    } finally {
+        restoring = false;
+    }
+
+    currentState = captureHistoryState(visualization);
+    openMergeKey = null;
+    renderHistory(visualization);
+}
+
+/**
+ * Record the notified changes now instead of waiting for them to settle
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function flushPendingCheck(visualization) {
+    if (!pendingCheck) return;
+
+    clearTimeout(pendingCheck);
+    pendingCheck = null;
+    checkForChange(visualization, pendingMergeKey);
+}
+
+/**
+ * Step back one change
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function undo(visualization) {
+    flushPendingCheck(visualization);
+    if (position === 0) return;
+    position--;
+    restoreState(commands[position].before, visualization);
+}
+
+/**
+ * Step forward one undone change
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function redo(visualization) {
+    flushPendingCheck(visualization);
+    if (position === commands.length) return;
+    position++;
+    restoreState(commands[position - 1].after, visualization);
+}
+
+/**
+ * Jump straight to a point in the history
+ * @param {number} target - Number of steps applied (0 for the starting state)
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function jumpTo(target, visualization) {
+    flushPendingCheck(visualization);
+    if (target === position || target < 0 || target > commands.length) return;
+
+    position = target;
+    restoreState(target === 0 ? commands[0].before : commands[target - 1].after, visualization);
+}
+
+/**
+ * Render the history list and the undo/redo button states
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function renderHistory(visualization) {
+    const list = document.getElementById('historyList');
+    const undoButton = document.getElementById('undoButton');
+    const redoButton = document.getElementById('redoButton');
+
+    if (undoButton) undoButton.disabled = position === 0;
+    if (redoButton) redoButton.disabled = position === commands.length;
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    const entries = [{ label: 'Start' }, ...commands];
+    entries.forEach((command, i) => {
+        const item = document.createElement('div');
+        item.textContent = command.label;
+        item.style.padding = '3px 6px';
+        item.style.borderRadius = '4px';
+        item.style.cursor = 'pointer';
+        item.style.textAlign = 'left';
+
+        if (i === position) {
+            // The state currently shown
+            item.style.backgroundColor = 'var(--selector-active-bg)';
+            item.style.color = 'var(--selector-active-text)';
+            item.style.fontWeight = 'bold';
+        } else if (i > position) {
+            // Undone steps that can be redone
+            item.style.opacity = '0.5';
+        }
+
+        item.title = i === 0 ? 'Go back to the start' : `Go to: ${command.label}`;
+        item.addEventListener('click', () => jumpTo(i, visualization));
+        list.appendChild(item);
+    });
+
+    // Keep the current step in view
+    const current = list.children[position];
+    if (current) {
+        list.scrollTop = current.offsetTop - list.offsetTop - list.clientHeight / 2;
+    }
+}
+
+/**
+ * Setup undo/redo history for the visualization settings
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function setupHistory(visualization) {
+    currentState = captureHistoryState(visualization);
+
+    // Steps are recorded from the visualization's change notifications; the 'input'
+    // event being dispatched only tells which control made them. The capture listener
+    // runs before the control's own handler and the bubbling one after it
+    document.addEventListener('input', (e) => {
+        activeInputKey = e.target.id || e.target.name || null;
+    }, true);
+    document.addEventListener('input', () => {
+        activeInputKey = null;
+    });
+
+    // Releasing the slider or leaving the field ends the merged step
+    document.addEventListener('change', () => {
+        flushPendingCheck(visualization);
+        openMergeKey = null;
+    });
+
+    // Likewise for controls dragged with the pointer instead of firing 'input'
+    document.addEventListener('pointerdown', () => {
+        gestureKey = `pointer-${++gestureCount}`;
+    }, true);
+    const endGesture = () => {
+        if (!gestureKey) return;
+        flushPendingCheck(visualization);
+        if (openMergeKey === gestureKey) openMergeKey = null;
+        gestureKey = null;
+    };
+    document.addEventListener('pointerup', endGesture, true);
+    document.addEventListener('pointercancel', endGesture, true);
+
+    // Changes notified together (a new color also sets the complementary color) make one step
+    visualization.addChangeListener(() => {
+        if (restoring) return;
+        if (pendingCheck) {
+            // Changes from different sources don't merge
+            if (pendingMergeKey !== (activeInputKey || gestureKey)) pendingMergeKey = null;
+            return;
+        }
+
+        pendingMergeKey = activeInputKey || gestureKey;
+        pendingCheck = setTimeout(() => {
+            pendingCheck = null;
+            checkForChange(visualization, pendingMergeKey);
+        }, 0);
+    });
+
+    const undoButton = document.getElementById('undoButton');
+    const redoButton = document.getElementById('redoButton');
+    const clearButton = document.getElementById('clearHistoryButton');
+
+    if (undoButton) {
+        undoButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            undo(visualization);
+        });
+    }
+
+    if (redoButton) {
+        redoButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            redo(visualization);
+        });
+    }
+
+    if (clearButton) {
+        clearButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            commands = [];
+            position = 0;
+            openMergeKey = null;
+            currentState = captureHistoryState(visualization);
+            renderHistory(visualization);
+        });
+    }
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), plus Ctrl+Y; text fields keep their own undo
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        const target = e.target;
+        const isTextField = target.isContentEditable ||
+            target.tagName === 'TEXTAREA' ||
+            (target.tagName === 'INPUT' && ['text', 'search', 'number'].includes(target.type));
+        if (isTextField) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo(visualization);
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo(visualization);
+        }
+    });
+
+    renderHistory(visualization);
+}
@@ -0,0 +1,124 @@
+import { compareColors } from '../color/metrics';
+
+// Labels for the five curved-stem stops, bottom to top
+export const STEM_STOP_LABELS = ['Stem bottom', 'Stem lower', 'Stem middle', 'Stem upper', 'Stem top'];
+
+/**
+ * Collect the color pairs shown in the metrics panel
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ * @returns {{label: string, hex: string, metrics: Object}[]} One row per compared color
+ */
+function collectMetricRows(visualization) {
+    const mainHex = `#${visualization.currentColor.getHexString()}`;
+
+    // The lining is the gray color in tonal mode and the complementary color otherwise
+    const liningColor = visualization.useGrayLining ? visualization.grayLiningColor : visualization.complementaryColor;
+    const liningHex = `#${liningColor.getHexString()}`;
+    const liningLabel = visualization.useGrayLining ? 'Lining (tonal)' : 'Lining (complementary)';
+
+    const rows = [{ label: liningLabel, hex: liningHex, metrics: compareColors(mainHex, liningHex) }];
+
+    visualization.getStemStopColors().forEach((stopColor, i) => {
+        const stopHex = `#${stopColor.getHexString()}`;
+        rows.push({ label: STEM_STOP_LABELS[i], hex: stopHex, metrics: compareColors(mainHex, stopHex) });
+    });
+
+    return rows;
+}
+
+/**
+ * Render the metrics table
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function updateMetricsPanel(visualization) {
+    const table = document.getElementById('metricsTable');
+    const reference = document.getElementById('metricsReference');
+    if (!table) return;
+
+    const mainHex = `#${visualization.currentColor.getHexString()}`.toUpperCase();
+    if (reference) {
+        reference.innerHTML = `Compared to main color <span style="display: inline-block; width: 12px; height: 12px; border-radius: 2px; vertical-align: middle; background-color: ${mainHex};"></span> <strong>${mainHex}</strong>`;
+    }
+
+    const cellStyle = 'padding: 3px 4px; text-align: right; font-family: monospace;';
+    const rows = collectMetricRows(visualization).map(({ label, hex, metrics }) => `
+        <tr>
+            <td style="padding: 3px 4px; text-align: left; white-space: nowrap;">
+                <span style="display: inline-block; width: 12px; height: 12px; border-radius: 2px; vertical-align: middle; margin-right: 4px; border: 1px solid var(--selector-border); background-color: ${hex};"></span>${label}
+            </td>
+            <td style="${cellStyle}">${metrics.deltaE2000.toFixed(2)}</td>
+            <td style="${cellStyle}">${metrics.deltaE76.toFixed(2)}</td>
+            <td style="${cellStyle}">${metrics.contrast.toFixed(2)}:1</td>
+            <td style="${cellStyle}">${metrics.deltaL >= 0 ? '+' : ''}${metrics.deltaL.toFixed(1)}</td>
+        </tr>`).join('');
+
+    table.innerHTML = `
+        <thead>
+            <tr style="border-bottom: 1px solid var(--selector-border);">
+                <th style="padding: 3px 4px; text-align: left;">Color</th>
+                <th style="padding: 3px 4px; text-align: right;" title="CIEDE2000 color difference">ΔE00</th>
+                <th style="padding: 3px 4px; text-align: right;" title="CIE76 color difference">ΔE76</th>
+                <th style="padding: 3px 4px; text-align: right;" title="WCAG contrast ratio">Contrast</th>
+                <th style="padding: 3px 4px; text-align: right;" title="Lightness difference (color minus main)">ΔL*</th>
+            </tr>
+        </thead>
+        <tbody>${rows}</tbody>`;
+}
+
+/**
+ * Format the metrics as tab-separated text for pasting into a tech pack
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ * @returns {string} The metrics as TSV
+ */
+function formatMetricsText(visualization) {
+    const mainHex = `#${visualization.currentColor.getHexString()}`.toUpperCase();
+    const lines = [['Color', 'Hex', 'dE00', 'dE76', 'Contrast', 'dL*'].join('\t')];
+
+    collectMetricRows(visualization).forEach(({ label, hex, metrics }) => {
+        lines.push([
+            label,
+            hex.toUpperCase(),
+            metrics.deltaE2000.toFixed(2),
+            metrics.deltaE76.toFixed(2),
+            metrics.contrast.toFixed(2),
+            metrics.deltaL.toFixed(1)
+        ].join('\t'));
+    });
+
+    return `Main color\t${mainHex}\n${lines.join('\n')}`;
+}
+
+/**
+ * Setup the color metrics panel
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function setupMetricsPanel(visualization) {
+    // Refresh whenever the color, lining or stem changes
+    visualization.addChangeListener(() => updateMetricsPanel(visualization));
+
+    const copyMetricsButton = document.getElementById('copyMetricsButton');
+    if (copyMetricsButton) {
+        copyMetricsButton.addEventListener('click', () => {
+            if (!navigator.clipboard) {
+                alert('Clipboard access is not available in this browser.');
+                return;
+            }
+
+            navigator.clipboard.writeText(formatMetricsText(visualization))
+                .then(() => {
+                    // Brief confirmation on the button itself
+                    const originalHtml = copyMetricsButton.innerHTML;
+                    copyMetricsButton.innerHTML = '<i class="fas fa-check"></i> Copied';
+                    setTimeout(() => {
+                        copyMetricsButton.innerHTML = originalHtml;
+                    }, 1500);
+                })
+                .catch((error) => {
+                    console.error('Error copying metrics:', error);
+                    alert('Unable to copy the metrics. Please try again.');
+                });
+        });
+    }
+
+    updateMetricsPanel(visualization);
+}
@@ -0,0 +1,120 @@
+import { generateRampPalette, PALETTE_SPACINGS, MIN_PALETTE_STEPS, MAX_PALETTE_STEPS } from '../color/palette';
+
+// The last generated palette (empty until "Generate" is used)
+let generatedPalette = [];
+
+/**
+ * Get the last generated tone palette
+ * @returns {{hex: string, position: number, rgb: Object, lab: Object}[]} The steps, bottom to top
+ */
+export function getGeneratedPalette() {
+    return generatedPalette.slice();
+}
+
+/**
+ * Sample the ramp with the chosen count and spacing and show the result
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function generatePalette(visualization) {
+    const countInput = document.getElementById('paletteCount');
+    const spacingSelect = document.getElementById('paletteSpacing');
+
+    const count = countInput ? parseInt(countInput.value, 10) : 9;
+    const spacing = spacingSelect ? spacingSelect.value : 'height';
+    const baseHex = `#${visualization.currentColor.getHexString()}`;
+
+    generatedPalette = generateRampPalette(visualization.gradientRamp, baseHex, count, spacing);
+
+    // Show the count actually used after clamping
+    if (countInput) countInput.value = generatedPalette.length;
+
+    renderPaletteStrip();
+}
+
+/**
+ * Render the palette as a strip of swatches with their values
+ */
+function renderPaletteStrip() {
+    const strip = document.getElementById('paletteStrip');
+    if (!strip) return;
+
+    strip.innerHTML = '';
+
+    generatedPalette.forEach(({ hex, position, rgb, lab }) => {
+        const step = document.createElement('div');
+        step.style.flex = '1 0 64px';
+        step.style.display = 'flex';
+        step.style.flexDirection = 'column';
+        step.style.fontSize = '0.7rem';
+        step.style.fontFamily = 'monospace';
+        step.style.lineHeight = '1.3';
+
+        const swatch = document.createElement('div');
+        swatch.style.height = '36px';
+        swatch.style.borderRadius = '4px';
+        swatch.style.border = '1px solid var(--selector-border)';
+        swatch.style.backgroundColor = hex;
+        swatch.style.marginBottom = '3px';
+        swatch.title = `${(position * 100).toFixed(0)}% of the height`;
+
+        const hexText = document.createElement('strong');
+        hexText.textContent = hex.toUpperCase();
+
+        const rgbText = document.createElement('span');
+        rgbText.textContent = `${Math.round(rgb.r)} ${Math.round(rgb.g)} ${Math.round(rgb.b)}`;
+        rgbText.title = 'RGB';
+
+        const labText = document.createElement('span');
+        labText.textContent = `${lab.l.toFixed(0)} ${lab.a.toFixed(0)} ${lab.b.toFixed(0)}`;
+        labText.title = 'CIELAB (L* a* b*)';
+
+        step.appendChild(swatch);
+        step.appendChild(hexText);
+        step.appendChild(rgbText);
+        step.appendChild(labText);
+        strip.appendChild(step);
+    });
+}
+
+/**
+ * Setup the tone palette generator
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function setupPaletteGenerator(visualization) {
+    const countInput = document.getElementById('paletteCount');
+    const spacingSelect = document.getElementById('paletteSpacing');
+    const generateButton = document.getElementById('generatePaletteButton');
+
+    if (countInput) {
+        countInput.min = MIN_PALETTE_STEPS;
+        countInput.max = MAX_PALETTE_STEPS;
+    }
+
+    if (spacingSelect) {
+        spacingSelect.innerHTML = PALETTE_SPACINGS
+            .map(spacing => `<option value="${spacing.id}">${spacing.label}</option>`)
+            .join('');
+    }
+
+    // Changing the count or spacing updates a palette that is already shown
+    [countInput, spacingSelect].forEach(control => {
+        if (!control) return;
+        control.addEventListener('change', () => {
+            if (generatedPalette.length > 0) generatePalette(visualization);
+        });
+    });
+
+    if (generateButton) {
+        generateButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            generatePalette(visualization);
+        });
+    }
+
+    // Once generated, keep the palette in step with the color and the ramp
+    visualization.addChangeListener(property => {
+        if (generatedPalette.length > 0 && (property === 'color' || property === 'gradient')) {
+            generatePalette(visualization);
+        }
+    });
+}
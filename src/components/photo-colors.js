@@ -0,0 +1,212 @@
+import { updateColorDisplay } from './ui';
+import { extractDominantColors, CLUSTER_METHODS, MIN_CLUSTERS, MAX_CLUSTERS } from '../color/clustering';
+
+// Photos are scaled down to at most this many pixels on their longer side before clustering
+const MAX_ANALYSIS_SIZE = 160;
+
+// Pixel data of the loaded photo, kept so the cluster settings can be changed without reloading
+let photoPixels = null;
+
+/**
+ * Show a status message under the drop zone
+ * @param {string} message - The message (empty to hide)
+ * @param {boolean} isError - Whether to style it as an error
+ */
+function setPhotoStatus(message, isError = false) {
+    const status = document.getElementById('photoStatus');
+    if (!status) return;
+
+    status.textContent = message;
+    status.style.display = message ? 'block' : 'none';
+    status.style.color = isError ? '#d9534f' : 'var(--text-color)';
+}
+
+/**
+ * Cluster the loaded photo with the chosen settings and list the colors
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function analyzePhoto(visualization) {
+    const list = document.getElementById('photoColors');
+    const countInput = document.getElementById('photoClusterCount');
+    const methodSelect = document.getElementById('photoClusterMethod');
+    if (!list || !photoPixels) return;
+
+    const k = countInput ? parseInt(countInput.value, 10) : 6;
+    const method = methodSelect ? methodSelect.value : 'kmeans';
+
+    const colors = extractDominantColors(photoPixels, k, method);
+
+    list.innerHTML = '';
+    colors.forEach(({ hex, lab, coverage }) => {
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        row.style.gap = '8px';
+        row.style.padding = '3px 4px';
+        row.style.borderRadius = '4px';
+        row.style.cursor = 'pointer';
+        row.title = `L*${lab.l.toFixed(1)} a*${lab.a.toFixed(1)} b*${lab.b.toFixed(1)} · click to use as the main color`;
+
+        const swatch = document.createElement('span');
+        swatch.style.width = '24px';
+        swatch.style.height = '24px';
+        swatch.style.flexShrink = '0';
+        swatch.style.borderRadius = '4px';
+        swatch.style.border = '1px solid var(--selector-border)';
+        swatch.style.backgroundColor = hex;
+
+        const hexText = document.createElement('span');
+        hexText.style.fontFamily = 'monospace';
+        hexText.textContent = hex.toUpperCase();
+
+        // Coverage bar
+        const bar = document.createElement('span');
+        bar.style.flex = '1';
+        bar.style.height = '8px';
+        bar.style.borderRadius = '4px';
+        bar.style.backgroundColor = 'var(--selector-bg)';
+        bar.style.overflow = 'hidden';
+
+        const fill = document.createElement('span');
+        fill.style.display = 'block';
+        fill.style.height = '100%';
+        fill.style.width = `${(coverage * 100).toFixed(1)}%`;
+        fill.style.backgroundColor = hex;
+        bar.appendChild(fill);
+
+        const percent = document.createElement('span');
+        percent.style.width = '48px';
+        percent.style.textAlign = 'right';
+        percent.style.fontFamily = 'monospace';
+        percent.textContent = `${(coverage * 100).toFixed(1)}%`;
+
+        row.addEventListener('mouseenter', () => {
+            row.style.backgroundColor = 'var(--selector-bg)';
+        });
+        row.addEventListener('mouseleave', () => {
+            row.style.backgroundColor = '';
+        });
+        row.addEventListener('click', () => {
+            updateColorDisplay(hex, visualization);
+        });
+
+        row.appendChild(swatch);
+        row.appendChild(hexText);
+        row.appendChild(bar);
+        row.appendChild(percent);
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Load an image file, draw a downscaled copy and analyze it
+ * @param {File} file - The image file
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function loadPhoto(file, visualization) {
+    if (!file.type.startsWith('image/')) {
+        setPhotoStatus(`${file.name} is not an image.`, true);
+        return;
+    }
+
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+
+    image.onload = () => {
+        URL.revokeObjectURL(url);
+
+        try {
+            const scale = Math.min(1, MAX_ANALYSIS_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+            const width = Math.max(1, Math.round(image.naturalWidth * scale));
+            const height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+            // The preview canvas doubles as the analysis buffer
+            const canvas = document.getElementById('photoPreview');
+            canvas.width = width;
+            canvas.height = height;
+            canvas.style.display = 'block';
+
+            const context = canvas.getContext('2d', { willReadFrequently: true });
+            context.drawImage(image, 0, 0, width, height);
+            photoPixels = context.getImageData(0, 0, width, height).data;
+
+            setPhotoStatus(`${file.name} · ${image.naturalWidth}×${image.naturalHeight}`);
+            analyzePhoto(visualization);
+        } catch (error) {
+            console.error('Error analyzing photo:', error);
+            setPhotoStatus('Unable to analyze this photo.', true);
+        }
+    };
+
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        setPhotoStatus(`Unable to read ${file.name}.`, true);
+    };
+
+    image.src = url;
+}
+
+/**
+ * Setup the fabric photo color extraction panel
+ * Everything runs locally; the photo never leaves the browser
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function setupPhotoColors(visualization) {
+    const loadButton = document.getElementById('loadPhotoButton');
+    const dropZone = document.getElementById('photoDropZone');
+    const fileInput = document.getElementById('photoFileInput');
+    const countInput = document.getElementById('photoClusterCount');
+    const methodSelect = document.getElementById('photoClusterMethod');
+
+    if (countInput) {
+        countInput.min = MIN_CLUSTERS;
+        countInput.max = MAX_CLUSTERS;
+        countInput.addEventListener('change', () => analyzePhoto(visualization));
+    }
+
+    if (methodSelect) {
+        methodSelect.innerHTML = CLUSTER_METHODS
+            .map(method => `<option value="${method.id}">${method.label}</option>`)
+            .join('');
+        methodSelect.addEventListener('change', () => analyzePhoto(visualization));
+    }
+
+    if (fileInput) {
+        fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) loadPhoto(file, visualization);
+
+            // Allow the same file to be chosen again
+            fileInput.value = '';
+        });
+    }
+
+    if (loadButton && fileInput) {
+        loadButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            fileInput.click();
+        });
+    }
+
+    if (dropZone) {
+        dropZone.addEventListener('click', () => {
+            if (fileInput) fileInput.click();
+        });
+
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.style.borderColor = 'var(--selector-active-bg)';
+        });
+
+        dropZone.addEventListener('dragleave', () => {
+            dropZone.style.borderColor = 'var(--selector-border)';
+        });
+
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.style.borderColor = 'var(--selector-border)';
+            const file = e.dataTransfer.files[0];
+            if (file) loadPhoto(file, visualization);
+        });
+    }
+}
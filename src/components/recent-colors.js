@@ -0,0 +1,169 @@
+import { updateColorDisplay, addColorChangeListener } from './ui';
+
+// localStorage key for the recent colors tray
+const RECENT_COLORS_KEY = 'tcs-recent-colors';
+
+// Most unpinned colors kept (the oldest are dropped first); pinned colors don't count
+const MAX_RECENT_COLORS = 24;
+
+// How long a color has to stay applied before it is recorded, so dragging the
+// picker or typing a hex code records where it ends up rather than every step
+const SETTLE_DELAY = 500;
+
+// Recent colors, newest first, as { hex, pinned }
+let recentColors = loadRecentColors();
+
+// Pending recording of the color just applied
+let pendingColor = null;
+
+/**
+ * Read the saved recent colors
+ * @returns {{hex: string, pinned: boolean}[]} The colors, newest first
+ */
+function loadRecentColors() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(RECENT_COLORS_KEY) || '[]');
+        return Array.isArray(saved)
+            ? saved
+                .filter(entry => entry && typeof entry.hex === 'string' && /^#[0-9a-f]{6}$/.test(entry.hex))
+                .map(entry => ({ hex: entry.hex, pinned: entry.pinned === true }))
+            : [];
+    } catch (error) {
+        console.error('Error loading recent colors:', error);
+        return [];
+    }
+}
+
+/**
+ * Save the recent colors so they survive a reload
+ */
+function saveRecentColors() {
+    try {
+        localStorage.setItem(RECENT_COLORS_KEY, JSON.stringify(recentColors));
+    } catch (error) {
+        console.error('Error saving recent colors:', error);
+    }
+}
+
+/**
+ * Move a color to the front of the tray, dropping its earlier entry
+ * @param {string} hexColor - The color applied
+ */
+function recordRecentColor(hexColor) {
+    const hex = hexColor.toLowerCase();
+    if (recentColors.length > 0 && recentColors[0].hex === hex) return;
+
+    const existing = recentColors.find(entry => entry.hex === hex);
+    recentColors = [
+        { hex, pinned: existing ? existing.pinned : false },
+        ...recentColors.filter(entry => entry.hex !== hex)
+    ];
+
+    // Drop the oldest unpinned colors beyond the limit
+    let unpinned = 0;
+    recentColors = recentColors.filter(entry => entry.pinned || ++unpinned <= MAX_RECENT_COLORS);
+
+    saveRecentColors();
+}
+
+/**
+ * Render the recent colors, pinned ones first
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function renderRecentColors(visualization) {
+    const tray = document.getElementById('recentColorsTray');
+    const clearButton = document.getElementById('clearRecentColorsButton');
+    if (!tray) return;
+
+    tray.innerHTML = '';
+
+    if (recentColors.length === 0) {
+        const empty = document.createElement('span');
+        empty.textContent = 'Colors you apply will appear here.';
+        empty.style.fontSize = '0.8rem';
+        empty.style.opacity = '0.8';
+        tray.appendChild(empty);
+    }
+
+    const ordered = [
+        ...recentColors.filter(entry => entry.pinned),
+        ...recentColors.filter(entry => !entry.pinned)
+    ];
+
+    ordered.forEach((entry) => {
+        const swatch = document.createElement('div');
+        swatch.style.position = 'relative';
+        swatch.style.width = '24px';
+        swatch.style.height = '24px';
+        swatch.style.borderRadius = '4px';
+        swatch.style.border = entry.pinned ? '2px solid var(--selector-active-bg)' : '1px solid var(--selector-border)';
+        swatch.style.boxSizing = 'border-box';
+        swatch.style.backgroundColor = entry.hex;
+        swatch.style.cursor = 'pointer';
+        swatch.title = `${entry.hex.toUpperCase()}${entry.pinned ? ' (pinned)' : ''}\nClick to use as the main color`;
+
+        swatch.addEventListener('click', () => {
+            updateColorDisplay(entry.hex, visualization);
+        });
+
+        // Pin toggle, always shown (touch screens have no hover) and dimmed until pinned
+        const pin = document.createElement('span');
+        pin.innerHTML = '<i class="fas fa-thumbtack"></i>';
+        pin.title = entry.pinned ? 'Unpin this color' : 'Pin this color so it stays in the tray';
+        pin.style.position = 'absolute';
+        pin.style.top = '-6px';
+        pin.style.right = '-6px';
+        pin.style.width = '14px';
+        pin.style.height = '14px';
+        pin.style.lineHeight = '14px';
+        pin.style.textAlign = 'center';
+        pin.style.fontSize = '8px';
+        pin.style.borderRadius = '50%';
+        pin.style.backgroundColor = entry.pinned ? 'var(--selector-active-bg)' : 'var(--container-bg)';
+        pin.style.color = entry.pinned ? 'var(--selector-active-text)' : 'var(--text-color)';
+        pin.style.border = '1px solid var(--selector-border)';
+        pin.style.opacity = entry.pinned ? '1' : '0.6';
+        pin.addEventListener('click', (e) => {
+            e.stopPropagation();
+            entry.pinned = !entry.pinned;
+            saveRecentColors();
+            renderRecentColors(visualization);
+        });
+
+        swatch.appendChild(pin);
+        tray.appendChild(swatch);
+    });
+
+    if (clearButton) {
+        clearButton.disabled = !recentColors.some(entry => !entry.pinned);
+    }
+}
+
+/**
+ * Setup the recent colors tray
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function setupRecentColors(visualization) {
+    const clearButton = document.getElementById('clearRecentColorsButton');
+
+    if (clearButton) {
+        clearButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            recentColors = recentColors.filter(entry => entry.pinned);
+            saveRecentColors();
+            renderRecentColors(visualization);
+        });
+    }
+
+    // Every way of applying a color ends in a color change notification
+    addColorChangeListener((hexColor) => {
+        clearTimeout(pendingColor);
+        pendingColor = setTimeout(() => {
+            pendingColor = null;
+            recordRecentColor(hexColor);
+            renderRecentColors(visualization);
+        }, SETTLE_DELAY);
+    });
+
+    renderRecentColors(visualization);
+}
@@ -0,0 +1,148 @@
+import { updateColorDisplay } from './ui';
+import { mixRecipe, MIN_COLORANTS, MAX_COLORANTS } from '../color/kubelka-munk';
+
+// Recipe colorants, each a full-strength dye shade with a concentration in percent
+let colorants = [
+    { hex: '#c8102e', concentration: 60 },
+    { hex: '#ffcd00', concentration: 40 }
+];
+
+const inputStyle = 'padding: 3px; border: 1px solid var(--selector-border); background: var(--container-bg); color: var(--text-color); border-radius: 4px;';
+
+/**
+ * Predict the recipe's shade, show it and push it to the visualization
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ * @param {boolean} apply - Whether to make the prediction the main color
+ */
+function updateRecipeResult(visualization, apply = true) {
+    const substrateInput = document.getElementById('recipeSubstrate');
+    const resultSwatch = document.getElementById('recipeResultSwatch');
+    const resultHex = document.getElementById('recipeResultHex');
+
+    const substrate = substrateInput ? substrateInput.value : '#ffffff';
+    const predicted = mixRecipe(colorants, substrate);
+
+    if (resultSwatch) resultSwatch.style.backgroundColor = predicted;
+    if (resultHex) resultHex.textContent = predicted.toUpperCase();
+
+    if (apply) {
+        updateColorDisplay(predicted, visualization);
+    }
+}
+
+/**
+ * Render one row per colorant
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function renderColorants(visualization) {
+    const list = document.getElementById('recipeColorants');
+    const addButton = document.getElementById('addColorantButton');
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    colorants.forEach((colorant, index) => {
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        row.style.gap = '8px';
+
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.value = colorant.hex;
+        colorInput.title = 'Dye shade at full strength';
+        colorInput.style.width = '36px';
+        colorInput.style.height = '28px';
+        colorInput.style.padding = '0';
+        colorInput.style.border = 'none';
+        colorInput.style.background = 'none';
+        colorInput.style.cursor = 'pointer';
+        colorInput.addEventListener('input', (e) => {
+            colorant.hex = e.target.value;
+            updateRecipeResult(visualization);
+        });
+
+        const label = document.createElement('span');
+        label.style.flex = '1';
+        label.style.textAlign = 'left';
+        label.textContent = `Dye ${index + 1}`;
+
+        const concentrationInput = document.createElement('input');
+        concentrationInput.type = 'number';
+        concentrationInput.min = '0';
+        concentrationInput.max = '200';
+        concentrationInput.step = '1';
+        concentrationInput.value = colorant.concentration;
+        concentrationInput.title = 'Concentration (% of full strength)';
+        concentrationInput.style.cssText = `${inputStyle} width: 60px; text-align: right;`;
+        concentrationInput.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            colorant.concentration = Number.isFinite(value) ? Math.max(0, value) : 0;
+            updateRecipeResult(visualization);
+        });
+
+        const unit = document.createElement('span');
+        unit.textContent = '%';
+
+        const removeButton = document.createElement('button');
+        removeButton.innerHTML = '<i class="fas fa-times"></i>';
+        removeButton.title = 'Remove this dye';
+        removeButton.disabled = colorants.length <= MIN_COLORANTS;
+        removeButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (colorants.length <= MIN_COLORANTS) return;
+            colorants.splice(index, 1);
+            renderColorants(visualization);
+            updateRecipeResult(visualization);
+        });
+
+        row.appendChild(colorInput);
+        row.appendChild(label);
+        row.appendChild(concentrationInput);
+        row.appendChild(unit);
+        row.appendChild(removeButton);
+
+        list.appendChild(row);
+    });
+
+    if (addButton) {
+        addButton.disabled = colorants.length >= MAX_COLORANTS;
+    }
+}
+
+/**
+ * Setup the dye recipe panel
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function setupRecipeMixer(visualization) {
+    const addButton = document.getElementById('addColorantButton');
+    const substrateInput = document.getElementById('recipeSubstrate');
+    const applyButton = document.getElementById('applyRecipeButton');
+
+    if (addButton) {
+        addButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (colorants.length >= MAX_COLORANTS) return;
+            colorants.push({ hex: '#0033a0', concentration: 10 });
+            renderColorants(visualization);
+            updateRecipeResult(visualization);
+        });
+    }
+
+    if (substrateInput) {
+        substrateInput.addEventListener('input', () => updateRecipeResult(visualization));
+    }
+
+    // Re-apply the prediction after the main color was changed elsewhere
+    if (applyButton) {
+        applyButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            updateRecipeResult(visualization);
+        });
+    }
+
+    renderColorants(visualization);
+
+    // Show the initial prediction without replacing the starting color
+    updateRecipeResult(visualization, false);
+}
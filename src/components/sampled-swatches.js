@@ -0,0 +1,123 @@
+import { updateColorDisplay } from './ui';
+
+// Most samples kept in the tray (the oldest are dropped first)
+const MAX_SAMPLED_SWATCHES = 24;
+
+// Pinned eyedropper samples, oldest first, as { hex, lab, height, label }
+let sampledSwatches = [];
+
+/**
+ * Get the colors pinned with the eyedropper
+ * @returns {Object[]} The samples ({ hex, lab, height, label }), oldest first
+ */
+export function getSampledSwatches() {
+    return sampledSwatches.slice();
+}
+
+/**
+ * Render the pinned samples as clickable swatches
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function renderSampledSwatches(visualization) {
+    const tray = document.getElementById('sampledSwatchesTray');
+    const clearButton = document.getElementById('clearSampledSwatchesButton');
+    if (!tray) return;
+
+    tray.innerHTML = '';
+
+    if (sampledSwatches.length === 0) {
+        const empty = document.createElement('span');
+        empty.textContent = 'Turn on the eyedropper and click the cylinder, lining or a stem to pin a color.';
+        empty.style.fontSize = '0.8rem';
+        empty.style.opacity = '0.8';
+        tray.appendChild(empty);
+    }
+
+    sampledSwatches.forEach((sample, index) => {
+        const { hex, lab, height, label } = sample;
+
+        const swatch = document.createElement('div');
+        swatch.style.position = 'relative';
+        swatch.style.width = '28px';
+        swatch.style.height = '28px';
+        swatch.style.borderRadius = '4px';
+        swatch.style.border = '1px solid var(--selector-border)';
+        swatch.style.backgroundColor = hex;
+        swatch.style.cursor = 'pointer';
+        swatch.title = `${hex.toUpperCase()} · L*${lab.l.toFixed(1)} a*${lab.a.toFixed(1)} b*${lab.b.toFixed(1)}\n${label} at ${(height * 100).toFixed(0)}% height\nClick to use as the main color`;
+
+        swatch.addEventListener('click', () => {
+            updateColorDisplay(hex, visualization);
+        });
+
+        const remove = document.createElement('span');
+        remove.innerHTML = '&times;';
+        remove.title = 'Remove this sample';
+        remove.style.position = 'absolute';
+        remove.style.top = '-6px';
+        remove.style.right = '-6px';
+        remove.style.width = '14px';
+        remove.style.height = '14px';
+        remove.style.lineHeight = '12px';
+        remove.style.textAlign = 'center';
+        remove.style.fontSize = '12px';
+        remove.style.borderRadius = '50%';
+        remove.style.backgroundColor = 'var(--container-bg)';
+        remove.style.border = '1px solid var(--selector-border)';
+        remove.addEventListener('click', (e) => {
+            e.stopPropagation();
+            sampledSwatches.splice(index, 1);
+            renderSampledSwatches(visualization);
+        });
+
+        swatch.appendChild(remove);
+        tray.appendChild(swatch);
+    });
+
+    if (clearButton) {
+        clearButton.disabled = sampledSwatches.length === 0;
+    }
+}
+
+/**
+ * Setup the eyedropper button and the sampled-swatches tray
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function setupSampledSwatches(visualization) {
+    const eyedropperButton = document.getElementById('eyedropperButton');
+    const clearButton = document.getElementById('clearSampledSwatchesButton');
+
+    if (eyedropperButton) {
+        eyedropperButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            const enabled = !visualization.eyedropper.enabled;
+            visualization.toggleEyedropper(enabled);
+
+            eyedropperButton.setAttribute('aria-pressed', String(enabled));
+            eyedropperButton.style.backgroundColor = enabled ? 'var(--selector-active-bg)' : '';
+            eyedropperButton.style.color = enabled ? 'var(--selector-active-text)' : '';
+        });
+    }
+
+    if (clearButton) {
+        clearButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            sampledSwatches = [];
+            renderSampledSwatches(visualization);
+        });
+    }
+
+    // Pin clicked samples, skipping a repeat of the last one
+    visualization.eyedropper.addSampleListener(sample => {
+        const last = sampledSwatches[sampledSwatches.length - 1];
+        if (last && last.hex === sample.hex) return;
+
+        sampledSwatches.push(sample);
+        if (sampledSwatches.length > MAX_SAMPLED_SWATCHES) {
+            sampledSwatches.shift();
+        }
+        renderSampledSwatches(visualization);
+    });
+
+    renderSampledSwatches(visualization);
+}
@@ -0,0 +1,457 @@
+import { captureAppState, applyAppState } from './app-state';
+
+// IndexedDB database and object store holding the saved colorways
+const DB_NAME = 'tcs-visualizer';
+const DB_VERSION = 1;
+const STORE_NAME = 'colorways';
+
+// Width of the stored thumbnails (the height keeps the view's aspect ratio)
+const THUMBNAIL_WIDTH = 160;
+
+// Database connection, opened on first use
+let databasePromise = null;
+
+// Saved colorways as last read from the database, newest first
+let savedColorways = [];
+
+/**
+ * Open (and on first use create) the colorway database
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Let a later call try again after a failure
+        databasePromise.catch(() => {
+            databasePromise = null;
+        });
+    }
+
+    return databasePromise;
+}
+
+/**
+ * Run one request against the colorway store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} createRequest - Called with the object store, returns an IDBRequest
+ * @returns {Promise<*>} The request's result
+ */
+function storeRequest(mode, createRequest) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = createRequest(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    }));
+}
+
+/**
+ * Get the saved colorways as last loaded from the database
+ * @returns {{id: number, name: string, tags: string[], thumbnail: string, state: Object, createdAt: number, updatedAt: number}[]} The colorways, newest first
+ */
+export function getSavedColorways() {
+    return savedColorways.slice();
+}
+
+/**
+ * Store a colorway record (a new one when it has no id)
+ * @param {Object} record - The colorway
+ * @returns {Promise<number>} The record's id
+ */
+function putSavedColorway(record) {
+    return storeRequest('readwrite', store => store.put(record));
+}
+
+/**
+ * Reload the saved colorways from the database
+ * @returns {Promise<Object[]>} The colorways, newest first
+ */
+function loadSavedColorways() {
+    return storeRequest('readonly', store => store.getAll()).then(records => {
+        savedColorways = records.sort((a, b) => b.updatedAt - a.updatedAt);
+        return savedColorways;
+    });
+}
+
+/**
+ * Make a small JPEG thumbnail of the current view
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ * @returns {Promise<string>} Data URL of the thumbnail
+ */
+function createThumbnail(visualization) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = THUMBNAIL_WIDTH;
+            canvas.height = Math.max(1, Math.round(THUMBNAIL_WIDTH * image.height / image.width));
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            resolve(canvas.toDataURL('image/jpeg', 0.8));
+        };
+        image.onerror = () => reject(new Error('Unable to read the captured image'));
+        image.src = visualization.captureImage();
+    });
+}
+
+/**
+ * Split a comma-separated tag list into unique, trimmed tags
+ * @param {string} text - The tag list
+ * @returns {string[]} The tags
+ */
+function parseTags(text) {
+    const tags = text.split(',').map(tag => tag.trim()).filter(Boolean);
+    return tags.filter((tag, i) => tags.findIndex(other => other.toLowerCase() === tag.toLowerCase()) === i);
+}
+
+/**
+ * Fill the tag filter with every tag in use, keeping the current choice if it still exists
+ */
+function renderTagFilter() {
+    const tagFilter = document.getElementById('savedColorwayTagFilter');
+    if (!tagFilter) return;
+
+    const current = tagFilter.value;
+    const tags = [...new Set(savedColorways.flatMap(record => record.tags))]
+        .sort((a, b) => a.localeCompare(b));
+
+    tagFilter.innerHTML = '<option value="">All Tags</option>' +
+        tags.map(tag => `<option value="${tag.replace(/"/g, '&quot;')}">${tag.replace(/</g, '&lt;')}</option>`).join('');
+    tagFilter.value = tags.includes(current) ? current : '';
+}
+
+/**
+ * Create a small icon button for a colorway card
+ * @param {string} icon - Font Awesome icon name
+ * @param {string} title - Tooltip
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} The button
+ */
+function createCardButton(icon, title, onClick) {
+    const button = document.createElement('button');
+    button.innerHTML = `<i class="fas ${icon}"></i>`;
+    button.title = title;
+    button.style.padding = '3px 6px';
+    button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        onClick();
+    });
+    return button;
+}
+
+/**
+ * Report a failed database operation
+ * @param {string} action - What was being done
+ * @param {Error} error - The error
+ */
+function reportError(action, error) {
+    console.error(`Error ${action}:`, error);
+    alert(`Unable to ${action}. ${error && error.message ? error.message : 'Please try again.'}`);
+}
+
+/**
+ * Render the saved colorways that match the search text and tag filter
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function renderSavedColorways(visualization) {
+    const list = document.getElementById('savedColorwayList');
+    const searchInput = document.getElementById('savedColorwaySearch');
+    const tagFilter = document.getElementById('savedColorwayTagFilter');
+    if (!list) return;
+
+    const query = searchInput ? searchInput.value.trim().toLowerCase() : '';
+    const tag = tagFilter ? tagFilter.value : '';
+
+    // Hex codes match anywhere, with or without the #
+    const hexQuery = query.replace(/^#/, '');
+
+    const matches = savedColorways.filter(record => (
+        (!tag || record.tags.includes(tag)) &&
+        (!query ||
+            record.name.toLowerCase().includes(query) ||
+            record.tags.some(t => t.toLowerCase().includes(query)) ||
+            record.state.mainColor.replace('#', '').toLowerCase().includes(hexQuery))
+    ));
+
+    list.innerHTML = '';
+
+    if (matches.length === 0) {
+        const empty = document.createElement('div');
+        empty.style.fontSize = '0.85rem';
+        empty.style.padding = '10px 0';
+        empty.textContent = savedColorways.length === 0
+            ? 'No saved colorways yet. Use "Save Current" to add one.'
+            : 'No colorways match the search.';
+        list.appendChild(empty);
+        return;
+    }
+
+    matches.forEach(record => {
+        const card = document.createElement('div');
+        card.style.display = 'flex';
+        card.style.gap = '10px';
+        card.style.padding = '6px';
+        card.style.border = '1px solid var(--selector-border)';
+        card.style.borderRadius = '6px';
+        card.style.cursor = 'pointer';
+        card.title = `Load ${record.name}`;
+
+        // Colorways imported from a settings file have no thumbnail; show their main color instead
+        const thumbnail = document.createElement(record.thumbnail ? 'img' : 'div');
+        if (record.thumbnail) {
+            thumbnail.src = record.thumbnail;
+            thumbnail.alt = record.name;
+        } else {
+            thumbnail.style.backgroundColor = record.state.mainColor;
+        }
+        thumbnail.style.width = '80px';
+        thumbnail.style.height = '60px';
+        thumbnail.style.objectFit = 'cover';
+        thumbnail.style.borderRadius = '4px';
+        thumbnail.style.flexShrink = '0';
+
+        const details = document.createElement('div');
+        details.style.flex = '1';
+        details.style.minWidth = '0';
+        details.style.display = 'flex';
+        details.style.flexDirection = 'column';
+        details.style.gap = '3px';
+        details.style.fontSize = '0.85rem';
+        details.style.textAlign = 'left';
+
+        const name = document.createElement('strong');
+        name.textContent = record.name;
+        name.style.overflow = 'hidden';
+        name.style.textOverflow = 'ellipsis';
+        name.style.whiteSpace = 'nowrap';
+
+        // Main and lining color chips
+        const colors = document.createElement('div');
+        colors.style.display = 'flex';
+        colors.style.alignItems = 'center';
+        colors.style.gap = '4px';
+        colors.style.fontFamily = 'monospace';
+        // Colorways stored before imports filled in the lining may lack it
+        const lining = record.state.lining;
+        [record.state.mainColor, lining && lining.enabled ? lining.color : null]
+            .filter(Boolean)
+            .forEach(hex => {
+                const chip = document.createElement('span');
+                chip.style.display = 'inline-block';
+                chip.style.width = '12px';
+                chip.style.height = '12px';
+                chip.style.borderRadius = '2px';
+                chip.style.border = '1px solid var(--selector-border)';
+                chip.style.backgroundColor = hex;
+                colors.appendChild(chip);
+            });
+        colors.appendChild(document.createTextNode(record.state.mainColor.toUpperCase()));
+
+        const tags = document.createElement('div');
+        tags.style.display = 'flex';
+        tags.style.flexWrap = 'wrap';
+        tags.style.gap = '3px';
+        record.tags.forEach(tagName => {
+            const chip = document.createElement('span');
+            chip.textContent = tagName;
+            chip.style.padding = '0 5px';
+            chip.style.borderRadius = '8px';
+            chip.style.fontSize = '0.75rem';
+            chip.style.backgroundColor = 'var(--selector-bg)';
+            tags.appendChild(chip);
+        });
+
+        const actions = document.createElement('div');
+        actions.style.display = 'flex';
+        actions.style.gap = '4px';
+        actions.appendChild(createCardButton('fa-pen', 'Rename', () => renameColorway(record, visualization)));
+        actions.appendChild(createCardButton('fa-tags', 'Edit tags', () => retagColorway(record, visualization)));
+        actions.appendChild(createCardButton('fa-trash', 'Delete', () => deleteColorway(record, visualization)));
+
+        details.appendChild(name);
+        details.appendChild(colors);
+        details.appendChild(tags);
+        details.appendChild(actions);
+
+        card.addEventListener('click', () => applyAppState(record.state, visualization));
+
+        card.appendChild(thumbnail);
+        card.appendChild(details);
+        list.appendChild(card);
+    });
+}
+
+/**
+ * Reload from the database and redraw the drawer
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ * @returns {Promise} Resolves once redrawn
+ */
+function refreshSavedColorways(visualization) {
+    return loadSavedColorways().then(() => {
+        renderTagFilter();
+        renderSavedColorways(visualization);
+    });
+}
+
+/**
+ * Add colorways from a settings file, skipping any already saved under the same name and main color
+ * @param {{name: string, tags: string[], state: Object}[]} colorways - The colorways to add
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ * @returns {Promise<number>} How many were added
+ */
+export function importSavedColorways(colorways, visualization) {
+    return loadSavedColorways().then(() => {
+        const isSaved = ({ name, state }) => savedColorways.some(record => (
+            record.name === name && record.state.mainColor === state.mainColor
+        ));
+        const added = colorways.filter(colorway => !isSaved(colorway));
+
+        const now = Date.now();
+        return added.reduce(
+            (previous, { name, tags, state }) => previous.then(() => putSavedColorway({
+                name,
+                tags,
+                thumbnail: null,
+                state,
+                createdAt: now,
+                updatedAt: now
+            })),
+            Promise.resolve()
+        ).then(() => refreshSavedColorways(visualization)).then(() => added.length);
+    });
+}
+
+/**
+ * Save the current view as a new colorway
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function saveCurrentColorway(visualization) {
+    const state = captureAppState(visualization);
+
+    const name = prompt('Name for this colorway:', state.mainColor.toUpperCase());
+    if (!name || !name.trim()) return;
+
+    const tagText = prompt('Tags (comma separated, optional):', '');
+    if (tagText === null) return;
+
+    createThumbnail(visualization)
+        .then(thumbnail => {
+            const now = Date.now();
+            return putSavedColorway({
+                name: name.trim(),
+                tags: parseTags(tagText),
+                thumbnail,
+                state,
+                createdAt: now,
+                updatedAt: now
+            });
+        })
+        .then(() => refreshSavedColorways(visualization))
+        .catch(error => reportError('save the colorway', error));
+}
+
+/**
+ * Rename a saved colorway
+ * @param {Object} record - The colorway
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function renameColorway(record, visualization) {
+    const name = prompt('New name:', record.name);
+    if (!name || !name.trim() || name.trim() === record.name) return;
+
+    putSavedColorway({ ...record, name: name.trim(), updatedAt: Date.now() })
+        .then(() => refreshSavedColorways(visualization))
+        .catch(error => reportError('rename the colorway', error));
+}
+
+/**
+ * Replace a saved colorway's tags
+ * @param {Object} record - The colorway
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function retagColorway(record, visualization) {
+    const tagText = prompt('Tags (comma separated):', record.tags.join(', '));
+    if (tagText === null) return;
+
+    putSavedColorway({ ...record, tags: parseTags(tagText), updatedAt: Date.now() })
+        .then(() => refreshSavedColorways(visualization))
+        .catch(error => reportError('update the tags', error));
+}
+
+/**
+ * Delete a saved colorway after confirmation
+ * @param {Object} record - The colorway
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function deleteColorway(record, visualization) {
+    if (!confirm(`Delete "${record.name}"?`)) return;
+
+    storeRequest('readwrite', store => store.delete(record.id))
+        .then(() => refreshSavedColorways(visualization))
+        .catch(error => reportError('delete the colorway', error));
+}
+
+/**
+ * Setup the saved colorway library drawer
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function setupSavedColorways(visualization) {
+    const drawer = document.getElementById('savedColorwaysDrawer');
+    const openButton = document.getElementById('savedColorwaysButton');
+    const closeButton = document.getElementById('closeSavedColorwaysDrawer');
+    const saveButton = document.getElementById('saveColorwayButton');
+    const searchInput = document.getElementById('savedColorwaySearch');
+    const tagFilter = document.getElementById('savedColorwayTagFilter');
+
+    if (openButton && drawer) {
+        openButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            drawer.style.display = drawer.style.display === 'none' ? 'flex' : 'none';
+        });
+    }
+
+    if (closeButton && drawer) {
+        closeButton.addEventListener('click', () => {
+            drawer.style.display = 'none';
+        });
+    }
+
+    if (saveButton) {
+        saveButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            saveCurrentColorway(visualization);
+        });
+    }
+
+    if (searchInput) {
+        searchInput.addEventListener('input', () => renderSavedColorways(visualization));
+    }
+
+    if (tagFilter) {
+        tagFilter.addEventListener('change', () => renderSavedColorways(visualization));
+    }
+
+    refreshSavedColorways(visualization).catch(error => {
+        console.error('Error loading saved colorways:', error);
+        const list = document.getElementById('savedColorwayList');
+        if (list) list.textContent = 'Saved colorways are unavailable in this browser.';
+        if (saveButton) saveButton.disabled = true;
+    });
+}
@@ -0,0 +1,431 @@
+import { captureAppState, captureViewState, applyAppState, sanitizeAppState, setControl } from './app-state';
+import { refreshStemPresetOptions } from './ui';
+import { getColorways, loadColorways, LINING_OPTIONS } from './colorway-grid';
+import { getSavedColorways, importSavedColorways } from './saved-colorways';
+import { getAllFiberPresets, importCustomPresets, isValidStemProfile } from '../visualization/stem-presets';
+import { normalizeRamp, RAMP_EASINGS, RAMP_SPACES, MIN_RAMP_STOPS, MAX_RAMP_STOPS } from '../color/gradient-ramp';
+import { calculateComplementaryColor, DEFAULT_COMPLEMENT_MODE } from '../color/complementary';
+import { ILLUMINANTS } from '../color/adaptation';
+import { COLOR_VISION_TYPES } from '../color/vision';
+
+// Identifies a settings document regardless of its file name
+const SETTINGS_FORMAT = 'tcs-visualizer-settings';
+
+// Bump when the document layout changes, and add a migration from the previous version
+export const SETTINGS_SCHEMA_VERSION = 1;
+
+// Upgrades from each older schema version to the next, keyed by the version they upgrade from
+const MIGRATIONS = {};
+
+/**
+ * Round every number in a value, so camera poses don't churn in diffs
+ * @param {*} value - The value
+ * @param {number} digits - Decimal places to keep
+ * @returns {*} The rounded copy
+ */
+function roundNumbers(value, digits) {
+    if (typeof value === 'number') return Number(value.toFixed(digits));
+    if (Array.isArray(value)) return value.map(item => roundNumbers(item, digits));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, roundNumbers(item, digits)]));
+    }
+    return value;
+}
+
+/**
+ * Build the settings document for the current view
+ * Keys keep a fixed order and there are no timestamps or ids, so re-exporting
+ * an unchanged view gives an identical file
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ * @returns {Object} The document
+ */
+export function createSettingsDocument(visualization) {
+    const state = captureAppState(visualization);
+    state.camera = roundNumbers(state.camera, 4);
+    state.view = captureViewState(visualization);
+
+    const savedColorways = getSavedColorways()
+        .map(({ name, tags, state: savedState }) => {
+            const { camera, ...rest } = savedState;
+            return { name, tags, state: camera ? { ...rest, camera: roundNumbers(camera, 4) } : rest };
+        })
+        .sort((a, b) => a.name.localeCompare(b.name) || a.state.mainColor.localeCompare(b.state.mainColor));
+
+    // Custom stem profiles live in this browser only, so they travel with the states that use them
+    const stemProfiles = getAllFiberPresets()
+        .filter(preset => preset.custom)
+        .map(({ id, label, description, heights, offsets, shades, curveType, tension }) => ({
+            id, label, description, heights, offsets, shades, curveType, tension
+        }))
+        .sort((a, b) => a.id.localeCompare(b.id));
+
+    return {
+        format: SETTINGS_FORMAT,
+        schemaVersion: SETTINGS_SCHEMA_VERSION,
+        state,
+        rendering: {
+            gradientRamp: visualization.gradientRamp,
+            colorManaged: visualization.colorManaged,
+            illuminant: visualization.illuminant,
+            splitIlluminant: visualization.splitIlluminant,
+            colorVision: {
+                type: visualization.colorVisionType,
+                severity: visualization.colorVisionSeverity
+            }
+        },
+        colorways: getColorways(),
+        savedColorways,
+        stemProfiles
+    };
+}
+
+/**
+ * Check the rendering section field by field
+ * @param {Object} rendering - The section
+ * @param {string[]} problems - Receives a description of each dropped field
+ * @returns {Object} The valid fields
+ */
+function sanitizeRendering(rendering, problems) {
+    const result = {};
+
+    if ('gradientRamp' in rendering) {
+        const ramp = rendering.gradientRamp;
+        if (ramp && typeof ramp === 'object' && Array.isArray(ramp.stops)) {
+            const isNumberIn = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+            const isValidStop = stop => stop && typeof stop === 'object' &&
+                isNumberIn(stop.position, 0, 1) &&
+                isNumberIn(stop.tint, -1, 1) &&
+                (stop.color === null || (typeof stop.color === 'string' && /^#[0-9a-f]{6}$/i.test(stop.color))) &&
+                RAMP_EASINGS.some(easing => easing.id === stop.easing);
+
+            // Drop each invalid stop, and any beyond the most the shader takes
+            const stops = [];
+            ramp.stops.forEach((stop, i) => {
+                if (isValidStop(stop) && stops.length < MAX_RAMP_STOPS) stops.push(stop);
+                else problems.push(`rendering gradientRamp[${i}]`);
+            });
+
+            let space = ramp.space;
+            if ('space' in ramp && !RAMP_SPACES.some(option => option.id === space)) {
+                problems.push('rendering gradientRamp space');
+                space = undefined;
+            }
+
+            if (stops.length >= MIN_RAMP_STOPS) {
+                result.gradientRamp = normalizeRamp({ space, stops });
+            } else {
+                problems.push('rendering gradientRamp (too few valid stops)');
+            }
+        } else {
+            problems.push('rendering gradientRamp');
+        }
+    }
+
+    if ('colorManaged' in rendering) {
+        if (typeof rendering.colorManaged === 'boolean') result.colorManaged = rendering.colorManaged;
+        else problems.push('rendering colorManaged');
+    }
+
+    const illuminantIds = ILLUMINANTS.map(illuminant => illuminant.id);
+    if ('illuminant' in rendering) {
+        if (illuminantIds.includes(rendering.illuminant)) result.illuminant = rendering.illuminant;
+        else problems.push('rendering illuminant');
+    }
+
+    if ('splitIlluminant' in rendering) {
+        if (rendering.splitIlluminant === null || illuminantIds.includes(rendering.splitIlluminant)) {
+            result.splitIlluminant = rendering.splitIlluminant;
+        } else {
+            problems.push('rendering splitIlluminant');
+        }
+    }
+
+    if ('colorVision' in rendering) {
+        const vision = rendering.colorVision;
+        const validType = vision && COLOR_VISION_TYPES.some(type => type.id === vision.type);
+        const validSeverity = vision && typeof vision.severity === 'number' && vision.severity >= 0 && vision.severity <= 1;
+        if (validType && validSeverity) result.colorVision = { type: vision.type, severity: vision.severity };
+        else problems.push('rendering colorVision');
+    }
+
+    return result;
+}
+
+/**
+ * Validate and migrate a parsed settings document
+ * Structural problems throw; individual invalid settings are dropped and listed
+ * @param {*} raw - The parsed JSON
+ * @returns {{document: Object, problems: string[]}} The usable parts and what was skipped
+ * @throws {Error} With a message explaining why the file can't be used
+ */
+export function readSettingsDocument(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('The file does not contain a settings object.');
+    }
+    if (raw.format !== SETTINGS_FORMAT) {
+        throw new Error(`This is not a TCS Visualizer settings file (expected "format": "${SETTINGS_FORMAT}").`);
+    }
+    if (!Number.isInteger(raw.schemaVersion) || raw.schemaVersion < 1) {
+        throw new Error('The file has no valid "schemaVersion".');
+    }
+    if (raw.schemaVersion > SETTINGS_SCHEMA_VERSION) {
+        throw new Error(`The file uses schema version ${raw.schemaVersion}, which is newer than this app supports (${SETTINGS_SCHEMA_VERSION}). Please update the visualizer.`);
+    }
+
+    let migrated = raw;
+    while (migrated.schemaVersion < SETTINGS_SCHEMA_VERSION) {
+        const migrate = MIGRATIONS[migrated.schemaVersion];
+        if (!migrate) {
+            throw new Error(`Schema version ${migrated.schemaVersion} is no longer supported.`);
+        }
+        migrated = migrate(migrated);
+    }
+
+    const problems = [];
+    const document = {};
+
+    // Profiles first, so the states below can refer to them
+    const profileIds = getAllFiberPresets().map(preset => preset.id);
+    if (migrated.stemProfiles !== undefined) {
+        if (Array.isArray(migrated.stemProfiles)) {
+            document.stemProfiles = migrated.stemProfiles.filter((profile, i) => {
+                const valid = isValidStemProfile(profile);
+                if (!valid) problems.push(`stemProfiles[${i}]`);
+                return valid;
+            }).map(({ id, label, description, heights, offsets, shades, curveType, tension }) => ({
+                id, label: label.trim(), description, heights, offsets, shades, curveType, tension
+            }));
+            profileIds.push(...document.stemProfiles.map(profile => profile.id));
+        } else {
+            problems.push('stemProfiles');
+        }
+    }
+
+    // A state naming a stem profile that is neither built in nor in the file can't be restored as saved
+    const checkStemPreset = (state, prefix) => {
+        if (state.stem && state.stem.preset && !profileIds.includes(state.stem.preset)) {
+            problems.push(`${prefix}stem preset (no stem profile "${state.stem.preset}")`);
+            delete state.stem.preset;
+        }
+    };
+
+    if (migrated.state !== undefined) {
+        const { state, problems: stateProblems } = sanitizeAppState(migrated.state);
+        document.state = state;
+        problems.push(...stateProblems);
+        checkStemPreset(state, '');
+    }
+
+    if (migrated.rendering !== undefined) {
+        if (migrated.rendering && typeof migrated.rendering === 'object') {
+            document.rendering = sanitizeRendering(migrated.rendering, problems);
+        } else {
+            problems.push('rendering');
+        }
+    }
+
+    if (migrated.colorways !== undefined) {
+        if (Array.isArray(migrated.colorways)) {
+            const liningIds = LINING_OPTIONS.map(option => option.id);
+            document.colorways = migrated.colorways.filter((colorway, i) => {
+                const valid = colorway && /^#[0-9a-f]{6}$/i.test(colorway.hex) &&
+                    liningIds.includes(colorway.lining) && typeof colorway.label === 'string';
+                if (!valid) problems.push(`colorways[${i}]`);
+                return valid;
+            }).map(({ hex, lining, label }) => ({ hex: hex.toLowerCase(), lining, label }));
+        } else {
+            problems.push('colorways');
+        }
+    }
+
+    if (migrated.savedColorways !== undefined) {
+        if (Array.isArray(migrated.savedColorways)) {
+            document.savedColorways = [];
+            migrated.savedColorways.forEach((saved, i) => {
+                // A colorway needs its name and main color; other invalid fields are dropped
+                const { state, problems: stateProblems } = sanitizeAppState(saved && saved.state);
+                if (!saved || typeof saved.name !== 'string' || !saved.name.trim() || !state.mainColor) {
+                    problems.push(`savedColorways[${i}]`);
+                    return;
+                }
+
+                const prefix = `savedColorways[${i}] `;
+                problems.push(...stateProblems.map(problem => prefix + problem));
+                checkStemPreset(state, prefix);
+
+                // The drawer shows the lining, so fill in the app's default for any part that is missing
+                const lining = state.lining || {};
+                const complementMode = lining.complementMode || DEFAULT_COMPLEMENT_MODE;
+                state.lining = {
+                    enabled: false,
+                    mode: 'complementary',
+                    color: calculateComplementaryColor(state.mainColor, complementMode),
+                    complementMode,
+                    ...lining
+                };
+
+                let tags = [];
+                if (Array.isArray(saved.tags) && saved.tags.every(tag => typeof tag === 'string')) {
+                    tags = saved.tags;
+                } else if (saved.tags !== undefined) {
+                    problems.push(`${prefix}tags`);
+                }
+
+                document.savedColorways.push({ name: saved.name.trim(), tags, state });
+            });
+        } else {
+            problems.push('savedColorways');
+        }
+    }
+
+    return { document, problems };
+}
+
+/**
+ * Apply a validated settings document
+ * @param {Object} document - The result of readSettingsDocument
+ * @param {string[]} problems - Receives a note if the saved colorways can't be stored
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ * @returns {Promise<number>} Resolves with the number of saved colorways added
+ */
+function applySettingsDocument(document, problems, visualization) {
+    const rendering = document.rendering || {};
+
+    // Profiles before the state, whose stem preset may name one of them
+    if (document.stemProfiles && document.stemProfiles.length > 0) {
+        importCustomPresets(document.stemProfiles);
+        refreshStemPresetOptions(visualization);
+    }
+
+    // The ramp first, so the restored colors render through it
+    if (rendering.gradientRamp) visualization.setGradientRamp(rendering.gradientRamp);
+
+    if (document.state) applyAppState(document.state, visualization);
+
+    if (typeof rendering.colorManaged === 'boolean') {
+        setControl('colorManagementToggle', 'checked', rendering.colorManaged, 'change');
+    }
+    if (rendering.illuminant) setControl('illuminantSelect', 'value', rendering.illuminant, 'change');
+    if ('splitIlluminant' in rendering) setControl('splitIlluminantSelect', 'value', rendering.splitIlluminant || '', 'change');
+    if (rendering.colorVision) {
+        setControl('colorVisionSelect', 'value', rendering.colorVision.type, 'change');
+        setControl('colorVisionSeverity', 'value', String(rendering.colorVision.severity), 'input');
+    }
+
+    if (document.colorways) loadColorways(document.colorways, visualization);
+
+    if (document.savedColorways && document.savedColorways.length > 0) {
+        return importSavedColorways(document.savedColorways, visualization).catch(error => {
+            console.error('Error importing saved colorways:', error);
+            problems.push('savedColorways (could not be stored in this browser)');
+            return 0;
+        });
+    }
+    return Promise.resolve(0);
+}
+
+/**
+ * Download the settings document for the current view
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function exportSettings(visualization) {
+    try {
+        const contents = `${JSON.stringify(createSettingsDocument(visualization), null, 2)}\n`;
+        const blob = new Blob([contents], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.download = `tcs-settings-${visualization.currentColor.getHexString().toUpperCase()}.tcs.json`;
+        link.href = url;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Give the browser time to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+        console.error('Error exporting settings:', error);
+        alert('Unable to export the settings. Please try again.');
+    }
+}
+
+/**
+ * Read, validate and apply a settings file
+ * @param {File} file - The .tcs.json file
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function importSettings(file, visualization) {
+    const reader = new FileReader();
+
+    reader.onload = () => {
+        let parsed;
+        try {
+            parsed = JSON.parse(reader.result);
+        } catch (error) {
+            console.error('Error parsing settings file:', error);
+            alert(`Unable to import ${file.name}: the file is not valid JSON (${error.message}).`);
+            return;
+        }
+
+        let result;
+        try {
+            result = readSettingsDocument(parsed);
+        } catch (error) {
+            console.error('Invalid settings file:', error);
+            alert(`Unable to import ${file.name}: ${error.message}`);
+            return;
+        }
+
+        // Started inside a promise so an error while applying is reported like the others
+        Promise.resolve()
+            .then(() => applySettingsDocument(result.document, result.problems, visualization))
+            .then(() => {
+                if (result.problems.length > 0) {
+                    alert(`Imported ${file.name}, but these settings were invalid and were skipped:\n${result.problems.join('\n')}`);
+                }
+            })
+            .catch(error => {
+                console.error('Error applying settings file:', error);
+                alert(`Unable to apply ${file.name} completely (${error.message}). Some settings may not have been restored.`);
+            });
+    };
+
+    reader.onerror = () => {
+        console.error('Error reading settings file:', reader.error);
+        alert(`Unable to read ${file.name}.`);
+    };
+
+    reader.readAsText(file);
+}
+
+/**
+ * Setup the settings file export and import buttons
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function setupSettingsFile(visualization) {
+    const exportButton = document.getElementById('exportSettingsButton');
+    const importButton = document.getElementById('importSettingsButton');
+    const fileInput = document.getElementById('settingsFileInput');
+
+    if (exportButton) {
+        exportButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            exportSettings(visualization);
+        });
+    }
+
+    if (importButton && fileInput) {
+        importButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) importSettings(file, visualization);
+
+            // Allow the same file to be chosen again
+            fileInput.value = '';
+        });
+    }
+}
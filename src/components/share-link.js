@@ -0,0 +1,188 @@
+import { captureAppState, captureViewState, applyAppState, sanitizeAppState } from './app-state';
+
+// Bump when the link format changes, and add a migration from the previous version
+export const SHARE_LINK_VERSION = 1;
+
+// Hash parameter holding the encoded state
+const HASH_PARAM = 'state';
+
+// Upgrades from each older link version to the next, keyed by the version they upgrade from
+const MIGRATIONS = {};
+
+/**
+ * Encode a value as URL-safe base64 JSON
+ * @param {Object} value - The value
+ * @returns {string} The encoded text
+ */
+function encodePayload(value) {
+    const bytes = new TextEncoder().encode(JSON.stringify(value));
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode URL-safe base64 JSON
+ * @param {string} text - The encoded text
+ * @returns {Object} The value
+ * @throws {Error} When the text is not valid base64 JSON
+ */
+function decodePayload(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Build a link to the app that reproduces the current view
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ * @returns {string} The link
+ */
+export function createShareLink(visualization) {
+    const payload = {
+        v: SHARE_LINK_VERSION,
+        ...captureAppState(visualization),
+        view: captureViewState(visualization)
+    };
+
+    const url = new URL(window.location.href);
+    url.hash = `${HASH_PARAM}=${encodePayload(payload)}`;
+    return url.toString();
+}
+
+/**
+ * Briefly show a message over the visualization
+ * @param {string} message - The message
+ * @param {boolean} isError - Whether it reports a problem (shown longer, in a warning color)
+ */
+function showShareNotice(message, isError = false) {
+    const notification = document.createElement('div');
+    notification.textContent = message;
+    notification.style.position = 'absolute';
+    notification.style.top = '20px';
+    notification.style.left = '50%';
+    notification.style.transform = 'translateX(-50%)';
+    notification.style.maxWidth = '80%';
+    notification.style.backgroundColor = isError ? '#d9534f' : '#186D6D';
+    notification.style.color = 'white';
+    notification.style.padding = '10px 20px';
+    notification.style.borderRadius = '4px';
+    notification.style.zIndex = '1000';
+    notification.style.transition = 'opacity 0.5s';
+
+    const visualizationElement = document.getElementById('visualization');
+    const container = visualizationElement ? visualizationElement.parentElement : document.body;
+    container.appendChild(notification);
+
+    setTimeout(() => {
+        notification.style.opacity = '0';
+        setTimeout(() => {
+            if (container.contains(notification)) {
+                container.removeChild(notification);
+            }
+        }, 500);
+    }, isError ? 6000 : 2000);
+}
+
+/**
+ * Drop the state from the address bar, so a reload doesn't re-apply a link that failed
+ */
+function clearShareHash() {
+    const url = new URL(window.location.href);
+    url.hash = '';
+    window.history.replaceState(null, '', url.toString());
+}
+
+/**
+ * Restore the view from a shared link in the page's URL, if there is one
+ * Unreadable links leave the default view and say so; settings that fail
+ * validation are skipped and listed
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ * @returns {boolean} Whether any state was restored
+ */
+export function restoreFromShareLink(visualization) {
+    const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    const encoded = params.get(HASH_PARAM);
+    if (!encoded) return false;
+
+    let payload;
+    try {
+        payload = decodePayload(encoded);
+        if (!payload || typeof payload !== 'object' || typeof payload.v !== 'number') {
+            throw new Error('missing version');
+        }
+    } catch (error) {
+        console.error('Error reading shared link:', error);
+        showShareNotice('This link could not be read (it may be incomplete). Showing the default view instead.', true);
+        clearShareHash();
+        return false;
+    }
+
+    if (payload.v > SHARE_LINK_VERSION) {
+        console.error('Shared link version is newer than this app:', payload.v);
+        showShareNotice('This link was made with a newer version of the visualizer. Showing the default view instead.', true);
+        clearShareHash();
+        return false;
+    }
+
+    try {
+        while (payload.v < SHARE_LINK_VERSION) {
+            const migrate = MIGRATIONS[payload.v];
+            if (!migrate) throw new Error(`link version ${payload.v} is no longer supported`);
+            payload = migrate(payload);
+        }
+    } catch (error) {
+        console.error('Error upgrading shared link:', error);
+        showShareNotice('This link is from an older version that is no longer supported. Showing the default view instead.', true);
+        clearShareHash();
+        return false;
+    }
+
+    const { state, problems } = sanitizeAppState(payload);
+
+    try {
+        applyAppState(state, visualization);
+    } catch (error) {
+        console.error('Error applying shared link:', error);
+        showShareNotice('This link could not be applied completely. Some settings may be at their defaults.', true);
+        return true;
+    }
+
+    if (problems.length > 0) {
+        console.error('Skipped invalid settings in shared link:', problems);
+        showShareNotice(`Some settings in this link were invalid and were skipped: ${problems.join(', ')}.`, true);
+    }
+
+    return true;
+}
+
+/**
+ * Setup the "Copy link" button
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function setupShareLink(visualization) {
+    const copyLinkButton = document.getElementById('copyLinkButton');
+    if (!copyLinkButton) return;
+
+    copyLinkButton.addEventListener('click', (e) => {
+        e.preventDefault();
+
+        const link = createShareLink(visualization);
+
+        // Without clipboard access, let the user copy it by hand
+        if (!navigator.clipboard) {
+            prompt('Copy this link:', link);
+            return;
+        }
+
+        navigator.clipboard.writeText(link)
+            .then(() => showShareNotice('Link copied to the clipboard'))
+            .catch((error) => {
+                console.error('Error copying link:', error);
+                prompt('Copy this link:', link);
+            });
+    });
+}
@@ -0,0 +1,249 @@
+import { updateColorDisplay, addColorChangeListener } from './ui';
+import { parseMeasurementFile } from '../color/measurement';
+import { spectrumToColor, SPECTRAL_ILLUMINANTS, OBSERVERS, START_WAVELENGTH, END_WAVELENGTH } from '../color/spectral';
+
+// Currently loaded measurement samples
+let samples = [];
+
+// The sample currently driving the main color, if any
+let activeSample = null;
+
+/**
+ * Get the chosen illuminant and observer
+ * @returns {{illuminant: string, observer: string}} The viewing conditions
+ */
+function getConditions() {
+    const illuminantSelect = document.getElementById('spectralIlluminantSelect');
+    const observerSelect = document.getElementById('spectralObserverSelect');
+    return {
+        illuminant: illuminantSelect ? illuminantSelect.value : 'D65',
+        observer: observerSelect ? observerSelect.value : '2'
+    };
+}
+
+/**
+ * Draw a sample's reflectance curve next to the color swatches
+ * @param {Object|null} sample - The sample, or null to hide the chart
+ * @param {string} hexColor - The sample's color, used for the curve
+ */
+function updateReflectanceChart(sample, hexColor) {
+    const container = document.getElementById('reflectanceChartContainer');
+    const chart = document.getElementById('reflectanceChart');
+    const caption = document.getElementById('reflectanceChartCaption');
+    if (!container || !chart) return;
+
+    if (!sample) {
+        container.style.display = 'none';
+        return;
+    }
+
+    // Chart area in SVG units; reflectance 0-100% bottom to top, 400-700 nm left to right
+    const width = 180;
+    const height = 60;
+    const x = (wavelength) => ((wavelength - START_WAVELENGTH) / (END_WAVELENGTH - START_WAVELENGTH)) * width;
+    const y = (value) => height - Math.max(0, Math.min(1, value)) * height;
+
+    const points = sample.wavelengths
+        .filter(wavelength => wavelength >= START_WAVELENGTH && wavelength <= END_WAVELENGTH)
+        .map(wavelength => {
+            const value = sample.values[sample.wavelengths.indexOf(wavelength)];
+            return `${x(wavelength).toFixed(1)},${y(value).toFixed(1)}`;
+        })
+        .join(' ');
+
+    const gridLines = [0.25, 0.5, 0.75]
+        .map(value => `<line x1="0" x2="${width}" y1="${y(value)}" y2="${y(value)}" stroke="var(--selector-border)" stroke-width="0.5" />`)
+        .join('');
+
+    chart.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    chart.innerHTML = `
+        ${gridLines}
+        <polyline points="${points}" fill="none" stroke="${hexColor}" stroke-width="2" stroke-linejoin="round" />
+        <polyline points="${points}" fill="none" stroke="var(--text-color)" stroke-width="0.5" stroke-opacity="0.6" />`;
+
+    if (caption) {
+        caption.textContent = `${sample.name || sample.id} · ${START_WAVELENGTH}–${END_WAVELENGTH} nm`;
+    }
+
+    container.style.display = 'block';
+}
+
+/**
+ * Use a sample as the main color under the chosen illuminant and observer
+ * @param {Object} sample - The sample
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function applySample(sample, visualization) {
+    const { illuminant, observer } = getConditions();
+    const { hex } = spectrumToColor(sample.reflectance, illuminant, observer);
+
+    // Set before updating so the color change listener keeps the chart visible
+    activeSample = sample;
+
+    updateColorDisplay(hex, visualization);
+
+    updateReflectanceChart(sample, hex);
+    renderSampleList(visualization);
+}
+
+/**
+ * Render the loaded samples with their color under the chosen conditions
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function renderSampleList(visualization) {
+    const list = document.getElementById('spectralSamples');
+    if (!list) return;
+
+    list.innerHTML = '';
+    const { illuminant, observer } = getConditions();
+
+    samples.forEach(sample => {
+        const { hex, lab, inGamut } = spectrumToColor(sample.reflectance, illuminant, observer);
+
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        row.style.gap = '10px';
+        row.style.padding = '5px';
+        row.style.borderRadius = '4px';
+        row.style.cursor = 'pointer';
+        row.style.textAlign = 'left';
+        row.title = `Use ${sample.name || sample.id} as the main color`;
+
+        if (sample === activeSample) {
+            row.style.backgroundColor = 'var(--selector-bg)';
+            row.style.fontWeight = 'bold';
+        }
+
+        const chip = document.createElement('div');
+        chip.style.width = '28px';
+        chip.style.height = '28px';
+        chip.style.flexShrink = '0';
+        chip.style.borderRadius = '4px';
+        chip.style.boxShadow = '0 1px 2px var(--shadow-color)';
+        chip.style.backgroundColor = hex;
+
+        const label = document.createElement('div');
+        label.style.flex = '1';
+        label.style.overflow = 'hidden';
+        label.style.textOverflow = 'ellipsis';
+        label.style.whiteSpace = 'nowrap';
+        label.textContent = sample.name ? `${sample.id} ${sample.name}` : sample.id;
+
+        const values = document.createElement('span');
+        values.style.fontFamily = 'monospace';
+        values.style.fontSize = '0.85rem';
+        values.style.whiteSpace = 'nowrap';
+        values.textContent = `${lab.l.toFixed(1)} ${lab.a.toFixed(1)} ${lab.b.toFixed(1)}`;
+        if (!inGamut) {
+            // The displayed color is clipped to sRGB
+            values.textContent += ' ⚠';
+            values.title = 'Outside the sRGB gamut; the displayed color is clipped';
+        }
+
+        row.appendChild(chip);
+        row.appendChild(label);
+        row.appendChild(values);
+
+        row.addEventListener('mouseover', () => {
+            row.style.outline = '1px solid var(--selector-border)';
+        });
+        row.addEventListener('mouseout', () => {
+            row.style.outline = 'none';
+        });
+
+        row.addEventListener('click', () => applySample(sample, visualization));
+
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Setup the spectral measurement import panel
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function setupSpectralImport(visualization) {
+    const loadSpectralButton = document.getElementById('loadSpectralButton');
+    const spectralFileInput = document.getElementById('spectralFileInput');
+    const spectralStatus = document.getElementById('spectralStatus');
+    const illuminantSelect = document.getElementById('spectralIlluminantSelect');
+    const observerSelect = document.getElementById('spectralObserverSelect');
+
+    const setStatus = (message, isError = false) => {
+        if (!spectralStatus) return;
+        spectralStatus.textContent = message;
+        spectralStatus.style.color = isError ? '#d9534f' : 'var(--text-color)';
+    };
+
+    if (illuminantSelect) {
+        illuminantSelect.innerHTML = SPECTRAL_ILLUMINANTS
+            .map(illuminant => `<option value="${illuminant.id}">${illuminant.label}</option>`)
+            .join('');
+    }
+
+    if (observerSelect) {
+        observerSelect.innerHTML = OBSERVERS
+            .map(observer => `<option value="${observer.id}">${observer.label}</option>`)
+            .join('');
+    }
+
+    // Recompute the colors for the new conditions, re-applying the active sample
+    const onConditionsChange = () => {
+        if (activeSample) {
+            applySample(activeSample, visualization);
+        } else {
+            renderSampleList(visualization);
+        }
+    };
+
+    if (illuminantSelect) illuminantSelect.addEventListener('change', onConditionsChange);
+    if (observerSelect) observerSelect.addEventListener('change', onConditionsChange);
+
+    if (loadSpectralButton && spectralFileInput) {
+        // Open the file chooser
+        loadSpectralButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            spectralFileInput.click();
+        });
+
+        spectralFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    samples = parseMeasurementFile(reader.result, file.name);
+                    setStatus(`${file.name}: ${samples.length} samples`);
+                } catch (error) {
+                    console.error('Error loading measurement file:', error);
+                    samples = [];
+                    setStatus(`Could not load ${file.name}: ${error.message}`, true);
+                }
+                activeSample = null;
+                updateReflectanceChart(null);
+                renderSampleList(visualization);
+            };
+            reader.onerror = () => {
+                setStatus(`Could not read ${file.name}`, true);
+            };
+            reader.readAsText(file);
+
+            // Allow the same file to be chosen again after editing it
+            spectralFileInput.value = '';
+        });
+    }
+
+    // Hide the chart once the main color no longer comes from the active sample
+    addColorChangeListener((hexColor) => {
+        if (!activeSample) return;
+
+        const { illuminant, observer } = getConditions();
+        const { hex } = spectrumToColor(activeSample.reflectance, illuminant, observer);
+        if (hex.toLowerCase() !== hexColor.toLowerCase()) {
+            activeSample = null;
+            updateReflectanceChart(null);
+            renderSampleList(visualization);
+        }
+    });
+}
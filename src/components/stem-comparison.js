@@ -0,0 +1,166 @@
+import * as THREE from 'three';
+import { parseColor, findColorName } from '../color/notation';
+import { calculateHarmonyColors } from '../color/harmony';
+
+// Most colors compared at once (the stems cycle through them)
+const MAX_COMPARISON_COLORS = 8;
+
+// Colors compared on the multiple stems, as { hex, label }
+let comparisonColors = [];
+
+/**
+ * Push the comparison colors to the visualization and redraw the list
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function applyComparisonColors(visualization) {
+    visualization.setStemComparisonColors(
+        comparisonColors.map(({ hex, label }) => ({ color: new THREE.Color(hex), label }))
+    );
+    renderComparisonList(visualization);
+}
+
+/**
+ * Render the comparison colors as removable chips
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+function renderComparisonList(visualization) {
+    const list = document.getElementById('stemColorList');
+    const addButton = document.getElementById('addStemColorButton');
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    comparisonColors.forEach(({ hex, label }, index) => {
+        const chip = document.createElement('div');
+        chip.style.display = 'flex';
+        chip.style.alignItems = 'center';
+        chip.style.gap = '4px';
+        chip.style.padding = '2px 4px';
+        chip.style.border = '1px solid var(--selector-border)';
+        chip.style.borderRadius = '4px';
+        chip.style.fontSize = '0.8rem';
+
+        const swatch = document.createElement('span');
+        swatch.style.display = 'inline-block';
+        swatch.style.width = '12px';
+        swatch.style.height = '12px';
+        swatch.style.borderRadius = '2px';
+        swatch.style.backgroundColor = hex;
+
+        const text = document.createElement('span');
+        text.textContent = label;
+
+        const remove = document.createElement('span');
+        remove.innerHTML = '&times;';
+        remove.title = `Remove ${label}`;
+        remove.style.cursor = 'pointer';
+        remove.style.fontWeight = 'bold';
+        remove.addEventListener('click', () => {
+            comparisonColors.splice(index, 1);
+            applyComparisonColors(visualization);
+        });
+
+        chip.appendChild(swatch);
+        chip.appendChild(text);
+        chip.appendChild(remove);
+        list.appendChild(chip);
+    });
+
+    if (addButton) {
+        addButton.disabled = comparisonColors.length >= MAX_COMPARISON_COLORS;
+    }
+}
+
+/**
+ * Add a color to the comparison, ignoring duplicates
+ * @param {string} hex - The color
+ * @param {string} label - Legend label
+ * @returns {boolean} Whether the color was added
+ */
+function addComparisonColor(hex, label) {
+    const normalized = hex.toLowerCase();
+    if (comparisonColors.length >= MAX_COMPARISON_COLORS || comparisonColors.some(c => c.hex === normalized)) {
+        return false;
+    }
+    comparisonColors.push({ hex: normalized, label });
+    return true;
+}
+
+/**
+ * Setup the per-stem comparison colors
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function setupStemComparison(visualization) {
+    const stemColorInput = document.getElementById('stemColorInput');
+    const addButton = document.getElementById('addStemColorButton');
+    const fromHarmonyButton = document.getElementById('stemColorsFromHarmonyButton');
+    const clearButton = document.getElementById('clearStemColorsButton');
+
+    // Add a hand-entered color (any notation the main color input accepts)
+    const addEnteredColor = () => {
+        if (!stemColorInput) return;
+
+        const parsed = parseColor(stemColorInput.value);
+        if (!parsed) {
+            stemColorInput.style.borderColor = '#d9534f';
+            return;
+        }
+
+        stemColorInput.style.borderColor = 'var(--selector-border)';
+        const label = findColorName(parsed.hex) || parsed.hex.toUpperCase();
+        if (addComparisonColor(parsed.hex, label)) {
+            stemColorInput.value = '';
+            applyComparisonColors(visualization);
+        }
+    };
+
+    if (addButton) {
+        addButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            addEnteredColor();
+        });
+    }
+
+    if (stemColorInput) {
+        stemColorInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                addEnteredColor();
+            }
+        });
+    }
+
+    // Compare the main color with its harmony palette (tetradic when no harmony is selected)
+    if (fromHarmonyButton) {
+        fromHarmonyButton.addEventListener('click', (e) => {
+            e.preventDefault();
+
+            const harmonyModeSelect = document.getElementById('harmonyModeSelect');
+            const mode = harmonyModeSelect && harmonyModeSelect.value !== 'none' ? harmonyModeSelect.value : 'tetradic';
+            const mainHex = `#${visualization.currentColor.getHexString()}`;
+
+            comparisonColors = [];
+            addComparisonColor(mainHex, `Main ${mainHex.toUpperCase()}`);
+            calculateHarmonyColors(mainHex, mode).forEach(hex => addComparisonColor(hex, hex.toUpperCase()));
+
+            // Comparing only makes sense with several stems
+            const multipleStemsToggle = document.getElementById('showMultipleStemsToggle');
+            if (!visualization.showMultipleStems) {
+                if (multipleStemsToggle) multipleStemsToggle.checked = true;
+                visualization.toggleMultipleStems(true);
+            }
+
+            applyComparisonColors(visualization);
+        });
+    }
+
+    if (clearButton) {
+        clearButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            comparisonColors = [];
+            applyComparisonColors(visualization);
+        });
+    }
+
+    renderComparisonList(visualization);
+}
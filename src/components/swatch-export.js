@@ -0,0 +1,140 @@
+import { SWATCH_FORMATS, PROCREATE_MAX_SWATCHES, writeSwatchFile } from '../color/swatch-formats';
+import { sampleRamp } from '../color/gradient-ramp';
+import { getGeneratedPalette } from './palette';
+import { getSampledSwatches } from './sampled-swatches';
+import { STEM_STOP_LABELS } from './metrics';
+
+/**
+ * Collect the colors to export, grouped by where they come from
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ * @returns {{name: string, colors: {name: string, hex: string}[]}[]} The swatch groups
+ */
+function collectSwatchGroups(visualization) {
+    const mainHex = `#${visualization.currentColor.getHexString()}`;
+    const liningColor = visualization.useGrayLining ? visualization.grayLiningColor : visualization.complementaryColor;
+
+    const groups = [
+        { name: 'Main', colors: [{ name: 'Main', hex: mainHex }] },
+        { name: 'Lining', colors: [{ name: 'Lining', hex: `#${liningColor.getHexString()}` }] }
+    ];
+
+    // The stem's stops: the ramp's when the stems follow it, otherwise the fiber preset's
+    const stemColors = visualization.stemUsesRamp
+        ? visualization.gradientRamp.stops.map((stop, i) => ({
+            name: `Stem stop ${i + 1}`,
+            hex: sampleRamp(visualization.gradientRamp, mainHex, stop.position)
+        }))
+        : visualization.getStemStopColors().map((color, i) => ({
+            name: STEM_STOP_LABELS[i],
+            hex: `#${color.getHexString()}`
+        }));
+    groups.push({ name: 'Stem stops', colors: stemColors });
+
+    const palette = getGeneratedPalette();
+    if (palette.length > 0) {
+        groups.push({
+            name: 'Palette',
+            colors: palette.map(({ hex }, i) => ({ name: `Palette ${i + 1}`, hex }))
+        });
+    }
+
+    const samples = getSampledSwatches();
+    if (samples.length > 0) {
+        groups.push({
+            name: 'Sampled',
+            colors: samples.map(({ hex }, i) => ({ name: `Sampled ${i + 1}`, hex }))
+        });
+    }
+
+    return groups;
+}
+
+/**
+ * Write the swatch file and hand it to the browser as a download
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ * @param {string} formatId - One of the SWATCH_FORMATS ids
+ */
+function exportSwatches(visualization, formatId) {
+    const format = SWATCH_FORMATS.find(f => f.id === formatId);
+    if (!format) return;
+
+    try {
+        const groups = collectSwatchGroups(visualization);
+        const mainHex = visualization.currentColor.getHexString().toUpperCase();
+        const contents = writeSwatchFile(groups, formatId, `TCS ${mainHex}`);
+
+        const blob = new Blob([contents], { type: format.mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.download = `tcs-swatches-${mainHex}.${format.extension}`;
+        link.href = url;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Give the browser time to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        const total = groups.reduce((sum, group) => sum + group.colors.length, 0);
+        if (formatId === 'procreate' && total > PROCREATE_MAX_SWATCHES) {
+            alert(`Procreate palettes hold ${PROCREATE_MAX_SWATCHES} colors; only the first ${PROCREATE_MAX_SWATCHES} of ${total} were exported.`);
+        }
+    } catch (error) {
+        console.error('Error exporting swatches:', error);
+        alert('Unable to export swatches. Please try again.');
+    }
+}
+
+/**
+ * Setup the swatch export menu next to the download button
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function setupSwatchExport(visualization) {
+    const exportButton = document.getElementById('exportSwatchesButton');
+    const exportMenu = document.getElementById('exportSwatchesMenu');
+    if (!exportButton || !exportMenu) return;
+
+    exportMenu.innerHTML = '';
+    SWATCH_FORMATS.forEach(format => {
+        const item = document.createElement('button');
+        item.textContent = format.label;
+        item.dataset.format = format.id;
+        item.style.display = 'block';
+        item.style.width = '100%';
+        item.style.textAlign = 'left';
+        item.style.padding = '6px 10px';
+        item.style.border = 'none';
+        item.style.background = 'none';
+        item.style.color = 'var(--text-color)';
+        item.style.cursor = 'pointer';
+        item.style.whiteSpace = 'nowrap';
+
+        item.addEventListener('mouseenter', () => {
+            item.style.backgroundColor = 'var(--selector-bg)';
+        });
+        item.addEventListener('mouseleave', () => {
+            item.style.backgroundColor = '';
+        });
+        item.addEventListener('click', (e) => {
+            e.preventDefault();
+            exportMenu.style.display = 'none';
+            exportSwatches(visualization, format.id);
+        });
+
+        exportMenu.appendChild(item);
+    });
+
+    exportButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        exportMenu.style.display = exportMenu.style.display === 'none' ? 'block' : 'none';
+    });
+
+    // Close the menu on any click outside it
+    document.addEventListener('click', (e) => {
+        if (!exportMenu.contains(e.target)) {
+            exportMenu.style.display = 'none';
+        }
+    });
+}
@@ -1,22 +1,86 @@
 import * as THREE from 'three';
+import { calculateComplementaryColor, findColorForComplement, COMPLEMENT_MODES, DEFAULT_COMPLEMENT_MODE } from '../color/complementary';
+import { parseColor, formatColorNotations } from '../color/notation';
+import { COLOR_VISION_TYPES } from '../color/vision';
+import { ILLUMINANTS } from '../color/adaptation';
+import { FIBER_PRESETS, getAllFiberPresets, saveCustomPreset } from '../visualization/stem-presets';
 
-// Calculate complementary color
-function calculateComplementaryColor(hexColor) {
-    // Remove # if present
-    const hex = hexColor.replace('#', '');
-    
-    // Convert to RGB
-    const r = parseInt(hex.substr(0, 2), 16);
-    const g = parseInt(hex.substr(2, 2), 16);
-    const b = parseInt(hex.substr(4, 2), 16);
-    
-    // Invert the colors (255 - value)
-    const compR = 255 - r;
-    const compG = 255 - g;
-    const compB = 255 - b;
-    
-    // Convert back to hex
-    return `#${compR.toString(16).padStart(2, '0')}${compG.toString(16).padStart(2, '0')}${compB.toString(16).padStart(2, '0')}`;
+// Currently selected complementary color algorithm
+let complementMode = DEFAULT_COMPLEMENT_MODE;
+
+/**
+ * Get the active complementary color algorithm
+ * @returns {string} One of the COMPLEMENT_MODES ids
+ */
+export function getComplementMode() {
+    return complementMode;
+}
+
+// Listeners notified whenever the main color changes
+const colorChangeListeners = [];
+
+/**
+ * Register a listener that runs whenever the main color changes
+ * @param {Function} listener - Called with (hexColor, complementaryColor)
+ */
+export function addColorChangeListener(listener) {
+    colorChangeListeners.push(listener);
+}
+
+// Notify all registered listeners of a color change
+function notifyColorChange(hexColor, complementaryColor) {
+    colorChangeListeners.forEach(listener => {
+        try {
+            listener(hexColor, complementaryColor);
+        } catch (error) {
+            console.error('Error in color change listener:', error);
+        }
+    });
+}
+
+/**
+ * Show whether a color input could be parsed
+ * @param {HTMLInputElement} input - The color input field
+ * @param {{hex: string, inGamut: boolean}|null} parsed - The result of parseColor
+ * @param {string} note - Warning to show for a color that parsed but could not be used as typed
+ */
+function flagColorInput(input, parsed, note = '') {
+    const status = document.getElementById('colorInputStatus');
+    let message = '';
+    
+    if (!parsed && input.value.trim() !== '') {
+        // Unparseable input - red border and explanation
+        input.style.borderColor = '#d9534f';
+        message = `Unrecognized color "${input.value.trim()}". Try #FF5733, rgb(255 87 51), hsl(11 100% 60%), lab(58 65 53), cmyk(0 66 80 0) or a name like "teal".`;
+    } else if (parsed && !parsed.inGamut) {
+        // Parsed, but had to be clipped into sRGB
+        input.style.borderColor = '#f0ad4e';
+        message = `Outside the sRGB gamut - shown as the nearest displayable color ${parsed.hex.toUpperCase()}.`;
+    } else if (parsed && note) {
+        input.style.borderColor = '#f0ad4e';
+        message = note;
+    } else {
+        input.style.borderColor = '';
+    }
+    
+    input.title = message;
+    if (status) {
+        status.textContent = message;
+        status.style.display = message ? 'block' : 'none';
+    }
+}
+
+/**
+ * Update the readout showing the main color in every supported notation
+ * @param {string} hexColor - The main color as a hex string
+ */
+function updateColorNotations(hexColor) {
+    const notationsElement = document.getElementById('colorNotations');
+    if (!notationsElement) return;
+    
+    notationsElement.innerHTML = formatColorNotations(hexColor)
+        .map(({ label, value }) => `<span style="font-weight: bold;">${label}</span><span style="user-select: all;">${value}</span>`)
+        .join('');
 }
 
 // Update color display and visualization
@@ -25,31 +89,32 @@ export function updateColorDisplay(hexColor, visualization) {
         // Remove # if present for calculations
         const cleanHex = hexColor.replace('#', '');
         
-        // Calculate complementary color
-        const complementaryColor = calculateComplementaryColor(hexColor);
+        // Calculate complementary color with the selected algorithm
+        const complementaryColor = calculateComplementaryColor(hexColor, complementMode);
         
         // Update UI elements
         const colorHexInput = document.getElementById('colorHex');
         const complementaryHexInput = document.getElementById('complementaryColorHex');
         
+        // Keep the picker on the new color, whichever control set it
+        const colorPicker = document.getElementById('colorPicker');
+        if (colorPicker && colorPicker.value.toLowerCase() !== hexColor.toLowerCase()) colorPicker.value = hexColor;
+        
         // Update with uppercase HEX values
         const upperHexColor = hexColor.toUpperCase();
         const upperComplementaryColor = complementaryColor.toUpperCase();
         
-        // Update input values
-        if (colorHexInput) colorHexInput.value = upperHexColor;
-        if (complementaryHexInput) complementaryHexInput.value = upperComplementaryColor;
+        // Update input values (but don't overwrite a field the user is typing in)
+        if (colorHexInput && document.activeElement !== colorHexInput) colorHexInput.value = upperHexColor;
+        if (complementaryHexInput && document.activeElement !== complementaryHexInput) complementaryHexInput.value = upperComplementaryColor;
+        
+        // Update the notation readout
+        updateColorNotations(hexColor);
         
         // Update swatch colors
         document.getElementById('colorSwatch').style.backgroundColor = hexColor;
         document.getElementById('complementaryColorSwatch').style.backgroundColor = complementaryColor;
         
-        // Update gradient bar
-        const gradientBar = document.getElementById('gradientBar');
-        if (gradientBar) {
-            gradientBar.style.backgroundImage = `linear-gradient(to right, ${hexColor}, ${complementaryColor})`;
-        }
-        
         // No color picker button indicator to update
         
         // Update visualization if available
@@ -57,11 +122,52 @@ export function updateColorDisplay(hexColor, visualization) {
             visualization.setColor(new THREE.Color(hexColor));
             visualization.setComplementaryColor(new THREE.Color(complementaryColor));
         }
+        
+        // Let other panels react to the new color
+        notifyColorChange(hexColor, complementaryColor);
     } catch (error) {
         console.error('Error updating color display:', error);
     }
 }
 
+/**
+ * Fill the fiber preset menu with the built-in presets and any saved custom profiles
+ * @param {HTMLSelectElement} select - The preset menu
+ * @param {string} selectedId - The preset to select
+ */
+function renderStemPresetOptions(select, selectedId) {
+    // Built as elements, since custom profile names come from the user or a settings file
+    const toOption = (preset) => {
+        const option = document.createElement('option');
+        option.value = preset.id;
+        option.title = preset.description;
+        option.textContent = preset.label;
+        return option;
+    };
+    const customPresets = getAllFiberPresets().filter(preset => preset.custom);
+    
+    select.innerHTML = '';
+    FIBER_PRESETS.forEach(preset => select.appendChild(toOption(preset)));
+    if (customPresets.length > 0) {
+        const group = document.createElement('optgroup');
+        group.label = 'Custom';
+        customPresets.forEach(preset => group.appendChild(toOption(preset)));
+        select.appendChild(group);
+    }
+    select.value = selectedId;
+}
+
+/**
+ * Redraw the fiber preset menu after custom profiles were added from outside the UI
+ * @param {EnhancedTCMVisualization} visualization - The visualization instance
+ */
+export function refreshStemPresetOptions(visualization) {
+    const stemPresetSelect = document.getElementById('stemPresetSelect');
+    if (stemPresetSelect) {
+        renderStemPresetOptions(stemPresetSelect, visualization.stemPreset);
+    }
+}
+
 // Setup all UI event listeners
 export function setupUI(visualization) {
     // Color picker event listener
@@ -72,112 +178,75 @@ export function setupUI(visualization) {
         });
     }
     
-    // HEX input field event listener
+    // Main color input field - accepts hex, rgb(), hsl(), lab(), cmyk() and color names
     const colorHexInput = document.getElementById('colorHex');
     if (colorHexInput) {
         colorHexInput.addEventListener('input', (e) => {
-            let value = e.target.value;
+            const parsed = parseColor(e.target.value);
+            flagColorInput(colorHexInput, parsed);
             
-            // Ensure the value starts with #
-            if (!value.startsWith('#')) {
-                value = '#' + value;
-                colorHexInput.value = value;
-            }
-            
-            // Validate hex color format
-            const hexRegex = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
-            if (hexRegex.test(value)) {
-                // Convert to 6-digit hex if it's 3-digit
-                if (value.length === 4) {
-                    const r = value[1];
-                    const g = value[2];
-                    const b = value[3];
-                    value = `#${r}${r}${g}${g}${b}${b}`;
-                    colorHexInput.value = value;
-                }
-                
-                // Update color picker and visualization
-                colorPicker.value = value;
-                updateColorDisplay(value, visualization);
+            if (parsed) {
+                updateColorDisplay(parsed.hex, visualization);
             }
         });
         
-        // Update on blur to ensure valid format
+        // Normalize to hex on blur, or restore the current color if the input is invalid
         colorHexInput.addEventListener('blur', (e) => {
-            let value = e.target.value;
-            
-            // Default to a valid color if invalid
-            const hexRegex = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
-            if (!hexRegex.test(value)) {
-                value = colorPicker.value;
-                colorHexInput.value = value.toUpperCase();
-            }
+            const parsed = parseColor(e.target.value);
+            const value = parsed ? parsed.hex : `#${visualization.currentColor.getHexString()}`;
+            colorHexInput.value = value.toUpperCase();
+            flagColorInput(colorHexInput, { hex: value, inGamut: true });
         });
     }
     
-    // Complementary HEX input field event listener
+    // Complementary color input field - accepts the same notations as the main field
     const complementaryHexInput = document.getElementById('complementaryColorHex');
     if (complementaryHexInput) {
         complementaryHexInput.addEventListener('input', (e) => {
-            let value = e.target.value;
-            
-            // Ensure the value starts with #
-            if (!value.startsWith('#')) {
-                value = '#' + value;
-                complementaryHexInput.value = value;
+            const parsed = parseColor(e.target.value);
+            if (!parsed) {
+                flagColorInput(complementaryHexInput, parsed);
+                return;
             }
             
-            // Validate hex color format
-            const hexRegex = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
-            if (hexRegex.test(value)) {
-                // Convert to 6-digit hex if it's 3-digit
-                if (value.length === 4) {
-                    const r = value[1];
-                    const g = value[2];
-                    const b = value[3];
-                    value = `#${r}${r}${g}${g}${b}${b}`;
-                    complementaryHexInput.value = value;
-                }
-                
-                // Calculate the new main color (inverse of complementary)
-                const mainColor = calculateComplementaryColor(value);
-                
-                // Update the visualization with the new colors
-                visualization.setColor(new THREE.Color(mainColor));
-                visualization.setComplementaryColor(new THREE.Color(value));
-                
-                // Update UI elements
-                document.getElementById('colorSwatch').style.backgroundColor = mainColor;
-                document.getElementById('complementaryColorSwatch').style.backgroundColor = value;
-                colorHexInput.value = mainColor.toUpperCase();
-                
-                // Update gradient bar
-                const gradientBar = document.getElementById('gradientBar');
-                if (gradientBar) {
-                    gradientBar.style.backgroundImage = `linear-gradient(to right, ${mainColor}, ${value})`;
-                }
-            }
+            // Work back to the main color; the lining is then derived from it like any other change,
+            // so it may differ slightly from the typed color where the mode clips chroma
+            const { hex: mainColor, complement, exact } = findColorForComplement(parsed.hex, complementMode);
+            const modeLabel = COMPLEMENT_MODES.find(mode => mode.id === complementMode).label;
+            flagColorInput(complementaryHexInput, parsed, exact ? '' :
+                `No color has exactly this ${modeLabel} complement - using the closest one, ${complement.toUpperCase()}.`);
+            
+            updateColorDisplay(mainColor, visualization);
+        });
+        
+        // Show the lining actually in use once the field is left, or restore it if the input is invalid
+        complementaryHexInput.addEventListener('blur', () => {
+            const value = `#${visualization.complementaryColor.getHexString()}`;
+            complementaryHexInput.value = value.toUpperCase();
+            flagColorInput(complementaryHexInput, { hex: value, inGamut: true });
         });
+    }
+    
+    // Complement algorithm selector
+    const complementModeSelect = document.getElementById('complementModeSelect');
+    if (complementModeSelect) {
+        // Populate the options from the available algorithms
+        complementModeSelect.innerHTML = COMPLEMENT_MODES
+            .map(mode => `<option value="${mode.id}">${mode.label}</option>`)
+            .join('');
+        complementModeSelect.value = complementMode;
         
-        // Update on blur to ensure valid format
-        complementaryHexInput.addEventListener('blur', (e) => {
-            let value = e.target.value;
+        complementModeSelect.addEventListener('change', (e) => {
+            complementMode = e.target.value;
             
-            // Default to a valid color if invalid
-            const hexRegex = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
-            if (!hexRegex.test(value)) {
-                // Reset to the current complementary color
-                value = complementaryHexInput.value;
-                complementaryHexInput.value = value.toUpperCase();
-            }
+            // Recalculate the complementary color for the current main color
+            updateColorDisplay(`#${visualization.currentColor.getHexString()}`, visualization);
         });
     }
     
-    // Add click events to color swatches and gradient bar
+    // Add click events to color swatches (the gradient bar is the ramp editor)
     const colorSwatch = document.getElementById('colorSwatch');
     const complementaryColorSwatch = document.getElementById('complementaryColorSwatch');
-    const gradientBar = document.getElementById('gradientBar');
-    const complementaryColorHexInput = document.getElementById('complementaryColorHex');
     
     // Function to open color picker
     const openColorPicker = (e) => {
@@ -196,17 +265,15 @@ export function setupUI(visualization) {
         e.stopPropagation();
         
         // Get the complementary color
-        const complementaryColor = complementaryColorHexInput.value;
+        const complementaryColor = `#${visualization.complementaryColor.getHexString()}`;
         
         // Set it as the main color
-        colorPicker.value = complementaryColor;
         updateColorDisplay(complementaryColor, visualization);
     };
     
     // Add click event listeners
     if (colorSwatch) colorSwatch.addEventListener('click', openColorPicker);
     if (complementaryColorSwatch) complementaryColorSwatch.addEventListener('click', promoteComplementaryColor);
-    if (gradientBar) gradientBar.addEventListener('click', openColorPicker);
     
     // Rotation speed slider
     const rotationSpeedSlider = document.getElementById('rotationSpeed');
@@ -318,6 +385,67 @@ export function setupUI(visualization) {
         });
     }
     
+    // Color vision deficiency simulation
+    const colorVisionSelect = document.getElementById('colorVisionSelect');
+    const colorVisionSeverity = document.getElementById('colorVisionSeverity');
+    const colorVisionSeverityValue = document.getElementById('colorVisionSeverityValue');
+    if (colorVisionSelect) {
+        // Populate the options from the available simulations
+        colorVisionSelect.innerHTML = COLOR_VISION_TYPES
+            .map(type => `<option value="${type.id}">${type.label}</option>`)
+            .join('');
+        colorVisionSelect.value = visualization.colorVisionType;
+        
+        colorVisionSelect.addEventListener('change', (e) => {
+            visualization.setColorVisionSimulation(e.target.value);
+            
+            // Severity only applies while a simulation is active
+            if (colorVisionSeverity) {
+                colorVisionSeverity.disabled = e.target.value === 'none';
+            }
+        });
+    }
+    
+    if (colorVisionSeverity) {
+        colorVisionSeverity.value = visualization.colorVisionSeverity;
+        colorVisionSeverity.disabled = visualization.colorVisionType === 'none';
+        
+        colorVisionSeverity.addEventListener('input', (e) => {
+            const severity = parseFloat(e.target.value);
+            visualization.setColorVisionSimulation(visualization.colorVisionType, severity);
+            
+            // Update the display value
+            if (colorVisionSeverityValue) {
+                colorVisionSeverityValue.textContent = `${Math.round(severity * 100)}%`;
+            }
+        });
+    }
+    
+    // White-point tint preview, optionally split between two illuminants
+    const illuminantOptions = ILLUMINANTS
+        .map(illuminant => `<option value="${illuminant.id}">${illuminant.label}</option>`)
+        .join('');
+    
+    const illuminantSelect = document.getElementById('illuminantSelect');
+    if (illuminantSelect) {
+        illuminantSelect.innerHTML = illuminantOptions;
+        illuminantSelect.value = visualization.illuminant;
+        
+        illuminantSelect.addEventListener('change', (e) => {
+            visualization.setIlluminant(e.target.value);
+        });
+    }
+    
+    const splitIlluminantSelect = document.getElementById('splitIlluminantSelect');
+    if (splitIlluminantSelect) {
+        splitIlluminantSelect.innerHTML = `<option value="">Off</option>${illuminantOptions}`;
+        splitIlluminantSelect.value = visualization.splitIlluminant || '';
+        
+        splitIlluminantSelect.addEventListener('change', (e) => {
+            visualization.setSplitIlluminant(e.target.value || null);
+        });
+    }
+    
     // Display mode radio buttons
     const displayModeRadios = document.querySelectorAll('input[name="displayMode"]');
     if (displayModeRadios.length > 0) {
@@ -437,6 +565,63 @@ export function setupUI(visualization) {
         });
     }
     
+    // Fiber preset for the curved stem (the curvature slider scales the preset)
+    const stemPresetSelect = document.getElementById('stemPresetSelect');
+    if (stemPresetSelect) {
+        renderStemPresetOptions(stemPresetSelect, visualization.stemPreset);
+        
+        stemPresetSelect.addEventListener('change', (e) => {
+            visualization.setStemPreset(e.target.value);
+        });
+    }
+    
+    // Control point editor for the curved stem
+    const editStemToggle = document.getElementById('editStemToggle');
+    const saveStemProfileButton = document.getElementById('saveStemProfileButton');
+    if (editStemToggle) {
+        editStemToggle.checked = false;
+        
+        editStemToggle.addEventListener('change', (e) => {
+            visualization.toggleStemEditor(e.target.checked);
+            if (saveStemProfileButton) {
+                saveStemProfileButton.disabled = !e.target.checked;
+            }
+        });
+    }
+    
+    if (saveStemProfileButton) {
+        saveStemProfileButton.disabled = true;
+        
+        saveStemProfileButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (!visualization.stemShape) return;
+            
+            const name = prompt('Name for this stem profile:');
+            if (!name || !name.trim()) return;
+            
+            try {
+                const preset = saveCustomPreset(name, visualization.stemPreset, visualization.stemShape);
+                visualization.setStemPreset(preset.id);
+                if (stemPresetSelect) {
+                    renderStemPresetOptions(stemPresetSelect, preset.id);
+                }
+            } catch (error) {
+                console.error('Error saving stem profile:', error);
+                alert('Unable to save the stem profile. Please try again.');
+            }
+        });
+    }
+    
+    // Color-driven stem shape toggle
+    const colorDrivenStemToggle = document.getElementById('colorDrivenStemToggle');
+    if (colorDrivenStemToggle) {
+        colorDrivenStemToggle.checked = visualization.colorDrivenStem;
+        
+        colorDrivenStemToggle.addEventListener('change', (e) => {
+            visualization.toggleColorDrivenStem(e.target.checked);
+        });
+    }
+    
     // Stem Offset Slider
     const stemOffsetSlider = document.getElementById('stemOffsetSlider');
     const offsetValueDisplay = document.getElementById('offsetValue');
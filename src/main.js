@@ -1,6 +1,24 @@
 import './style.css';
 import { EnhancedTCMVisualization } from './visualization/enhanced-visualization';
 import { setupUI } from './components/ui';
+import { setupHarmonyControls } from './components/harmony';
+import { setupGradientEditor } from './components/gradient-editor';
+import { setupColorManagement } from './components/color-management';
+import { setupSampledSwatches } from './components/sampled-swatches';
+import { setupRecentColors } from './components/recent-colors';
+import { setupStemComparison } from './components/stem-comparison';
+import { setupColorwayGrid } from './components/colorway-grid';
+import { setupColorLibrary } from './components/color-library';
+import { setupSavedColorways } from './components/saved-colorways';
+import { setupSpectralImport } from './components/spectral-import';
+import { setupPhotoColors } from './components/photo-colors';
+import { setupRecipeMixer } from './components/recipe';
+import { setupPaletteGenerator } from './components/palette';
+import { setupSwatchExport } from './components/swatch-export';
+import { setupMetricsPanel } from './components/metrics';
+import { setupShareLink, restoreFromShareLink } from './components/share-link';
+import { setupSettingsFile } from './components/settings-file';
+import { setupHistory } from './components/history';
 import { initVersionDisplay } from './components/version';
 
 // Initialize the application
@@ -14,6 +32,63 @@ document.addEventListener('DOMContentLoaded', () => {
   // Initialize UI components
   setupUI(viz);
   
+  // Initialize color harmony controls
+  setupHarmonyControls(viz);
+  
+  // Initialize the gradient ramp editor
+  setupGradientEditor(viz);
+  
+  // Initialize the color management toggle and midpoint check
+  setupColorManagement(viz);
+  
+  // Initialize the eyedropper and sampled swatches tray
+  setupSampledSwatches(viz);
+  
+  // Initialize the recent colors tray
+  setupRecentColors(viz);
+  
+  // Initialize the per-stem comparison colors
+  setupStemComparison(viz);
+  
+  // Initialize the colorway comparison grid
+  setupColorwayGrid(viz);
+  
+  // Initialize the color library panel
+  setupColorLibrary(viz);
+  
+  // Initialize the saved colorway library drawer
+  setupSavedColorways(viz);
+  
+  // Initialize the spectral measurement import
+  setupSpectralImport(viz);
+  
+  // Initialize the fabric photo color extraction
+  setupPhotoColors(viz);
+  
+  // Initialize the dye recipe mixer
+  setupRecipeMixer(viz);
+  
+  // Initialize the tone palette generator
+  setupPaletteGenerator(viz);
+  
+  // Initialize the swatch export menu
+  setupSwatchExport(viz);
+  
+  // Initialize the color metrics panel
+  setupMetricsPanel(viz);
+  
+  // Initialize the copy link button
+  setupShareLink(viz);
+  
+  // Initialize settings file export and import
+  setupSettingsFile(viz);
+  
+  // Restore the view from a shared link, if the page was opened from one
+  restoreFromShareLink(viz);
+  
+  // Initialize undo/redo history (last, so it starts from the fully set up state)
+  setupHistory(viz);
+  
   // Initialize version display
   initVersionDisplay();
   
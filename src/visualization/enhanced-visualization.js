@@ -1,5 +1,17 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { COLOR_VISION_TYPES, getColorVisionMatrix, getColorVisionLabel } from '../color/vision';
+import { getIlluminant, getIlluminantMatrix } from '../color/adaptation';
+import { getAllFiberPresets, DEFAULT_FIBER_PRESET, getFiberPreset, getColorDrivenShape } from './stem-presets';
+import { StemEditor } from './stem-editor';
+import { Eyedropper } from './eyedropper';
+import { hexToRgb, rgbToLab, labToLch } from '../color/color-space';
+import { DEFAULT_RAMP, cloneRamp, normalizeRamp } from '../color/gradient-ramp';
+import { RAMP_SHADER_CHUNK, createRampUniforms, updateRampUniforms } from './ramp-shader';
+import { OUTPUT_SHADER_CHUNK, createOutputUniforms } from './output-shader';
+
+// Render layer of the colorway comparison grid (the single-cylinder view stays on layer 0)
+const COLORWAY_LAYER = 1;
 
 export class EnhancedTCMVisualization {
     constructor() {
@@ -31,6 +43,30 @@ export class EnhancedTCMVisualization {
         this.useCurvedStem = true; // Use curved stem by default
         this.showMultipleStems = false; // Default to showing only one curved stem at 3 o'clock
         this.curvedStemSegments = 12; // Default number of segments for 360-degree visualization
+        this.stemPreset = DEFAULT_FIBER_PRESET; // Fiber preset shaping the curved stem
+        this.colorDrivenStem = false; // Derive the stem shape from the color's chroma and lightness
+        this.stemShape = null; // Control points ({ heights, offsets }) of the stem currently drawn
+        this.stemShapeAnimation = null; // Running transition between stem shapes
+        this.editedStemShape = null; // Control points edited by hand, overriding the preset
+        this.stemEditor = null; // Drag handles for the stem control points
+        this.eyedropper = null; // Hover/click color sampling in the 3D view
+        this.stemComparisonColors = []; // Colors ({ color, label }) cycled around the multiple stems
+        this.gradientRamp = cloneRamp(DEFAULT_RAMP); // Stops, easing and interpolation space of the TCS gradient
+        this.stemUsesRamp = false; // Color the curved stems with the gradient ramp instead of the preset shades
+        this.colorManaged = true; // Encode shader output as sRGB so the entered color renders exactly
+        this.harmonyColors = []; // Extra harmony colors, each drawn as its own cylinder
+        this.harmonyLayout = 'ring'; // Options: 'ring', 'row'
+        this.harmonyGroup = null; // Group holding the harmony cylinders
+        this.colorways = []; // Colorways ({ color, lining, label }) laid out in the comparison grid
+        this.showColorwayGrid = false; // Show the colorway grid instead of the single cylinder
+        this.colorwayGroup = null; // Group holding one sub-group per colorway
+        this.singleViewCamera = null; // Camera position and target to return to when the grid is closed
+        this.changeListeners = []; // Callbacks notified when the visualization state changes
+        this.colorVisionType = 'none'; // Color vision deficiency simulation ('none', 'protanopia', ...)
+        this.colorVisionSeverity = 1.0; // Simulation severity (0-1)
+        this.colorVisionPass = null; // Post-processing pass used for the simulation and illuminants
+        this.illuminant = 'D65'; // White point the whole view is tinted toward (colors are specified under D65)
+        this.splitIlluminant = null; // Illuminant for the right half of a split view, or null for no split
         
         this.init();
     }
@@ -41,6 +77,9 @@ export class EnhancedTCMVisualization {
         this.setupRenderer();
         this.setupLighting();
         this.setupControls();
+        this.setupColorVisionPass();
+        this.stemEditor = new StemEditor(this);
+        this.eyedropper = new Eyedropper(this);
         this.createVisualization();
         
         // Set initial display mode to solid
@@ -54,6 +93,28 @@ export class EnhancedTCMVisualization {
         return this;
     }
     
+    /**
+     * Register a callback that runs whenever the visualization state changes
+     * @param {Function} listener - Called with the name of what changed ('color', 'lining', 'stem', ...)
+     */
+    addChangeListener(listener) {
+        this.changeListeners.push(listener);
+    }
+    
+    /**
+     * Notify the change listeners
+     * @private
+     */
+    _notifyChange(property) {
+        this.changeListeners.forEach(listener => {
+            try {
+                listener(property);
+            } catch (error) {
+                console.error('Error in visualization change listener:', error);
+            }
+        });
+    }
+    
     setupScene() {
         this.scene = new THREE.Scene();
         // Set initial background color based on theme
@@ -61,10 +122,12 @@ export class EnhancedTCMVisualization {
         
         // Add a grid helper for better spatial awareness
         this.gridHelper = new THREE.GridHelper(10, 10);
+        this.gridHelper.layers.enable(COLORWAY_LAYER);
         this.scene.add(this.gridHelper);
         
         // Add axes helper
         const axesHelper = new THREE.AxesHelper(5);
+        axesHelper.layers.enable(COLORWAY_LAYER);
         this.scene.add(axesHelper);
     }
     
@@ -91,6 +154,9 @@ export class EnhancedTCMVisualization {
                 this.camera.aspect = width / height;
                 this.camera.updateProjectionMatrix();
                 this.renderer.setSize(width, height);
+                
+                // The simulation pass copies the whole frame, so it must match the new size
+                this.resizeColorVisionPass();
             }
         });
     }
@@ -131,8 +197,8 @@ export class EnhancedTCMVisualization {
      * @returns {string} Data URL of the image
      */
     captureImage() {
-        // Make sure we render the scene before capturing
-        this.renderer.render(this.scene, this.camera);
+        // Make sure we render the scene (including any vision simulation) before capturing
+        this.renderFrame();
         
         // Create a temporary canvas to add text/watermark
         const canvas = document.createElement('canvas');
@@ -166,6 +232,22 @@ export class EnhancedTCMVisualization {
         ctx.textAlign = 'right';
         ctx.fillText(`Generated: ${dateStr}`, canvas.width - 15, canvas.height - 15);
         
+        // Label images rendered through a color vision simulation
+        const visionLabel = getColorVisionLabel(this.colorVisionType, this.colorVisionSeverity);
+        if (visionLabel) {
+            ctx.textAlign = 'center';
+            ctx.fillText(`Simulated: ${visionLabel}`, canvas.width / 2, canvas.height - 15);
+        }
+        
+        // Label the illuminant(s) the image was rendered under
+        if (this.illuminant !== 'D65' || this.splitIlluminant) {
+            const illuminantText = this.splitIlluminant
+                ? `Illuminants: ${this.illuminant} | ${this.splitIlluminant}`
+                : `Illuminant: ${this.illuminant}`;
+            ctx.textAlign = 'center';
+            ctx.fillText(illuminantText, canvas.width / 2, visionLabel ? canvas.height - 30 : canvas.height - 15);
+        }
+        
         // Return the enhanced canvas image data as a data URL
         return canvas.toDataURL('image/png');
     }
@@ -241,6 +323,18 @@ export class EnhancedTCMVisualization {
             this.centerLine.rotation.y += this.rotationSpeed;
         }
         
+        // The colorway cylinders turn with the same speed
+        if (this.isRotating && this.colorwayGroup) {
+            this.colorwayGroup.children.forEach(colorway => {
+                colorway.rotation.y += this.rotationSpeed;
+            });
+        }
+        
+        // Morph the stem toward a new color-driven shape
+        if (this.stemShapeAnimation) {
+            this.stepStemShapeAnimation();
+        }
+        
         // Update stem animation if it's a curved stem with shader material
         if (this.useCurvedStem && this.centerLine) {
             if (this.centerLine.isGroup) {
@@ -262,7 +356,234 @@ export class EnhancedTCMVisualization {
         }
         
         // Render the scene
+        this.renderFrame();
+    }
+    
+    /**
+     * Renders one frame, followed by the illuminant and color vision simulation pass when enabled
+     */
+    renderFrame() {
         this.renderer.render(this.scene, this.camera);
+        
+        const needsPass = this.colorVisionType !== 'none' || this.illuminant !== 'D65' || this.splitIlluminant;
+        if (needsPass && this.colorVisionPass) {
+            // Copy the finished frame and redraw it through the illuminant and simulation matrices
+            const pass = this.colorVisionPass;
+            this.renderer.copyFramebufferToTexture(pass.texture);
+            this.renderer.render(pass.scene, pass.camera);
+        }
+    }
+    
+    /**
+     * Creates the full-screen pass used to simulate color vision deficiencies and illuminants
+     * The pass works on the final displayed (sRGB) pixels, so the simulated frame
+     * matches the normal frame exactly apart from the simulation itself
+     */
+    setupColorVisionPass() {
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                frame: { value: null },
+                cvdMatrix: { value: new THREE.Matrix3() },
+                illuminantMatrix: { value: new THREE.Matrix3() },
+                splitIlluminantMatrix: { value: new THREE.Matrix3() },
+                splitPosition: { value: -1.0 } // Horizontal split in UV space, negative for no split
+            },
+            vertexShader: `
+                varying vec2 vUv;
+                void main() {
+                    vUv = uv;
+                    gl_Position = vec4(position.xy, 0.0, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform sampler2D frame;
+                uniform mat3 cvdMatrix;
+                uniform mat3 illuminantMatrix;
+                uniform mat3 splitIlluminantMatrix;
+                uniform float splitPosition;
+                varying vec2 vUv;
+                
+                vec3 toLinear(vec3 c) {
+                    return mix(c / 12.92, pow((c + 0.055) / 1.055, vec3(2.4)), step(0.04045, c));
+                }
+                
+                vec3 toSrgb(vec3 c) {
+                    return mix(c * 12.92, 1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055, step(0.0031308, c));
+                }
+                
+                void main() {
+                    vec4 texel = texture2D(frame, vUv);
+                    
+                    // Re-light the frame first, then apply the viewer's color vision
+                    bool rightHalf = splitPosition >= 0.0 && vUv.x > splitPosition;
+                    mat3 lightMatrix = rightHalf ? splitIlluminantMatrix : illuminantMatrix;
+                    
+                    // Both sets of matrices operate on linear RGB
+                    vec3 lit = clamp(lightMatrix * toLinear(texel.rgb), 0.0, 1.0);
+                    vec3 simulated = clamp(cvdMatrix * lit, 0.0, 1.0);
+                    
+                    gl_FragColor = vec4(toSrgb(simulated), 1.0);
+                }
+            `,
+            depthTest: false,
+            depthWrite: false
+        });
+        
+        const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+        quad.frustumCulled = false;
+        
+        const scene = new THREE.Scene();
+        scene.add(quad);
+        
+        this.colorVisionPass = {
+            scene,
+            camera: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1),
+            material,
+            texture: null
+        };
+        
+        this.resizeColorVisionPass();
+    }
+    
+    /**
+     * Resizes the simulation pass texture to match the renderer's drawing buffer
+     */
+    resizeColorVisionPass() {
+        if (!this.colorVisionPass) return;
+        
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        const pass = this.colorVisionPass;
+        
+        if (pass.texture) {
+            pass.texture.dispose();
+        }
+        
+        pass.texture = new THREE.FramebufferTexture(Math.max(1, size.x), Math.max(1, size.y));
+        pass.material.uniforms.frame.value = pass.texture;
+    }
+    
+    /**
+     * Sets the color vision deficiency simulation applied to the rendered frame
+     * @param {string} type - 'none', 'protanopia', 'deuteranopia', 'tritanopia' or 'achromatopsia'
+     * @param {number} severity - Severity from 0 (normal) to 1 (complete)
+     */
+    setColorVisionSimulation(type, severity = this.colorVisionSeverity) {
+        if (!COLOR_VISION_TYPES.some(t => t.id === type)) {
+            console.error('Invalid color vision type:', type);
+            return;
+        }
+        
+        this.colorVisionType = type;
+        this.colorVisionSeverity = Math.max(0, Math.min(1, severity));
+        
+        if (this.colorVisionPass) {
+            const m = getColorVisionMatrix(this.colorVisionType, this.colorVisionSeverity);
+            this.colorVisionPass.material.uniforms.cvdMatrix.value.set(...m);
+        }
+        
+        // Show which simulation is active on top of the view
+        const container = document.getElementById('visualization');
+        if (container) {
+            let badge = document.getElementById('colorVisionBadge');
+            const label = getColorVisionLabel(this.colorVisionType, this.colorVisionSeverity);
+            
+            if (!badge && label) {
+                badge = document.createElement('div');
+                badge.id = 'colorVisionBadge';
+                badge.style.position = 'absolute';
+                badge.style.top = '10px';
+                badge.style.left = '10px';
+                badge.style.backgroundColor = 'rgba(40, 40, 40, 0.85)';
+                badge.style.color = 'white';
+                badge.style.padding = '4px 8px';
+                badge.style.borderRadius = '4px';
+                badge.style.fontSize = '12px';
+                badge.style.pointerEvents = 'none';
+                container.parentElement.appendChild(badge);
+            }
+            
+            if (badge) {
+                badge.textContent = label ? `Simulating: ${label}` : '';
+                badge.style.display = label ? 'block' : 'none';
+            }
+        }
+        
+        this._notifyChange('colorVision');
+    }
+    
+    /**
+     * Tints the view toward an illuminant's white point
+     * The whole frame is adapted from D65 with one Bradford transform, so this
+     * previews the light's cast rather than simulating it spectrally
+     * @param {string} illuminantId - 'D65', 'D50', 'A', 'F2', 'F11' or 'LED'
+     */
+    setIlluminant(illuminantId) {
+        if (!getIlluminant(illuminantId)) {
+            console.error('Invalid illuminant:', illuminantId);
+            return;
+        }
+        
+        this.illuminant = illuminantId;
+        this.updateIlluminantPass();
+        this._notifyChange('illuminant');
+    }
+    
+    /**
+     * Shows a second illuminant on the right half of the view
+     * @param {string|null} illuminantId - The illuminant for the right half, or null to turn the split off
+     */
+    setSplitIlluminant(illuminantId) {
+        if (illuminantId && !getIlluminant(illuminantId)) {
+            console.error('Invalid illuminant:', illuminantId);
+            return;
+        }
+        
+        this.splitIlluminant = illuminantId || null;
+        this.updateIlluminantPass();
+        this._notifyChange('illuminant');
+    }
+    
+    /**
+     * Updates the illuminant uniforms and the split view labels
+     */
+    updateIlluminantPass() {
+        if (this.colorVisionPass) {
+            const uniforms = this.colorVisionPass.material.uniforms;
+            uniforms.illuminantMatrix.value.set(...getIlluminantMatrix(this.illuminant));
+            uniforms.splitIlluminantMatrix.value.set(...getIlluminantMatrix(this.splitIlluminant || this.illuminant));
+            uniforms.splitPosition.value = this.splitIlluminant ? 0.5 : -1.0;
+        }
+        
+        const container = document.getElementById('visualization');
+        if (!container) return;
+        
+        let overlay = document.getElementById('illuminantOverlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'illuminantOverlay';
+            overlay.style.position = 'absolute';
+            overlay.style.top = '0';
+            overlay.style.left = '0';
+            overlay.style.right = '0';
+            overlay.style.bottom = '0';
+            overlay.style.pointerEvents = 'none';
+            container.parentElement.appendChild(overlay);
+        }
+        
+        const labelStyle = 'position: absolute; bottom: 10px; background-color: rgba(40, 40, 40, 0.85); color: white; padding: 4px 8px; border-radius: 4px; font-size: 12px;';
+        const illuminantLabel = getIlluminant(this.illuminant).label;
+        
+        if (this.splitIlluminant) {
+            // Divider with one label per half
+            overlay.innerHTML = `
+                <div style="position: absolute; top: 0; bottom: 0; left: 50%; width: 2px; margin-left: -1px; background-color: rgba(255, 255, 255, 0.8); box-shadow: 0 0 3px rgba(0, 0, 0, 0.5);"></div>
+                <div style="${labelStyle} right: calc(50% + 10px);">${illuminantLabel}</div>
+                <div style="${labelStyle} left: calc(50% + 10px);">${getIlluminant(this.splitIlluminant).label}</div>`;
+        } else if (this.illuminant !== 'D65') {
+            overlay.innerHTML = `<div style="${labelStyle} left: 10px;">Illuminant: ${illuminantLabel}</div>`;
+        } else {
+            overlay.innerHTML = '';
+        }
     }
     
     /**
@@ -290,9 +611,14 @@ export class EnhancedTCMVisualization {
      * 2. Multiple stem segments view (straight + multiple curved stems) - When showMultipleStems is true
      */
     createCurvedStem() {
-        // Remove existing centerLine if it exists
+        // Remove existing centerLine if it exists, freeing its GPU resources
+        // (the stem is rebuilt on every drag step while editing)
         if (this.centerLine) {
             this.scene.remove(this.centerLine);
+            this.centerLine.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
         }
         
         // Create a group to hold all stems
@@ -308,193 +634,286 @@ export class EnhancedTCMVisualization {
         const straightStem = new THREE.Mesh(centerLineGeometry, centerLineMaterial);
         stemGroup.add(straightStem);
         
+        // Draw the target shape straight away; any running transition is dropped
+        this.stemShape = this.getStemShape();
+        this.stemShapeAnimation = null;
+        
         if (this.showMultipleStems) {
-            // Show multiple curved stems based on the segments setting
+            // Show multiple curved stems evenly spaced around the circle
+            // Comparison colors, when set, are assigned to the stems in turn
             const segments = this.curvedStemSegments || 12;
-            
-            // Create curved stems evenly spaced around the circle
+            const comparison = this.stemComparisonColors;
             for (let i = 0; i < segments; i++) {
-                // Calculate angle based on segment
-                const angle = (i / segments) * Math.PI * 2;
-                const cosAngle = Math.cos(angle);
-                const sinAngle = Math.sin(angle);
-                
-                // Create a set of points for this segment
-                const segmentPoints = [
-                    { pos: new THREE.Vector3(0, -1.5, 0), color: new THREE.Color(0x000000) },  // Bottom (black)
-                    { 
-                        pos: new THREE.Vector3(
-                            this.stemMaxOffset * 0.5 * cosAngle, 
-                            -0.75, 
-                            this.stemMaxOffset * 0.5 * sinAngle
-                        ), 
-                        color: this.currentColor.clone().multiplyScalar(0.3) // Lower middle (30% color)
-                    },
-                    { 
-                        pos: new THREE.Vector3(
-                            this.stemMaxOffset * cosAngle, 
-                            0, 
-                            this.stemMaxOffset * sinAngle
-                        ), 
-                        color: this.currentColor.clone() // Middle (full color)
-                    },
-                    { 
-                        pos: new THREE.Vector3(
-                            this.stemMaxOffset * 0.5 * cosAngle, 
-                            0.75, 
-                            this.stemMaxOffset * 0.5 * sinAngle
-                        ), 
-                        color: this.currentColor.clone().lerp(new THREE.Color(0xffffff), 0.7) // Upper middle (70% to white)
-                    },
-                    { pos: new THREE.Vector3(0, 1.5, 0), color: new THREE.Color(0xffffff) }  // Top (white)
-                ];
-                
-                // Create curve for this segment
-                const curve = new THREE.CatmullRomCurve3(segmentPoints.map(p => p.pos));
-                const colors = segmentPoints.map(p => p.color);
+                const stemColor = comparison.length > 0 ? comparison[i % comparison.length].color : null;
+                stemGroup.add(this.createCurvedStemMesh((i / segments) * Math.PI * 2, stemColor));
+            }
+        } else {
+            // Show just a single curved stem at 3 o'clock (0 radians = right side)
+            stemGroup.add(this.createCurvedStemMesh(0));
+        }
+        
+        // Control point handles while editing
+        if (this.stemEditor && this.stemEditor.enabled) {
+            this.stemEditor.addHandles(stemGroup);
+        }
+        
+        // Store the group as centerLine and add to scene
+        this.centerLine = stemGroup;
+        this.scene.add(this.centerLine);
+        
+        this.updateStemLegend();
+    }
+    
+    /**
+     * Creates one curved stem following the active fiber preset
+     * @param {number} angle - Direction of the curve around the center axis (radians)
+     * @param {THREE.Color|null} stemColor - A fixed color for this stem, or null to follow the main color
+     * @returns {THREE.Mesh} The stem mesh
+     */
+    createCurvedStemMesh(angle, stemColor = null) {
+        const tubeGeometry = this.createCurvedStemGeometry(angle, this.stemShape);
+        
+        if (this.stemUsesRamp) {
+            const rampStem = new THREE.Mesh(tubeGeometry, this.createRampStemMaterial(stemColor || this.currentColor));
+            rampStem.userData.stemAngle = angle;
+            rampStem.userData.stemColor = stemColor;
+            return rampStem;
+        }
+        
+        // Position of each stop along the stem (0 = bottom, 1 = top)
+        const stops = this.stemShape.heights.map(height => (height + 1.5) / 3.0);
+        
+        const stemMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                ...createOutputUniforms(this.colorManaged),
+                colors: { value: this.getStemStopColors(stemColor || this.currentColor) },
+                stops: { value: stops },
+                time: { value: 0 }
+            },
+            vertexShader: `
+                varying float vPosition;
                 
-                // Create the geometry for the curved stem
-                const tubeGeometry = new THREE.TubeGeometry(curve, 50, 0.05, 8, false);
+                void main() {
+                    vPosition = position.y;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 colors[5];
+                uniform float stops[5];
+                uniform float time;
+                varying float vPosition;
+                ${OUTPUT_SHADER_CHUNK}
                 
-                // Create shader material for this stem
-                const stemMaterial = new THREE.ShaderMaterial({
-                    uniforms: {
-                        colors: { value: colors },
-                        time: { value: 0 }
-                    },
-                    vertexShader: `
-                        varying float vPosition;
-                        
-                        void main() {
-                            vPosition = position.y;
-                            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-                        }
-                    `,
-                    fragmentShader: `
-                        uniform vec3 colors[5];
-                        uniform float time;
-                        varying float vPosition;
-                        
-                        void main() {
-                            float t = (vPosition + 1.5) / 3.0;
-                            vec3 color;
-                            
-                            if (t < 0.25) {
-                                color = mix(colors[0], colors[1], t * 4.0);
-                            } else if (t < 0.5) {
-                                color = mix(colors[1], colors[2], (t - 0.25) * 4.0);
-                            } else if (t < 0.75) {
-                                color = mix(colors[2], colors[3], (t - 0.5) * 4.0);
-                            } else {
-                                color = mix(colors[3], colors[4], (t - 0.75) * 4.0);
-                            }
-                            
-                            // Add subtle animation
-                            float pulse = sin(time * 2.0 + t * 10.0) * 0.1 + 0.9;
-                            color *= pulse;
-                            
-                            gl_FragColor = vec4(color, 1.0);
+                void main() {
+                    float t = (vPosition + 1.5) / 3.0;
+                    vec3 color = colors[0];
+                    
+                    // Blend between the two stops surrounding this point
+                    for (int i = 0; i < 4; i++) {
+                        if (t >= stops[i]) {
+                            float span = max(stops[i + 1] - stops[i], 0.0001);
+                            color = mix(colors[i], colors[i + 1], clamp((t - stops[i]) / span, 0.0, 1.0));
                         }
-                    `
-                });
+                    }
+                    
+                    // Add subtle animation
+                    float pulse = sin(time * 2.0 + t * 10.0) * 0.1 + 0.9;
+                    color *= pulse;
+                    
+                    gl_FragColor = toOutputColor(vec4(color, 1.0));
+                }
+            `
+        });
+        
+        const curvedStem = new THREE.Mesh(tubeGeometry, stemMaterial);
+        curvedStem.userData.stemAngle = angle;
+        curvedStem.userData.stemColor = stemColor;
+        return curvedStem;
+    }
+    
+    /**
+     * Creates a stem material colored by the gradient ramp instead of the preset shades
+     * @param {THREE.Color} color - The stem's base color
+     * @returns {THREE.ShaderMaterial} The material
+     */
+    createRampStemMaterial(color) {
+        return new THREE.ShaderMaterial({
+            uniforms: {
+                ...createRampUniforms(this.gradientRamp),
+                ...createOutputUniforms(this.colorManaged),
+                mainColor: { value: color },
+                time: { value: 0 }
+            },
+            vertexShader: `
+                varying float vPosition;
                 
-                // Create mesh for this stem and add to group
-                const curvedStem = new THREE.Mesh(tubeGeometry, stemMaterial);
-                stemGroup.add(curvedStem);
-            }
-        } else {
-            // Show just a single curved stem at 3 o'clock (0 degrees)
-            const angle = 0; // 0 radians = 3 o'clock position (right side)
-            const cosAngle = Math.cos(angle);
-            const sinAngle = Math.sin(angle);
-            
-            // Create a set of points for the curved stem
-            const segmentPoints = [
-                { pos: new THREE.Vector3(0, -1.5, 0), color: new THREE.Color(0x000000) },  // Bottom (black)
-                { 
-                    pos: new THREE.Vector3(
-                        this.stemMaxOffset * 0.5 * cosAngle, 
-                        -0.75, 
-                        this.stemMaxOffset * 0.5 * sinAngle
-                    ), 
-                    color: this.currentColor.clone().multiplyScalar(0.3) // Lower middle (30% color)
-                },
-                { 
-                    pos: new THREE.Vector3(
-                        this.stemMaxOffset * cosAngle, 
-                        0, 
-                        this.stemMaxOffset * sinAngle
-                    ), 
-                    color: this.currentColor.clone() // Middle (full color)
-                },
-                { 
-                    pos: new THREE.Vector3(
-                        this.stemMaxOffset * 0.5 * cosAngle, 
-                        0.75, 
-                        this.stemMaxOffset * 0.5 * sinAngle
-                    ), 
-                    color: this.currentColor.clone().lerp(new THREE.Color(0xffffff), 0.7) // Upper middle (70% to white)
-                },
-                { pos: new THREE.Vector3(0, 1.5, 0), color: new THREE.Color(0xffffff) }  // Top (white)
-            ];
-            
-            // Create the curved path
-            const curve = new THREE.CatmullRomCurve3(segmentPoints.map(p => p.pos));
-            const colors = segmentPoints.map(p => p.color);
-            
-            // Create the geometry for the curved stem
-            const tubeGeometry = new THREE.TubeGeometry(curve, 50, 0.05, 8, false);
-            
-            // Create shader material for the curved stem
-            const stemMaterial = new THREE.ShaderMaterial({
-                uniforms: {
-                    colors: { value: colors },
-                    time: { value: 0 }
-                },
-                vertexShader: `
-                    varying float vPosition;
+                void main() {
+                    vPosition = position.y;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 mainColor;
+                uniform float time;
+                varying float vPosition;
+                ${RAMP_SHADER_CHUNK}
+                ${OUTPUT_SHADER_CHUNK}
+                
+                void main() {
+                    float t = (vPosition + 1.5) / 3.0;
+                    vec3 color = sampleRamp(t, mainColor);
                     
-                    void main() {
-                        vPosition = position.y;
-                        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-                    }
-                `,
-                fragmentShader: `
-                    uniform vec3 colors[5];
-                    uniform float time;
-                    varying float vPosition;
+                    // Same subtle animation as the preset stem
+                    float pulse = sin(time * 2.0 + t * 10.0) * 0.1 + 0.9;
+                    color *= pulse;
                     
-                    void main() {
-                        float t = (vPosition + 1.5) / 3.0;
-                        vec3 color;
-                        
-                        if (t < 0.25) {
-                            color = mix(colors[0], colors[1], t * 4.0);
-                        } else if (t < 0.5) {
-                            color = mix(colors[1], colors[2], (t - 0.25) * 4.0);
-                        } else if (t < 0.75) {
-                            color = mix(colors[2], colors[3], (t - 0.5) * 4.0);
-                        } else {
-                            color = mix(colors[3], colors[4], (t - 0.75) * 4.0);
-                        }
-                        
-                        // Add subtle animation
-                        float pulse = sin(time * 2.0 + t * 10.0) * 0.1 + 0.9;
-                        color *= pulse;
-                        
-                        gl_FragColor = vec4(color, 1.0);
-                    }
-                `
-            });
+                    gl_FragColor = toOutputColor(vec4(color, 1.0));
+                }
+            `
+        });
+    }
+    
+    /**
+     * Creates the tube geometry for one curved stem
+     * @param {number} angle - Direction of the curve around the center axis (radians)
+     * @param {{heights: number[], offsets: number[]}} shape - The control points
+     * @returns {THREE.TubeGeometry} The geometry
+     */
+    createCurvedStemGeometry(angle, shape) {
+        const preset = getFiberPreset(this.stemPreset);
+        const cosAngle = Math.cos(angle);
+        const sinAngle = Math.sin(angle);
+        
+        // Control points, with offsets scaled by the curvature slider
+        const points = shape.heights.map((height, i) => new THREE.Vector3(
+            this.stemMaxOffset * shape.offsets[i] * cosAngle,
+            height,
+            this.stemMaxOffset * shape.offsets[i] * sinAngle
+        ));
+        
+        const curve = new THREE.CatmullRomCurve3(points, false, preset.curveType, preset.tension);
+        return new THREE.TubeGeometry(curve, 50, 0.05, 8, false);
+    }
+    
+    /**
+     * Gets the stem control points for a color
+     * Uses the fiber preset as-is, or adjusted by the color's chroma and lightness
+     * when the color-driven mode is on
+     * @param {THREE.Color} color - The stem color (defaults to the current color)
+     * @returns {{heights: number[], offsets: number[]}} The control points
+     */
+    getStemShape(color = this.currentColor) {
+        // Hand-edited points win over the preset and the color
+        if (this.editedStemShape) {
+            return { heights: this.editedStemShape.heights.slice(), offsets: this.editedStemShape.offsets.slice() };
+        }
+        
+        const preset = getFiberPreset(this.stemPreset);
+        if (!this.colorDrivenStem) {
+            return { heights: preset.heights.slice(), offsets: preset.offsets.slice() };
+        }
+        
+        const lch = labToLch(rgbToLab(hexToRgb(`#${color.getHexString()}`)));
+        return getColorDrivenShape(preset, lch);
+    }
+    
+    /**
+     * Starts a smooth transition from the drawn stem shape to the current color's shape
+     */
+    animateStemShape() {
+        if (!this.useCurvedStem || !this.stemShape) return;
+        
+        this.stemShapeAnimation = {
+            from: this.stemShape,
+            to: this.getStemShape(),
+            startTime: performance.now(),
+            duration: 600 // ms
+        };
+    }
+    
+    /**
+     * Advances the stem shape transition by one frame and rebuilds the stem geometry
+     */
+    stepStemShapeAnimation() {
+        const { from, to, startTime, duration } = this.stemShapeAnimation;
+        const progress = Math.min((performance.now() - startTime) / duration, 1);
+        
+        // Ease in-out for a natural feel
+        const t = progress < 0.5 ? 2 * progress * progress : -1 + (4 - 2 * progress) * progress;
+        const lerp = (a, b) => a.map((value, i) => value + (b[i] - value) * t);
+        
+        this.stemShape = {
+            heights: lerp(from.heights, to.heights),
+            offsets: lerp(from.offsets, to.offsets)
+        };
+        
+        if (this.centerLine && this.centerLine.isGroup) {
+            const stops = this.stemShape.heights.map(height => (height + 1.5) / 3.0);
             
-            // Create mesh for the curved stem and add to group
-            const curvedStem = new THREE.Mesh(tubeGeometry, stemMaterial);
-            stemGroup.add(curvedStem);
+            this.centerLine.children.forEach(stemMesh => {
+                if (stemMesh.userData.stemAngle === undefined) return;
+                
+                stemMesh.geometry.dispose();
+                stemMesh.geometry = this.createCurvedStemGeometry(stemMesh.userData.stemAngle, this.stemShape);
+                
+                // Ramp-colored stems sample by height directly and have no shade stops to move
+                if (stemMesh.material.uniforms.stops) {
+                    stemMesh.material.uniforms.stops.value = stops;
+                }
+            });
         }
         
-        // Store the group as centerLine and add to scene
-        this.centerLine = stemGroup;
-        this.scene.add(this.centerLine);
+        if (progress >= 1) {
+            this.stemShapeAnimation = null;
+        }
+    }
+    
+    /**
+     * Turns the color-driven stem shape on or off
+     * @param {boolean} enabled - Whether chroma and lightness shape the stem
+     */
+    toggleColorDrivenStem(enabled) {
+        this.colorDrivenStem = enabled;
+        this.editedStemShape = null;
+        
+        if (this.useCurvedStem) {
+            this.animateStemShape();
+        }
+        
+        this._notifyChange('stem');
+    }
+    
+    /**
+     * Colors the curved stems with the gradient ramp or with the fiber preset's shades
+     * @param {boolean} enabled - Whether the stems follow the gradient ramp
+     */
+    toggleStemRamp(enabled) {
+        this.stemUsesRamp = enabled;
+        
+        if (this.useCurvedStem) {
+            this.createCurvedStem();
+        }
+        
+        this._notifyChange('stem');
+    }
+    
+    /**
+     * Calculates the five curved-stem stop colors for a color, bottom to top
+     * The shades come from the active fiber preset; the standard preset gives
+     * black, 30% color, full color, 70% toward white, white
+     * @param {THREE.Color} color - The stem color (defaults to the current color)
+     * @returns {THREE.Color[]} The stop colors
+     */
+    getStemStopColors(color = this.currentColor) {
+        const black = new THREE.Color(0x000000);
+        const white = new THREE.Color(0xffffff);
+        
+        return getFiberPreset(this.stemPreset).shades.map(shade => (
+            shade < 0
+                ? color.clone().lerp(black, -shade)
+                : color.clone().lerp(white, shade)
+        ));
     }
     
     /**
@@ -508,27 +927,18 @@ export class EnhancedTCMVisualization {
             if (this.centerLine.isGroup) {
                 // Update each child mesh in the group
                 this.centerLine.children.forEach(stemMesh => {
+                    // Comparison stems keep their own color
+                    if (stemMesh.userData.stemColor) return;
+                    
                     if (stemMesh.material && stemMesh.material.uniforms && stemMesh.material.uniforms.colors) {
-                        const colors = stemMesh.material.uniforms.colors.value;
-                        
-                        // Update only color-related points (middle three)
-                        colors[1] = color.clone().multiplyScalar(0.3);
-                        colors[2] = color.clone();
-                        colors[3] = color.clone().lerp(new THREE.Color(0xffffff), 0.7);
-                        
-                        stemMesh.material.uniforms.colors.value = colors;
+                        stemMesh.material.uniforms.colors.value = this.getStemStopColors(color);
+                    } else if (stemMesh.material && stemMesh.material.uniforms && stemMesh.material.uniforms.rampCount) {
+                        stemMesh.material.uniforms.mainColor.value = color;
                     }
                 });
             } else if (this.centerLine.material && this.centerLine.material.uniforms && this.centerLine.material.uniforms.colors) {
                 // Legacy support for a single curved stem
-                const colors = this.centerLine.material.uniforms.colors.value;
-                
-                // Update only color-related points (middle three)
-                colors[1] = color.clone().multiplyScalar(0.3);
-                colors[2] = color.clone();
-                colors[3] = color.clone().lerp(new THREE.Color(0xffffff), 0.7);
-                
-                this.centerLine.material.uniforms.colors.value = colors;
+                this.centerLine.material.uniforms.colors.value = this.getStemStopColors(color);
             }
         } else if (!this.useCurvedStem) {
             // For straight stem, just update the color
@@ -546,6 +956,75 @@ export class EnhancedTCMVisualization {
         if (this.useCurvedStem) {
             this.createCurvedStem();
         }
+        
+        this._notifyChange('stem');
+    }
+    
+    /**
+     * Sets the fiber preset that shapes and colors the curved stem
+     * @param {string} presetId - One of the FIBER_PRESETS ids
+     */
+    setStemPreset(presetId) {
+        if (!getAllFiberPresets().some(preset => preset.id === presetId)) {
+            console.error('Invalid fiber preset:', presetId);
+            return;
+        }
+        
+        this.stemPreset = presetId;
+        this.editedStemShape = null;
+        if (this.useCurvedStem) {
+            this.createCurvedStem();
+        }
+        
+        this._notifyChange('stem');
+    }
+    
+    /**
+     * Shows or hides the drag handles for the curved stem's control points
+     * Editing starts from the stem shape currently drawn
+     * @param {boolean} enabled - Whether the handles are shown
+     */
+    toggleStemEditor(enabled) {
+        if (enabled && this.stemShape && !this.editedStemShape) {
+            this.stemShapeAnimation = null;
+            this.editedStemShape = {
+                heights: this.stemShape.heights.slice(),
+                offsets: this.stemShape.offsets.slice()
+            };
+        }
+        
+        this.stemEditor.setEnabled(enabled);
+        if (this.useCurvedStem) {
+            this.createCurvedStem();
+        }
+    }
+    
+    /**
+     * Turns the eyedropper on or off
+     * @param {boolean} enabled - Whether hovering the view samples colors
+     */
+    toggleEyedropper(enabled) {
+        this.eyedropper.setEnabled(enabled);
+    }
+    
+    /**
+     * Replaces the stem's control points with hand-edited ones and rebuilds the stem
+     * @param {{heights: number[], offsets: number[]}} shape - The edited control points
+     * @param {boolean} notify - Whether to notify change listeners (skipped mid-drag)
+     */
+    setEditedStemShape(shape, notify = true) {
+        this.editedStemShape = {
+            heights: shape.heights.slice(),
+            offsets: shape.offsets.slice()
+        };
+        
+        if (this.useCurvedStem) {
+            this.createCurvedStem();
+        }
+        
+        if (notify) {
+            this._notifyChange('stem');
+        }
     }
     
     /**
@@ -561,6 +1040,8 @@ export class EnhancedTCMVisualization {
         if (this.useCurvedStem) {
             this.createCurvedStem();
         }
+        
+        this._notifyChange('stem');
     }
     
     /**
@@ -575,7 +1056,95 @@ export class EnhancedTCMVisualization {
         } else {
             // Use only the straight stem
             this.createStraightStem();
+            this.updateStemLegend();
+        }
+        
+        this._notifyChange('stem');
+    }
+    
+    /**
+     * Sets the colors compared on the multiple stems
+     * The colors are assigned to the stems in turn, starting at 3 o'clock
+     * @param {{color: THREE.Color, label: string}[]} colors - The colors, or an empty array to follow the main color
+     */
+    setStemComparisonColors(colors) {
+        this.stemComparisonColors = colors;
+        
+        if (this.useCurvedStem) {
+            this.createCurvedStem();
+        }
+        
+        this._notifyChange('stem');
+    }
+    
+    /**
+     * Shows a legend for the comparison stem colors on top of the view
+     */
+    updateStemLegend() {
+        const container = document.getElementById('visualization');
+        if (!container) return;
+        
+        let legend = document.getElementById('stemLegend');
+        const visible = this.useCurvedStem && this.showMultipleStems && this.stemComparisonColors.length > 0;
+        
+        if (!legend && visible) {
+            legend = document.createElement('div');
+            legend.id = 'stemLegend';
+            legend.style.position = 'absolute';
+            legend.style.top = '10px';
+            legend.style.right = '10px';
+            legend.style.backgroundColor = 'rgba(40, 40, 40, 0.85)';
+            legend.style.color = 'white';
+            legend.style.padding = '6px 8px';
+            legend.style.borderRadius = '4px';
+            legend.style.fontSize = '12px';
+            legend.style.pointerEvents = 'none';
+            container.parentElement.appendChild(legend);
         }
+        
+        if (!legend) return;
+        
+        legend.style.display = visible ? 'block' : 'none';
+        if (!visible) return;
+        
+        // Which stems (numbered from 3 o'clock) carry each color
+        const segments = this.curvedStemSegments || 12;
+        const count = this.stemComparisonColors.length;
+        
+        legend.innerHTML = '';
+        this.stemComparisonColors.forEach(({ color, label }, i) => {
+            const hex = `#${color.getHexString()}`.toUpperCase();
+            const stems = [];
+            for (let stem = i; stem < segments; stem += count) {
+                stems.push(stem + 1);
+            }
+            
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.gap = '6px';
+            row.style.margin = '2px 0';
+            
+            const chip = document.createElement('span');
+            chip.style.display = 'inline-block';
+            chip.style.width = '12px';
+            chip.style.height = '12px';
+            chip.style.borderRadius = '2px';
+            chip.style.border = '1px solid rgba(255, 255, 255, 0.6)';
+            chip.style.backgroundColor = hex;
+            
+            const name = document.createElement('span');
+            name.textContent = label || hex;
+            
+            const positions = document.createElement('span');
+            positions.style.opacity = '0.7';
+            positions.textContent = stems.length > 0 ? `stem ${stems.join(', ')}` : 'not shown';
+            
+            row.appendChild(chip);
+            row.appendChild(name);
+            row.appendChild(positions);
+            legend.appendChild(row);
+        });
     }
     
     /**
@@ -589,6 +1158,8 @@ export class EnhancedTCMVisualization {
         if (this.useCurvedStem) {
             this.createCurvedStem();
         }
+        
+        this._notifyChange('stem');
     }
     
     /**
@@ -606,6 +1177,11 @@ export class EnhancedTCMVisualization {
             if (this.centerLine) {
                 this.centerLine.rotation.y = 0;
             }
+            if (this.colorwayGroup) {
+                this.colorwayGroup.children.forEach(colorway => {
+                    colorway.rotation.y = 0;
+                });
+            }
         }
     }
     
@@ -616,6 +1192,8 @@ export class EnhancedTCMVisualization {
         
         return new THREE.ShaderMaterial({
             uniforms: {
+                ...createRampUniforms(this.gradientRamp),
+                ...createOutputUniforms(this.colorManaged),
                 mainColor: { value: materialColor },
                 opacity: { value: opacity }
             },
@@ -630,24 +1208,16 @@ export class EnhancedTCMVisualization {
                 uniform vec3 mainColor;
                 uniform float opacity;
                 varying vec2 vUv;
+                ${RAMP_SHADER_CHUNK}
+                ${OUTPUT_SHADER_CHUNK}
                 
                 void main() {
                     // vUv.y ranges from 0 (bottom) to 1 (top)
-                    // Create a vertical gradient: black -> main color -> white
-                    vec3 color;
-                    
-                    if (vUv.y < 0.5) {
-                        // Bottom half: black to main color
-                        float t = vUv.y * 2.0; // Normalize to 0-1 range
-                        color = mix(vec3(0.0, 0.0, 0.0), mainColor, t);
-                    } else {
-                        // Top half: main color to white
-                        float t = (vUv.y - 0.5) * 2.0; // Normalize to 0-1 range
-                        color = mix(mainColor, vec3(1.0, 1.0, 1.0), t);
-                    }
+                    // Vertical gradient along the ramp (black -> main color -> white by default)
+                    vec3 color = sampleRamp(vUv.y, mainColor);
                     
                     // Use the opacity uniform for transparency
-                    gl_FragColor = vec4(color, opacity);
+                    gl_FragColor = toOutputColor(vec4(color, opacity));
                 }
             `,
             side: THREE.DoubleSide, // Render both sides to show back of cylinder
@@ -737,6 +1307,11 @@ export class EnhancedTCMVisualization {
             // Update stem colors using dedicated method
             this.updateStemColor(this.currentColor);
             
+            // Morph the stem to the new color's shape
+            if (this.colorDrivenStem) {
+                this.animateStemShape();
+            }
+            
             // Update knit pattern color if it exists
             if (this.knitPattern) {
                 if (this.knitPattern.material) {
@@ -764,6 +1339,8 @@ export class EnhancedTCMVisualization {
         if (this.showGradient) {
             this.updateGradient();
         }
+        
+        this._notifyChange('color');
     }
     
     setComplementaryColor(color) {
@@ -785,6 +1362,8 @@ export class EnhancedTCMVisualization {
         
         // Update the UI color displays
         this.updateColorUI();
+        
+        this._notifyChange('complementaryColor');
     }
     
     setRotationSpeed(speed) {
@@ -807,6 +1386,8 @@ export class EnhancedTCMVisualization {
                 this.cylinder.material = this.createTCSMaterial();
             }
         }
+        
+        this._notifyChange('lining');
     }
     
     toggleGrayLining(useGray) {
@@ -816,6 +1397,8 @@ export class EnhancedTCMVisualization {
             // Update the gradient/lining with the new setting
             this.updateGradient();
         }
+        
+        this._notifyChange('lining');
     }
     
     toggleCircularGradient(showCircularGradient) {
@@ -835,6 +1418,8 @@ export class EnhancedTCMVisualization {
                 }
             }
         }
+        
+        this._notifyChange('circularGradient');
     }
     
     /**
@@ -888,6 +1473,91 @@ export class EnhancedTCMVisualization {
                 solidBtn.style.fontWeight = 'bold';
             }
         }
+        
+        this._notifyChange('reset');
+    }
+    
+    /**
+     * Sets the gradient ramp used by the cylinders (and the stems when they follow it)
+     * @param {Object} ramp - Stops, easing and interpolation space (see color/gradient-ramp.js)
+     */
+    setGradientRamp(ramp) {
+        this.gradientRamp = normalizeRamp(ramp);
+        
+        this.forEachShaderUniforms(uniforms => {
+            if (uniforms.rampCount) {
+                updateRampUniforms(uniforms, this.gradientRamp);
+            }
+        });
+        
+        this._notifyChange('gradient');
+    }
+    
+    /**
+     * Turns color-managed shader output on or off
+     * @param {boolean} enabled - Whether shader colors are encoded as sRGB for the display
+     */
+    setColorManagement(enabled) {
+        this.colorManaged = enabled;
+        
+        this.forEachShaderUniforms(uniforms => {
+            if (uniforms.colorManaged) {
+                uniforms.colorManaged.value = enabled ? 1.0 : 0.0;
+            }
+        });
+        
+        this._notifyChange('colorManagement');
+    }
+    
+    /**
+     * Calls back with the uniforms of every shader material in use or kept aside
+     * (harmony cylinders, stems and the materials stored for display mode switches)
+     * @param {Function} callback - Called with each material's uniforms
+     */
+    forEachShaderUniforms(callback) {
+        this.scene.traverse(object => {
+            if (object.material && object.material.uniforms) {
+                callback(object.material.uniforms);
+            }
+        });
+        
+        if (this.originalMaterials) {
+            Object.values(this.originalMaterials).forEach(material => {
+                if (material.uniforms) {
+                    callback(material.uniforms);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Reads back the displayed pixel halfway up the cylinder's side facing the camera
+     * Used to check that the mid band shows the entered color
+     * @returns {string|null} The pixel as hex, or null when that point is off screen
+     */
+    sampleMidpointPixel() {
+        if (!this.cylinder || !this.renderer) return null;
+        
+        // Point on the outer surface (radius 1) towards the camera, at mid height
+        const center = this.cylinder.getWorldPosition(new THREE.Vector3());
+        const toCamera = this.camera.position.clone().sub(center).setY(0);
+        if (toCamera.lengthSq() === 0) return null;
+        
+        const point = center.add(toCamera.normalize());
+        const ndc = point.project(this.camera);
+        if (Math.abs(ndc.x) > 1 || Math.abs(ndc.y) > 1) return null;
+        
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        const x = Math.round(((ndc.x + 1) / 2) * (size.x - 1));
+        const y = Math.round(((ndc.y + 1) / 2) * (size.y - 1));
+        
+        // Read straight after rendering, before the browser clears the drawing buffer
+        this.renderFrame();
+        const gl = this.renderer.getContext();
+        const pixel = new Uint8Array(4);
+        gl.readPixels(x, y, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+        
+        return '#' + Array.from(pixel.slice(0, 3)).map(v => v.toString(16).padStart(2, '0')).join('');
     }
     
     applyCircularGradient() {
@@ -897,6 +1567,8 @@ export class EnhancedTCMVisualization {
         // This combines both the vertical TCS gradient and the circular gradient
         const gradientMaterial = new THREE.ShaderMaterial({
             uniforms: {
+                ...createRampUniforms(this.gradientRamp),
+                ...createOutputUniforms(this.colorManaged),
                 mainColor: { value: this.currentColor },
                 color2: { value: this.complementaryColor }
             },
@@ -911,19 +1583,12 @@ export class EnhancedTCMVisualization {
                 uniform vec3 mainColor;
                 uniform vec3 color2;
                 varying vec2 vUv;
+                ${RAMP_SHADER_CHUNK}
+                ${OUTPUT_SHADER_CHUNK}
                 
                 void main() {
-                    // Calculate vertical gradient (TCS core functionality)
-                    vec3 verticalColor;
-                    if (vUv.y < 0.5) {
-                        // Bottom half: black to main color
-                        float t = vUv.y * 2.0;
-                        verticalColor = mix(vec3(0.0, 0.0, 0.0), mainColor, t);
-                    } else {
-                        // Top half: main color to white
-                        float t = (vUv.y - 0.5) * 2.0;
-                        verticalColor = mix(mainColor, vec3(1.0, 1.0, 1.0), t);
-                    }
+                    // Calculate vertical gradient along the ramp (TCS core functionality)
+                    vec3 verticalColor = sampleRamp(vUv.y, mainColor);
                     
                     // Calculate circular gradient
                     float angle = atan(vUv.x - 0.5, vUv.y - 0.5) / (2.0 * 3.14159) + 0.5;
@@ -932,7 +1597,7 @@ export class EnhancedTCMVisualization {
                     // Use the vertical color as the first color in the circular gradient
                     vec3 finalColor = mix(verticalColor, color2, angle * 0.5);
                     
-                    gl_FragColor = vec4(finalColor, 0.8);
+                    gl_FragColor = toOutputColor(vec4(finalColor, 0.8));
                 }
             `,
             side: THREE.DoubleSide,
@@ -1438,8 +2103,28 @@ export class EnhancedTCMVisualization {
                 if (this.innerCylinder.material.uniforms && this.innerCylinder.material.uniforms.opacity) {
                     this.innerCylinder.material.uniforms.opacity.value = innerTransparency;
                 }
+                
+                // Harmony cylinders share the outer cylinder's transparency
+                if (this.harmonyGroup) {
+                    this.harmonyGroup.children.forEach(mesh => {
+                        if (mesh.material.uniforms && mesh.material.uniforms.opacity) {
+                            mesh.material.uniforms.opacity.value = this.transparencyLevel;
+                        }
+                    });
+                }
+                
+                // Colorway cylinders and linings follow the main cylinder and lining
+                if (this.colorwayGroup) {
+                    this.colorwayGroup.traverse(object => {
+                        if (object.isMesh && object.material.uniforms && object.material.uniforms.opacity) {
+                            object.material.uniforms.opacity.value = object.userData.isLining ? innerTransparency : this.transparencyLevel;
+                        }
+                    });
+                }
             }
         }
+        
+        this._notifyChange('transparency');
     }
     
     createKnitPattern() {
@@ -1529,6 +2214,7 @@ export class EnhancedTCMVisualization {
             // Update grid colors (need to recreate the grid as THREE.js doesn't allow changing colors directly)
             this.scene.remove(this.gridHelper);
             this.gridHelper = new THREE.GridHelper(10, 10, gridCenterColor, gridColor);
+            this.gridHelper.layers.enable(COLORWAY_LAYER);
             this.gridHelper.visible = this.showGrid;
             this.scene.add(this.gridHelper);
         }
@@ -1654,6 +2340,12 @@ export class EnhancedTCMVisualization {
         
         // Update colors to ensure they're applied with the new material settings
         this.setColor(this.currentColor);
+        
+        // Keep the harmony and colorway cylinders in the same display mode
+        this.updateHarmonyMaterials();
+        this.updateColorwayMaterials();
+        
+        this._notifyChange('displayMode');
     }
     
     updateGradient() {
@@ -1676,6 +2368,316 @@ export class EnhancedTCMVisualization {
         }
     }
     
+    /**
+     * Sets the harmony colors, drawing each one as its own TCS cylinder
+     * @param {THREE.Color[]} colors - The harmony colors (an empty array removes them)
+     */
+    setHarmonyColors(colors) {
+        this.harmonyColors = colors;
+        this.createHarmonyCylinders();
+    }
+    
+    /**
+     * Sets how the harmony cylinders are arranged around the main cylinder
+     * @param {string} layout - 'ring' (around the main cylinder) or 'row' (behind it)
+     */
+    setHarmonyLayout(layout) {
+        if (!['ring', 'row'].includes(layout)) {
+            console.error('Invalid harmony layout:', layout);
+            return;
+        }
+        
+        this.harmonyLayout = layout;
+        this.createHarmonyCylinders();
+    }
+    
+    /**
+     * Creates the harmony cylinders from harmonyColors and harmonyLayout
+     */
+    createHarmonyCylinders() {
+        // Remove existing harmony cylinders if they exist
+        if (this.harmonyGroup) {
+            this.scene.remove(this.harmonyGroup);
+            this.harmonyGroup.children.forEach(mesh => {
+                mesh.geometry.dispose();
+                mesh.material.dispose();
+            });
+            this.harmonyGroup = null;
+        }
+        
+        if (!this.harmonyColors || this.harmonyColors.length === 0) return;
+        
+        this.harmonyGroup = new THREE.Group();
+        
+        // Smaller cylinders with the same height so the ramp lines up with the main one
+        const geometry = new THREE.CylinderGeometry(0.35, 0.35, 3, 32, 1, true);
+        const count = this.harmonyColors.length;
+        
+        this.harmonyColors.forEach((color, i) => {
+            const mesh = new THREE.Mesh(i === 0 ? geometry : geometry.clone(), this.createHarmonyMaterial(color));
+            
+            if (this.harmonyLayout === 'row') {
+                // Evenly spaced row behind the main cylinder
+                mesh.position.set((i - (count - 1) / 2) * 1.0, 0, -2.2);
+            } else {
+                // Evenly spaced ring around the main cylinder, starting behind it
+                const angle = -Math.PI / 2 + (i / count) * Math.PI * 2;
+                mesh.position.set(2.2 * Math.cos(angle), 0, 2.2 * Math.sin(angle));
+            }
+            
+            this.harmonyGroup.add(mesh);
+        });
+        
+        this.scene.add(this.harmonyGroup);
+    }
+    
+    /**
+     * Creates a material for a harmony cylinder matching the current display mode
+     * @param {THREE.Color} color - The harmony color
+     * @returns {THREE.Material} The material to use
+     */
+    createHarmonyMaterial(color) {
+        if (this.displayMode === 'knit-pattern') {
+            return new THREE.MeshBasicMaterial({
+                color: color,
+                wireframe: true,
+                side: THREE.DoubleSide
+            });
+        }
+        
+        if (this.displayMode === 'semi-transparent') {
+            return this.createTCSMaterial(color, true, this.transparencyLevel);
+        }
+        
+        return this.createTCSMaterial(color, false, 1.0);
+    }
+    
+    /**
+     * Rebuilds the harmony cylinder materials after a display mode or transparency change
+     */
+    updateHarmonyMaterials() {
+        if (!this.harmonyGroup) return;
+        
+        this.harmonyGroup.children.forEach((mesh, i) => {
+            mesh.material.dispose();
+            mesh.material = this.createHarmonyMaterial(this.harmonyColors[i]);
+        });
+    }
+    
+    /**
+     * Sets the colorways shown in the comparison grid
+     * @param {{color: THREE.Color, lining: THREE.Color|null, label: string}[]} colorways - The colorways (lining null for none)
+     */
+    setColorways(colorways) {
+        this.colorways = colorways;
+        this.createColorwayCylinders();
+        
+        if (this.showColorwayGrid) {
+            this.frameColorwayGrid();
+        }
+        
+        this._notifyChange('colorways');
+    }
+    
+    /**
+     * Switches between the single cylinder and the colorway comparison grid
+     * Display mode, transparency, rotation and the gradient ramp stay shared
+     * @param {boolean} enabled - Whether to show the grid
+     */
+    toggleColorwayGrid(enabled) {
+        if (enabled === this.showColorwayGrid) return;
+        
+        this.showColorwayGrid = enabled;
+        
+        // Each view lives on its own layer; the raycasters follow the camera
+        this.camera.layers.set(enabled ? COLORWAY_LAYER : 0);
+        
+        if (enabled) {
+            this.singleViewCamera = {
+                position: this.camera.position.clone(),
+                target: this.controls.target.clone()
+            };
+            this.frameColorwayGrid();
+        } else if (this.singleViewCamera) {
+            this.animateCameraMove(this.singleViewCamera.position, this.singleViewCamera.target);
+            this.singleViewCamera = null;
+        }
+        
+        this._notifyChange('colorways');
+    }
+    
+    /**
+     * Grid position of a colorway (rows of up to ceil(sqrt(count)) cylinders, centered on the origin)
+     * @param {number} index - The colorway index
+     * @param {number} count - Number of colorways
+     * @returns {THREE.Vector3} The position
+     */
+    getColorwayPosition(index, count) {
+        const spacing = 2.6;
+        const columns = Math.ceil(Math.sqrt(count));
+        const rows = Math.ceil(count / columns);
+        const column = index % columns;
+        const row = Math.floor(index / columns);
+        
+        return new THREE.Vector3(
+            (column - (columns - 1) / 2) * spacing,
+            0,
+            (row - (rows - 1) / 2) * spacing
+        );
+    }
+    
+    /**
+     * Creates the colorway cylinders from colorways
+     */
+    createColorwayCylinders() {
+        // Remove existing colorway cylinders if they exist
+        if (this.colorwayGroup) {
+            this.scene.remove(this.colorwayGroup);
+            this.colorwayGroup.traverse(object => {
+                if (object.geometry) object.geometry.dispose();
+                if (object.material) {
+                    if (object.material.map) object.material.map.dispose();
+                    object.material.dispose();
+                }
+            });
+            this.colorwayGroup = null;
+        }
+        
+        if (!this.colorways || this.colorways.length === 0) return;
+        
+        this.colorwayGroup = new THREE.Group();
+        
+        // Same dimensions as the main cylinder and lining
+        const cylinderGeometry = new THREE.CylinderGeometry(1, 1, 3, 32, 1, true);
+        const liningGeometry = new THREE.CylinderGeometry(0.9, 0.9, 3, 32, 1, true);
+        
+        this.colorways.forEach(({ color, lining, label }, i) => {
+            const colorway = new THREE.Group();
+            colorway.position.copy(this.getColorwayPosition(i, this.colorways.length));
+            
+            const cylinder = new THREE.Mesh(cylinderGeometry.clone(), this.createColorwayMaterial(color, false));
+            cylinder.userData.isLining = false;
+            colorway.add(cylinder);
+            
+            if (lining) {
+                const liningMesh = new THREE.Mesh(liningGeometry.clone(), this.createColorwayMaterial(lining, true));
+                liningMesh.userData.isLining = true;
+                colorway.add(liningMesh);
+            }
+            
+            const labelSprite = this.createColorwayLabel(label || `#${color.getHexString().toUpperCase()}`);
+            labelSprite.position.set(0, 1.9, 0);
+            colorway.add(labelSprite);
+            
+            this.colorwayGroup.add(colorway);
+        });
+        
+        cylinderGeometry.dispose();
+        liningGeometry.dispose();
+        
+        this.colorwayGroup.traverse(object => object.layers.set(COLORWAY_LAYER));
+        this.scene.add(this.colorwayGroup);
+    }
+    
+    /**
+     * Creates a material for a colorway cylinder or lining matching the current display mode
+     * @param {THREE.Color} color - The colorway or lining color
+     * @param {boolean} isLining - Whether the material is for the lining
+     * @returns {THREE.Material} The material to use
+     */
+    createColorwayMaterial(color, isLining) {
+        if (this.displayMode === 'knit-pattern') {
+            return new THREE.MeshBasicMaterial({
+                color: color,
+                wireframe: true,
+                side: THREE.DoubleSide
+            });
+        }
+        
+        const isTransparent = this.displayMode === 'semi-transparent';
+        let opacity = 1.0;
+        if (isTransparent) {
+            // Linings are always more transparent than their cylinder
+            opacity = isLining ? Math.max(0.05, this.transparencyLevel * 0.5) : this.transparencyLevel;
+        }
+        
+        const material = this.createTCSMaterial(color, isTransparent, opacity);
+        if (isLining) {
+            material.side = THREE.BackSide;
+        }
+        return material;
+    }
+    
+    /**
+     * Creates a text label sprite that floats above a colorway cylinder
+     * @param {string} text - The label
+     * @returns {THREE.Sprite} The label sprite
+     */
+    createColorwayLabel(text) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 64;
+        
+        const context = canvas.getContext('2d');
+        context.fillStyle = 'rgba(40, 40, 40, 0.85)';
+        context.beginPath();
+        context.roundRect(0, 0, canvas.width, canvas.height, 12);
+        context.fill();
+        
+        // Shrink long labels to fit the pill
+        let fontSize = 30;
+        context.font = `${fontSize}px sans-serif`;
+        while (fontSize > 14 && context.measureText(text).width > canvas.width - 24) {
+            fontSize -= 2;
+            context.font = `${fontSize}px sans-serif`;
+        }
+        
+        context.fillStyle = 'white';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(text, canvas.width / 2, canvas.height / 2, canvas.width - 24);
+        
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true }));
+        sprite.scale.set(1.6, 0.4, 1);
+        return sprite;
+    }
+    
+    /**
+     * Rebuilds the colorway materials after a display mode change
+     */
+    updateColorwayMaterials() {
+        if (!this.colorwayGroup) return;
+        
+        this.colorwayGroup.children.forEach((colorway, i) => {
+            colorway.children.forEach(object => {
+                if (!object.isMesh) return;
+                
+                const { color, lining } = this.colorways[i];
+                object.material.dispose();
+                object.material = this.createColorwayMaterial(object.userData.isLining ? lining : color, object.userData.isLining);
+            });
+        });
+    }
+    
+    /**
+     * Moves the camera so the whole colorway grid is in view
+     */
+    frameColorwayGrid() {
+        const count = Math.max(1, this.colorways.length);
+        const corner = this.getColorwayPosition(0, count);
+        
+        // Bounding sphere of the grid: corner distance plus the cylinder radius, and half the height plus the labels
+        const horizontal = Math.sqrt(corner.x * corner.x + corner.z * corner.z) + 1;
+        const radius = Math.sqrt(horizontal * horizontal + 2 * 2);
+        const distance = radius / Math.sin(THREE.MathUtils.degToRad(this.camera.fov / 2));
+        
+        const direction = new THREE.Vector3(0, 0.55, 0.85).normalize();
+        this.animateCameraMove(direction.multiplyScalar(distance), new THREE.Vector3(0, 0, 0));
+    }
+    
     resetCamera() {
         this.camera.position.set(0, 2, 5);
         this.camera.lookAt(0, 0, 0);
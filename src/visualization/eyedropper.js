@@ -0,0 +1,284 @@
+import * as THREE from 'three';
+import { sampleRamp } from '../color/gradient-ramp';
+import { hexToRgb, rgbToLab } from '../color/color-space';
+
+// Pointer travel (px) above which a press counts as an orbit drag, not a click
+const CLICK_TOLERANCE = 4;
+
+/**
+ * Eyedropper for the 3D view
+ *
+ * Hovering the outer cylinder, the lining, a harmony or colorway cylinder or a stem shows
+ * the color the shader computes at that point, worked out on the CPU from the
+ * same ramp and height math (so it is exact, unaffected by lighting, blending
+ * or the stem's pulse). Clicking hands the sample to the sample listeners.
+ */
+export class Eyedropper {
+    /**
+     * @param {EnhancedTCMVisualization} visualization - The visualization to sample
+     */
+    constructor(visualization) {
+        this.visualization = visualization;
+        this.enabled = false;
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.tooltip = null;
+        this.pressPosition = null;
+        this.sampleListeners = [];
+
+        const canvas = visualization.renderer.domElement;
+        canvas.addEventListener('pointerdown', (e) => {
+            this.pressPosition = { x: e.clientX, y: e.clientY };
+        });
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        canvas.addEventListener('pointerleave', () => this.hideTooltip());
+    }
+
+    /**
+     * Register a callback for pinned samples
+     * @param {Function} listener - Called with { hex, lab, height, label }
+     */
+    addSampleListener(listener) {
+        this.sampleListeners.push(listener);
+    }
+
+    /**
+     * Turns the eyedropper on or off
+     * @param {boolean} enabled - Whether hovering samples the scene
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.visualization.renderer.domElement.style.cursor = enabled ? 'crosshair' : '';
+        if (!enabled) {
+            this.hideTooltip();
+        }
+    }
+
+    /**
+     * Meshes that can be sampled, with a label for each
+     * @returns {{object: THREE.Mesh, label: string}[]} The targets
+     */
+    getTargets() {
+        const viz = this.visualization;
+        const targets = [];
+
+        if (viz.cylinder) targets.push({ object: viz.cylinder, label: 'Cylinder' });
+        if (viz.innerCylinder) targets.push({ object: viz.innerCylinder, label: 'Lining' });
+
+        if (viz.centerLine) {
+            const stems = viz.centerLine.isGroup ? viz.centerLine.children : [viz.centerLine];
+            stems.forEach(stem => {
+                // Skip the stem editor's control point handles
+                if (stem.userData.handleIndex !== undefined) return;
+                targets.push({ object: stem, label: 'Stem' });
+            });
+        }
+
+        if (viz.harmonyGroup) {
+            viz.harmonyGroup.children.forEach((mesh, i) => {
+                targets.push({ object: mesh, label: `Harmony cylinder ${i + 1}` });
+            });
+        }
+
+        if (viz.colorwayGroup) {
+            viz.colorwayGroup.children.forEach((colorway, i) => {
+                const name = viz.colorways[i].label || `Colorway ${i + 1}`;
+                colorway.children.forEach(object => {
+                    if (!object.isMesh) return;
+                    targets.push({ object, label: object.userData.isLining ? `${name} lining` : name });
+                });
+            });
+        }
+
+        return targets;
+    }
+
+    /**
+     * Whether an object and all of its parents are visible
+     * @param {THREE.Object3D} object - The object
+     * @returns {boolean} Whether it is drawn
+     */
+    isDrawn(object) {
+        for (let node = object; node; node = node.parent) {
+            if (!node.visible) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Find the sampled color under the pointer
+     * @param {PointerEvent} event - The pointer event
+     * @returns {{hex: string, lab: Object, height: number, label: string}|null} The sample, or null
+     */
+    pick(event) {
+        const viz = this.visualization;
+        const rect = viz.renderer.domElement.getBoundingClientRect();
+        this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        this.raycaster.setFromCamera(this.pointer, viz.camera);
+        this.raycaster.layers.mask = viz.camera.layers.mask;
+
+        const targets = this.getTargets().filter(target => this.isDrawn(target.object));
+        const hits = this.raycaster.intersectObjects(targets.map(target => target.object), false);
+        if (hits.length === 0) return null;
+
+        const hit = hits[0];
+        const label = targets.find(target => target.object === hit.object).label;
+        const sample = this.getShaderColor(hit);
+        if (!sample) return null;
+
+        return {
+            ...sample,
+            lab: rgbToLab(hexToRgb(sample.hex)),
+            label
+        };
+    }
+
+    /**
+     * Work out the color a mesh's shader draws at a hit point
+     * @param {THREE.Intersection} hit - The raycast hit
+     * @returns {{hex: string, height: number}|null} The color and relative height (0-1)
+     */
+    getShaderColor(hit) {
+        const viz = this.visualization;
+        const material = hit.object.material;
+        const uniforms = material.uniforms;
+
+        // Height as the shaders see it: UV v on cylinders, local y on the curved stems (which span -1.5 to 1.5)
+        const height = hit.uv && hit.object.geometry.type === 'CylinderGeometry'
+            ? hit.uv.y
+            : (hit.object.worldToLocal(hit.point.clone()).y + 1.5) / 3.0;
+        const t = Math.max(0, Math.min(1, height));
+
+        if (uniforms && uniforms.rampCount) {
+            // TCS and circular gradient materials, and stems that follow the ramp
+            let hex = sampleRamp(viz.gradientRamp, `#${uniforms.mainColor.value.getHexString()}`, t);
+
+            if (uniforms.color2 && hit.uv) {
+                // Circular gradient: fade toward the second color around the angle
+                const angle = Math.atan2(hit.uv.x - 0.5, hit.uv.y - 0.5) / (2 * Math.PI) + 0.5;
+                hex = `#${new THREE.Color(hex).lerp(uniforms.color2.value, angle * 0.5).getHexString()}`;
+            }
+
+            return { hex, height: t };
+        }
+
+        if (uniforms && uniforms.colors && uniforms.stops) {
+            // Fiber preset stem: linear blend between the stops around this height
+            const colors = uniforms.colors.value;
+            const stops = uniforms.stops.value;
+            const color = colors[0].clone();
+
+            for (let i = 0; i < stops.length - 1; i++) {
+                if (t >= stops[i]) {
+                    const span = Math.max(stops[i + 1] - stops[i], 0.0001);
+                    color.copy(colors[i]).lerp(colors[i + 1], Math.max(0, Math.min(1, (t - stops[i]) / span)));
+                }
+            }
+
+            return { hex: `#${color.getHexString()}`, height: t };
+        }
+
+        if (material.color) {
+            // Plain materials (straight stem, knit pattern) have a single color
+            return { hex: `#${material.color.getHexString()}`, height: t };
+        }
+
+        return null;
+    }
+
+    onPointerMove(event) {
+        if (!this.enabled) return;
+
+        // Leave orbiting and handle drags alone
+        if (event.buttons !== 0) {
+            this.hideTooltip();
+            return;
+        }
+
+        const sample = this.pick(event);
+        if (sample) {
+            this.showTooltip(event, sample);
+        } else {
+            this.hideTooltip();
+        }
+    }
+
+    onPointerUp(event) {
+        if (!this.enabled || event.button !== 0 || !this.pressPosition) return;
+
+        const moved = Math.hypot(event.clientX - this.pressPosition.x, event.clientY - this.pressPosition.y);
+        this.pressPosition = null;
+        if (moved > CLICK_TOLERANCE) return;
+
+        // A click on a stem editor handle isn't a sample
+        const stemEditor = this.visualization.stemEditor;
+        if (stemEditor && stemEditor.dragIndex !== null) return;
+
+        const sample = this.pick(event);
+        if (!sample) return;
+
+        this.sampleListeners.forEach(listener => {
+            try {
+                listener(sample);
+            } catch (error) {
+                console.error('Error in eyedropper sample listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Show the sampled color next to the pointer
+     * @param {PointerEvent} event - The pointer event
+     * @param {Object} sample - The sample from pick()
+     */
+    showTooltip(event, sample) {
+        const container = document.getElementById('visualization');
+        if (!container) return;
+
+        if (!this.tooltip) {
+            this.tooltip = document.createElement('div');
+            this.tooltip.style.position = 'absolute';
+            this.tooltip.style.display = 'flex';
+            this.tooltip.style.alignItems = 'center';
+            this.tooltip.style.gap = '6px';
+            this.tooltip.style.backgroundColor = 'rgba(40, 40, 40, 0.85)';
+            this.tooltip.style.color = 'white';
+            this.tooltip.style.padding = '4px 8px';
+            this.tooltip.style.borderRadius = '4px';
+            this.tooltip.style.fontSize = '12px';
+            this.tooltip.style.fontFamily = 'monospace';
+            this.tooltip.style.whiteSpace = 'nowrap';
+            this.tooltip.style.pointerEvents = 'none';
+
+            this.tooltipSwatch = document.createElement('span');
+            this.tooltipSwatch.style.display = 'inline-block';
+            this.tooltipSwatch.style.width = '14px';
+            this.tooltipSwatch.style.height = '14px';
+            this.tooltipSwatch.style.borderRadius = '2px';
+            this.tooltipSwatch.style.border = '1px solid white';
+
+            this.tooltipText = document.createElement('span');
+
+            this.tooltip.appendChild(this.tooltipSwatch);
+            this.tooltip.appendChild(this.tooltipText);
+            container.parentElement.appendChild(this.tooltip);
+        }
+
+        const { hex, lab, height, label } = sample;
+        this.tooltipSwatch.style.backgroundColor = hex;
+        this.tooltipText.textContent = `${label} · ${hex.toUpperCase()} · L*${lab.l.toFixed(1)} a*${lab.a.toFixed(1)} b*${lab.b.toFixed(1)} · ${(height * 100).toFixed(0)}%`;
+
+        const parentRect = container.parentElement.getBoundingClientRect();
+        this.tooltip.style.left = `${event.clientX - parentRect.left + 14}px`;
+        this.tooltip.style.top = `${event.clientY - parentRect.top + 14}px`;
+        this.tooltip.style.display = 'flex';
+    }
+
+    hideTooltip() {
+        if (this.tooltip) {
+            this.tooltip.style.display = 'none';
+        }
+    }
+}
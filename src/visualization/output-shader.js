@@ -0,0 +1,27 @@
+/**
+ * GLSL for writing shader colors to the display
+ *
+ * THREE.Color values (and the ramp mixed from them) are linear light. With
+ * color management on, toOutputColor encodes them for the renderer's output
+ * color space (sRGB), so a stop showing the entered color renders exactly
+ * that hex. With it off the linear values are written as-is, which is how the
+ * original shaders drew (darker mid-tones than the entered color).
+ */
+export const OUTPUT_SHADER_CHUNK = `
+    uniform float colorManaged;
+
+    vec4 toOutputColor(vec4 color) {
+        return colorManaged > 0.5 ? linearToOutputTexel(color) : color;
+    }
+`;
+
+/**
+ * Create the uniforms used by OUTPUT_SHADER_CHUNK
+ * @param {boolean} colorManaged - Whether to encode the output for the display
+ * @returns {Object} Uniforms to spread into a ShaderMaterial's uniforms
+ */
+export function createOutputUniforms(colorManaged) {
+    return {
+        colorManaged: { value: colorManaged ? 1.0 : 0.0 }
+    };
+}
@@ -0,0 +1,143 @@
+import * as THREE from 'three';
+import { MAX_RAMP_STOPS, RAMP_EASINGS, RAMP_SPACES } from '../color/gradient-ramp';
+
+/**
+ * GLSL for sampling a gradient ramp (see color/gradient-ramp.js)
+ *
+ * Materials that include this chunk get the ramp uniforms from
+ * createRampUniforms and call sampleRamp(t, baseColor) with t from 0 (bottom)
+ * to 1 (top). Colors are in linear light, like THREE.Color values.
+ */
+export const RAMP_SHADER_CHUNK = `
+    #define MAX_RAMP_STOPS ${MAX_RAMP_STOPS}
+
+    uniform vec3 rampColors[MAX_RAMP_STOPS];
+    uniform float rampTints[MAX_RAMP_STOPS];
+    uniform float rampUseBase[MAX_RAMP_STOPS];
+    uniform float rampPositions[MAX_RAMP_STOPS];
+    uniform float rampEasings[MAX_RAMP_STOPS];
+    uniform int rampCount;
+    uniform int rampSpace;
+
+    vec3 rampLinearToSrgb(vec3 c) {
+        return mix(c * 12.92, 1.055 * pow(max(c, vec3(0.0)), vec3(1.0 / 2.4)) - 0.055, step(vec3(0.0031308), c));
+    }
+
+    vec3 rampSrgbToLinear(vec3 c) {
+        return mix(c / 12.92, pow(max((c + 0.055) / 1.055, vec3(0.0)), vec3(2.4)), step(vec3(0.04045), c));
+    }
+
+    vec3 rampLinearToOklab(vec3 c) {
+        vec3 lms = vec3(
+            0.4122214708 * c.r + 0.5363325363 * c.g + 0.0514459929 * c.b,
+            0.2119034982 * c.r + 0.6806995451 * c.g + 0.1073969566 * c.b,
+            0.0883024619 * c.r + 0.2817188376 * c.g + 0.6299787005 * c.b
+        );
+        lms = sign(lms) * pow(abs(lms), vec3(1.0 / 3.0));
+        return vec3(
+            0.2104542553 * lms.x + 0.7936177850 * lms.y - 0.0040720468 * lms.z,
+            1.9779984951 * lms.x - 2.4285922050 * lms.y + 0.4505937099 * lms.z,
+            0.0259040371 * lms.x + 0.7827717662 * lms.y - 0.8086757660 * lms.z
+        );
+    }
+
+    vec3 rampOklabToLinear(vec3 c) {
+        vec3 lms = vec3(
+            c.x + 0.3963377774 * c.y + 0.2158037573 * c.z,
+            c.x - 0.1055613458 * c.y - 0.0638541728 * c.z,
+            c.x - 0.0894841775 * c.y - 1.2914855480 * c.z
+        );
+        lms = lms * lms * lms;
+        return vec3(
+            4.0767416621 * lms.x - 3.3077115913 * lms.y + 0.2309699292 * lms.z,
+            -1.2684380046 * lms.x + 2.6097574011 * lms.y - 0.3413193965 * lms.z,
+            -0.0041960863 * lms.x - 0.7034186147 * lms.y + 1.7076147010 * lms.z
+        );
+    }
+
+    vec3 toRampSpace(vec3 c) {
+        if (rampSpace == 0) return rampLinearToSrgb(c);
+        if (rampSpace == 2) return rampLinearToOklab(c);
+        return c;
+    }
+
+    vec3 fromRampSpace(vec3 c) {
+        if (rampSpace == 0) return rampSrgbToLinear(c);
+        if (rampSpace == 2) return rampOklabToLinear(c);
+        return c;
+    }
+
+    // Shade stops follow the base color toward black (tint < 0) or white (tint > 0)
+    vec3 rampStopColor(int i, vec3 baseColor) {
+        if (rampUseBase[i] < 0.5) return rampColors[i];
+        float tint = rampTints[i];
+        return tint < 0.0 ? mix(baseColor, vec3(0.0), -tint) : mix(baseColor, vec3(1.0), tint);
+    }
+
+    float rampEase(float t, float easing) {
+        if (easing < 0.5) return t;                          // linear
+        if (easing < 1.5) return t * t;                      // ease-in
+        if (easing < 2.5) return t * (2.0 - t);              // ease-out
+        if (easing < 3.5) return t * t * (3.0 - 2.0 * t);    // ease-in-out
+        return t >= 1.0 ? 1.0 : 0.0;                         // step
+    }
+
+    vec3 sampleRamp(float t, vec3 baseColor) {
+        vec3 color = rampStopColor(0, baseColor);
+
+        // Blend between the two stops surrounding this point
+        for (int i = 0; i < MAX_RAMP_STOPS - 1; i++) {
+            if (i + 1 >= rampCount) break;
+            if (t >= rampPositions[i]) {
+                float span = max(rampPositions[i + 1] - rampPositions[i], 0.0001);
+                float local = rampEase(clamp((t - rampPositions[i]) / span, 0.0, 1.0), rampEasings[i]);
+                color = fromRampSpace(mix(
+                    toRampSpace(rampStopColor(i, baseColor)),
+                    toRampSpace(rampStopColor(i + 1, baseColor)),
+                    local
+                ));
+            }
+        }
+
+        return max(color, vec3(0.0));
+    }
+`;
+
+/**
+ * Create the uniforms used by RAMP_SHADER_CHUNK
+ * @param {Object} ramp - The ramp to load
+ * @returns {Object} Uniforms to spread into a ShaderMaterial's uniforms
+ */
+export function createRampUniforms(ramp) {
+    const uniforms = {
+        rampColors: { value: Array.from({ length: MAX_RAMP_STOPS }, () => new THREE.Color()) },
+        rampTints: { value: new Array(MAX_RAMP_STOPS).fill(0) },
+        rampUseBase: { value: new Array(MAX_RAMP_STOPS).fill(1) },
+        rampPositions: { value: new Array(MAX_RAMP_STOPS).fill(1) },
+        rampEasings: { value: new Array(MAX_RAMP_STOPS).fill(0) },
+        rampCount: { value: 0 },
+        rampSpace: { value: 1 }
+    };
+    updateRampUniforms(uniforms, ramp);
+    return uniforms;
+}
+
+/**
+ * Load a ramp into existing ramp uniforms
+ * @param {Object} uniforms - A material's uniforms (created with createRampUniforms)
+ * @param {Object} ramp - The ramp to load
+ */
+export function updateRampUniforms(uniforms, ramp) {
+    ramp.stops.forEach((stop, i) => {
+        if (stop.color) {
+            uniforms.rampColors.value[i].set(stop.color);
+        }
+        uniforms.rampUseBase.value[i] = stop.color ? 0 : 1;
+        uniforms.rampTints.value[i] = stop.tint;
+        uniforms.rampPositions.value[i] = stop.position;
+        uniforms.rampEasings.value[i] = Math.max(0, RAMP_EASINGS.findIndex(e => e.id === stop.easing));
+    });
+
+    uniforms.rampCount.value = ramp.stops.length;
+    uniforms.rampSpace.value = Math.max(0, RAMP_SPACES.findIndex(s => s.id === ramp.space));
+}
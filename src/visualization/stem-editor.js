@@ -0,0 +1,256 @@
+import * as THREE from 'three';
+
+// Inner radius of the lining; handles can't be dragged past it
+export const MAX_STEM_RADIUS = 0.9;
+
+// Smallest vertical gap kept between neighbouring control points
+export const MIN_POINT_GAP = 0.1;
+
+/**
+ * Drag handles for the curved stem's control points
+ *
+ * Handles are drawn for the 3 o'clock stem. Every handle moves within the
+ * stem's vertical plane: the inner points can change height (staying between
+ * their neighbours) and offset, the end points only their offset. Edits are
+ * handed to the visualization, which rebuilds every stem from them.
+ */
+export class StemEditor {
+    /**
+     * @param {EnhancedTCMVisualization} visualization - The visualization to edit
+     */
+    constructor(visualization) {
+        this.visualization = visualization;
+        this.enabled = false;
+        this.handles = [];
+        this.dragIndex = null;
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.tooltip = null;
+
+        // Capture phase so a handle grab disables OrbitControls before it sees the event
+        const canvas = visualization.renderer.domElement;
+        canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e), { capture: true });
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        canvas.addEventListener('pointerleave', () => {
+            if (this.dragIndex === null) this.hideTooltip();
+        });
+        window.addEventListener('pointerup', () => this.onPointerUp());
+    }
+
+    /**
+     * Turns handle editing on or off
+     * @param {boolean} enabled - Whether the handles are shown and draggable
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.endDrag();
+            this.hideTooltip();
+            this.handles = [];
+        }
+    }
+
+    /**
+     * Adds a handle for each control point to a freshly built stem group
+     * @param {THREE.Group} stemGroup - The stem group created by createCurvedStem
+     */
+    addHandles(stemGroup) {
+        const { stemShape, stemMaxOffset } = this.visualization;
+
+        this.handles = stemShape.heights.map((height, i) => {
+            const isEnd = i === 0 || i === stemShape.heights.length - 1;
+            const active = i === this.dragIndex;
+
+            const handle = new THREE.Mesh(
+                new THREE.SphereGeometry(isEnd ? 0.05 : 0.07, 16, 12),
+                new THREE.MeshBasicMaterial({
+                    color: active ? 0xffcc00 : (isEnd ? 0x999999 : 0xffffff),
+                    depthTest: false,
+                    transparent: true,
+                    opacity: 0.9
+                })
+            );
+
+            // Draw on top of the cylinder so handles stay reachable
+            handle.renderOrder = 999;
+            handle.position.set(stemMaxOffset * stemShape.offsets[i], height, 0);
+            handle.userData.handleIndex = i;
+
+            stemGroup.add(handle);
+            return handle;
+        });
+    }
+
+    /**
+     * Update the normalized pointer position from a pointer event
+     * @param {PointerEvent} event - The pointer event
+     */
+    updatePointer(event) {
+        const rect = this.visualization.renderer.domElement.getBoundingClientRect();
+        this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        this.raycaster.setFromCamera(this.pointer, this.visualization.camera);
+        this.raycaster.layers.mask = this.visualization.camera.layers.mask;
+    }
+
+    /**
+     * Find the handle under the pointer
+     * @param {PointerEvent} event - The pointer event
+     * @returns {number|null} The control point index, or null
+     */
+    pickHandle(event) {
+        if (this.handles.length === 0) return null;
+
+        this.updatePointer(event);
+        const hits = this.raycaster.intersectObjects(this.handles, false);
+        return hits.length > 0 ? hits[0].object.userData.handleIndex : null;
+    }
+
+    /**
+     * Intersect the pointer ray with the stem's vertical plane
+     * @param {PointerEvent} event - The pointer event
+     * @returns {THREE.Vector3|null} The point in stem (group) coordinates
+     */
+    getStemPlanePoint(event) {
+        const stemGroup = this.visualization.centerLine;
+        if (!stemGroup) return null;
+
+        this.updatePointer(event);
+        stemGroup.updateMatrixWorld();
+
+        // The 3 o'clock stem lies in the group's local XY plane
+        const normal = new THREE.Vector3(0, 0, 1).transformDirection(stemGroup.matrixWorld);
+        const origin = new THREE.Vector3().setFromMatrixPosition(stemGroup.matrixWorld);
+        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, origin);
+
+        const hit = new THREE.Vector3();
+        if (!this.raycaster.ray.intersectPlane(plane, hit)) return null;
+
+        return stemGroup.worldToLocal(hit);
+    }
+
+    onPointerDown(event) {
+        if (!this.enabled || event.button !== 0) return;
+
+        const index = this.pickHandle(event);
+        if (index === null) return;
+
+        // Keep the camera still while a handle is being dragged
+        this.dragIndex = index;
+        this.visualization.controls.enabled = false;
+        this.visualization.renderer.domElement.style.cursor = 'grabbing';
+        this.visualization.renderer.domElement.setPointerCapture(event.pointerId);
+        event.preventDefault();
+
+        this.showTooltip(event, index);
+    }
+
+    onPointerMove(event) {
+        if (!this.enabled) return;
+
+        if (this.dragIndex === null) {
+            // Hover feedback
+            const index = this.pickHandle(event);
+            this.visualization.renderer.domElement.style.cursor = index === null ? '' : 'grab';
+            if (index === null) {
+                this.hideTooltip();
+            } else {
+                this.showTooltip(event, index);
+            }
+            return;
+        }
+
+        const point = this.getStemPlanePoint(event);
+        if (!point) return;
+
+        const viz = this.visualization;
+        const index = this.dragIndex;
+        const shape = {
+            heights: viz.stemShape.heights.slice(),
+            offsets: viz.stemShape.offsets.slice()
+        };
+
+        // Offset: along the stem's outward direction, inside the lining
+        const radius = Math.max(0, Math.min(MAX_STEM_RADIUS, point.x));
+        shape.offsets[index] = viz.stemMaxOffset > 0 ? radius / viz.stemMaxOffset : 0;
+
+        // Height: end points stay at the cylinder ends, inner points between their neighbours
+        const last = shape.heights.length - 1;
+        if (index > 0 && index < last) {
+            const min = shape.heights[index - 1] + MIN_POINT_GAP;
+            const max = shape.heights[index + 1] - MIN_POINT_GAP;
+            shape.heights[index] = Math.max(min, Math.min(max, point.y));
+        }
+
+        viz.setEditedStemShape(shape, false);
+        this.showTooltip(event, index);
+    }
+
+    onPointerUp() {
+        if (this.dragIndex === null) return;
+
+        this.endDrag();
+        this.hideTooltip();
+
+        // Let other panels know once the edit is finished
+        this.visualization._notifyChange('stem');
+    }
+
+    /**
+     * Stop dragging and give the camera back to OrbitControls
+     */
+    endDrag() {
+        if (this.dragIndex === null) return;
+
+        this.dragIndex = null;
+        this.visualization.controls.enabled = true;
+        this.visualization.renderer.domElement.style.cursor = '';
+
+        // Redraw the handles without the drag highlight
+        if (this.visualization.useCurvedStem) {
+            this.visualization.createCurvedStem();
+        }
+    }
+
+    /**
+     * Show the height and offset of a control point next to the pointer
+     * @param {PointerEvent} event - The pointer event
+     * @param {number} index - The control point index
+     */
+    showTooltip(event, index) {
+        const container = document.getElementById('visualization');
+        if (!container) return;
+
+        if (!this.tooltip) {
+            this.tooltip = document.createElement('div');
+            this.tooltip.style.position = 'absolute';
+            this.tooltip.style.backgroundColor = 'rgba(40, 40, 40, 0.85)';
+            this.tooltip.style.color = 'white';
+            this.tooltip.style.padding = '4px 8px';
+            this.tooltip.style.borderRadius = '4px';
+            this.tooltip.style.fontSize = '12px';
+            this.tooltip.style.fontFamily = 'monospace';
+            this.tooltip.style.whiteSpace = 'nowrap';
+            this.tooltip.style.pointerEvents = 'none';
+            container.parentElement.appendChild(this.tooltip);
+        }
+
+        const { stemShape, stemMaxOffset } = this.visualization;
+        const heightPercent = ((stemShape.heights[index] + 1.5) / 3) * 100;
+        const offset = stemMaxOffset * stemShape.offsets[index];
+        const isEnd = index === 0 || index === stemShape.heights.length - 1;
+
+        this.tooltip.textContent = `Point ${index + 1}: height ${heightPercent.toFixed(0)}%${isEnd ? ' (fixed)' : ''}, offset ${offset.toFixed(2)}`;
+
+        const parentRect = container.parentElement.getBoundingClientRect();
+        this.tooltip.style.left = `${event.clientX - parentRect.left + 14}px`;
+        this.tooltip.style.top = `${event.clientY - parentRect.top + 14}px`;
+        this.tooltip.style.display = 'block';
+    }
+
+    hideTooltip() {
+        if (this.tooltip) {
+            this.tooltip.style.display = 'none';
+        }
+    }
+}
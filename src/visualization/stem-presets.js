@@ -0,0 +1,300 @@
+/**
+ * Fiber presets for the curved stem
+ *
+ * Each preset describes the stem's five control points, bottom to top:
+ * - heights: y position of each point (the cylinder spans -1.5 to 1.5)
+ * - offsets: distance from the center axis, scaled by the stem curvature slider
+ * - shades: stop color relative to the main color, from -1 (black) through
+ *   0 (the color itself) to 1 (white)
+ * - curveType / tension: how the Catmull-Rom spline passes through the points
+ *   (tension only applies to the 'catmullrom' type; higher is rounder)
+ *
+ * The standard preset reproduces the original stem: black, 30% color,
+ * full color, 70% toward white, white at evenly spaced heights.
+ */
+
+import { MAX_STEM_RADIUS, MIN_POINT_GAP } from './stem-editor';
+
+const FIBER_PRESETS_BASE = [
+    {
+        id: 'standard',
+        label: 'Standard',
+        description: 'Evenly spaced reference curve',
+        heights: [-1.5, -0.75, 0, 0.75, 1.5],
+        offsets: [0, 0.5, 1, 0.5, 0],
+        shades: [-1, -0.7, 0, 0.7, 1],
+        curveType: 'centripetal',
+        tension: 0.5
+    },
+    {
+        id: 'cotton',
+        label: 'Cotton',
+        description: 'Absorbent and matte; the full color sits low and lightens slowly',
+        heights: [-1.5, -0.9, -0.15, 0.7, 1.5],
+        offsets: [0, 0.6, 1, 0.45, 0],
+        shades: [-1, -0.65, 0, 0.6, 1],
+        curveType: 'catmullrom',
+        tension: 0.5
+    },
+    {
+        id: 'polyester',
+        label: 'Polyester',
+        description: 'Smooth synthetic with a bright, high-sitting peak',
+        heights: [-1.5, -0.6, 0.15, 0.9, 1.5],
+        offsets: [0, 0.35, 0.85, 0.55, 0],
+        shades: [-1, -0.75, 0, 0.75, 1],
+        curveType: 'catmullrom',
+        tension: 0.35
+    },
+    {
+        id: 'wool',
+        label: 'Wool',
+        description: 'Lofty, scattering fiber with a broad, soft curve',
+        heights: [-1.5, -0.8, -0.05, 0.8, 1.5],
+        offsets: [0, 0.7, 1, 0.7, 0],
+        shades: [-1, -0.6, 0, 0.6, 1],
+        curveType: 'catmullrom',
+        tension: 0.65
+    },
+    {
+        id: 'silk',
+        label: 'Silk',
+        description: 'Lustrous filament; saturated mid-tones with strong highlights',
+        heights: [-1.5, -0.7, 0.1, 0.65, 1.5],
+        offsets: [0, 0.4, 0.9, 0.6, 0],
+        shades: [-1, -0.75, 0, 0.8, 1],
+        curveType: 'catmullrom',
+        tension: 0.4
+    },
+    {
+        id: 'nylon',
+        label: 'Nylon',
+        description: 'Dense synthetic with deep, even uptake',
+        heights: [-1.5, -0.7, 0.05, 0.85, 1.5],
+        offsets: [0, 0.45, 0.95, 0.5, 0],
+        shades: [-1, -0.72, 0, 0.72, 1],
+        curveType: 'catmullrom',
+        tension: 0.55
+    }
+];
+
+/**
+ * Mix two presets, e.g. for fiber blends
+ * @param {string} id - The blend preset id
+ * @param {string} label - The blend label
+ * @param {string} firstId - The main fiber
+ * @param {string} secondId - The secondary fiber
+ * @param {number} weight - Share of the main fiber (0-1)
+ * @returns {Object} The blended preset
+ */
+function blendPresets(id, label, firstId, secondId, weight) {
+    const first = FIBER_PRESETS_BASE.find(preset => preset.id === firstId);
+    const second = FIBER_PRESETS_BASE.find(preset => preset.id === secondId);
+    const mix = (a, b) => a * weight + b * (1 - weight);
+
+    return {
+        id,
+        label,
+        description: `${Math.round(weight * 100)}/${Math.round((1 - weight) * 100)} ${first.label.toLowerCase()}/${second.label.toLowerCase()} blend`,
+        heights: first.heights.map((h, i) => mix(h, second.heights[i])),
+        offsets: first.offsets.map((o, i) => mix(o, second.offsets[i])),
+        shades: first.shades.map((s, i) => mix(s, second.shades[i])),
+        curveType: 'catmullrom',
+        tension: mix(first.tension, second.tension)
+    };
+}
+
+// All presets in the order they appear in the UI
+export const FIBER_PRESETS = [
+    ...FIBER_PRESETS_BASE,
+    blendPresets('poly-cotton', 'Poly-Cotton (65/35)', 'polyester', 'cotton', 0.65),
+    blendPresets('wool-nylon', 'Wool-Nylon (80/20)', 'wool', 'nylon', 0.8)
+];
+
+export const DEFAULT_FIBER_PRESET = 'standard';
+
+// Lowest setting of the stem curvature slider
+export const MIN_STEM_OFFSET = 0.1;
+
+// Control point heights span the cylinder
+const STEM_HEIGHT_RANGE = 1.5;
+
+// Largest control point offset: a handle dragged out to the lining with the curvature slider at its lowest
+const MAX_SHAPE_OFFSET = MAX_STEM_RADIUS / MIN_STEM_OFFSET;
+
+// Slack on the point gap for heights rounded in a hand-written file
+const GAP_TOLERANCE = 1e-3;
+
+// Spline types a profile can use (see THREE.CatmullRomCurve3)
+const STEM_CURVE_TYPES = ['centripetal', 'chordal', 'catmullrom'];
+
+// localStorage key for stem profiles saved from the control point editor
+const CUSTOM_PRESETS_KEY = 'tcs-stem-profiles';
+
+/**
+ * Check stem control points from outside the app
+ * Heights run up the cylinder in order, at least the editor's point gap apart
+ * (equal heights would make degenerate geometry); offsets can reach past 1 when handles
+ * were dragged with the curvature slider turned down
+ * @param {*} value - The candidate shape
+ * @returns {boolean} Whether the shape can be drawn
+ */
+export function isValidStemShape(value) {
+    const isNumberIn = (min, max) => item => typeof item === 'number' && Number.isFinite(item) && item >= min && item <= max;
+
+    return Boolean(value) && Array.isArray(value.heights) && Array.isArray(value.offsets) &&
+        value.heights.length >= 2 && value.heights.length === value.offsets.length &&
+        value.heights.every(isNumberIn(-STEM_HEIGHT_RANGE, STEM_HEIGHT_RANGE)) &&
+        value.heights.every((height, i) => i === 0 || height - value.heights[i - 1] >= MIN_POINT_GAP - GAP_TOLERANCE) &&
+        value.offsets.every(isNumberIn(0, MAX_SHAPE_OFFSET));
+}
+
+/**
+ * Check a custom stem profile read from storage or a settings file
+ * @param {*} profile - The candidate profile
+ * @returns {boolean} Whether it can be used as a fiber preset
+ */
+export function isValidStemProfile(profile) {
+    return Boolean(profile) &&
+        typeof profile.id === 'string' && profile.id.startsWith('custom-') &&
+        typeof profile.label === 'string' && profile.label.trim().length > 0 &&
+        typeof profile.description === 'string' &&
+        isValidStemShape(profile) && profile.heights.length === 5 &&
+        Array.isArray(profile.shades) && profile.shades.length === 5 &&
+        profile.shades.every(shade => typeof shade === 'number' && shade >= -1 && shade <= 1) &&
+        STEM_CURVE_TYPES.includes(profile.curveType) &&
+        typeof profile.tension === 'number' && profile.tension >= 0 && profile.tension <= 1;
+}
+
+/**
+ * Read the saved custom stem profiles
+ * Damaged entries are left out so they can't break stem creation
+ * @returns {Object[]} The custom presets
+ */
+function loadCustomPresets() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CUSTOM_PRESETS_KEY) || '[]');
+        if (!Array.isArray(saved)) return [];
+
+        const valid = saved.filter(isValidStemProfile);
+        if (valid.length < saved.length) {
+            console.error(`Skipped ${saved.length - valid.length} damaged custom stem profile(s)`);
+        }
+        return valid.map(preset => ({ ...preset, custom: true }));
+    } catch (error) {
+        console.error('Error loading custom stem profiles:', error);
+        return [];
+    }
+}
+
+// Custom profiles, listed after the built-in presets
+const customPresets = loadCustomPresets();
+
+/**
+ * Get the built-in presets followed by the saved custom profiles
+ * @returns {Object[]} All presets
+ */
+export function getAllFiberPresets() {
+    return [...FIBER_PRESETS, ...customPresets];
+}
+
+/**
+ * Look up a fiber preset by id
+ * @param {string} id - One of the preset ids (built-in or custom)
+ * @returns {Object} The preset (the standard preset for unknown ids)
+ */
+export function getFiberPreset(id) {
+    return getAllFiberPresets().find(preset => preset.id === id) ||
+        FIBER_PRESETS.find(preset => preset.id === DEFAULT_FIBER_PRESET);
+}
+
+/**
+ * Save edited control points as a named custom profile
+ * Shades and curve settings are taken from the preset the edit started from;
+ * saving under an existing custom name replaces that profile
+ * @param {string} name - The profile name
+ * @param {string} basePresetId - The preset the edit started from
+ * @param {{heights: number[], offsets: number[]}} shape - The edited control points
+ * @returns {Object} The saved preset
+ */
+export function saveCustomPreset(name, basePresetId, shape) {
+    const base = getFiberPreset(basePresetId);
+    const label = name.trim();
+    const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || String(Date.now());
+
+    const preset = {
+        id: `custom-${slug}`,
+        label,
+        description: `Custom profile based on ${base.label}`,
+        heights: shape.heights.slice(),
+        offsets: shape.offsets.slice(),
+        shades: base.shades.slice(),
+        curveType: base.curveType,
+        tension: base.tension,
+        custom: true
+    };
+
+    const existing = customPresets.findIndex(p => p.id === preset.id);
+    if (existing >= 0) {
+        customPresets[existing] = preset;
+    } else {
+        customPresets.push(preset);
+    }
+
+    localStorage.setItem(CUSTOM_PRESETS_KEY, JSON.stringify(customPresets));
+    return preset;
+}
+
+/**
+ * Add custom stem profiles from a settings file
+ * A profile with the same id as a saved one replaces it
+ * @param {Object[]} presets - Complete profiles ({ id, label, description, heights, offsets, shades, curveType, tension })
+ */
+export function importCustomPresets(presets) {
+    presets.forEach(imported => {
+        const preset = { ...imported, custom: true };
+        const existing = customPresets.findIndex(p => p.id === preset.id);
+        if (existing >= 0) {
+            customPresets[existing] = preset;
+        } else {
+            customPresets.push(preset);
+        }
+    });
+
+    localStorage.setItem(CUSTOM_PRESETS_KEY, JSON.stringify(customPresets));
+}
+
+/**
+ * Work out a stem shape from a color's chroma and lightness
+ *
+ * Saturated colors bulge further from the axis than dull ones, and the
+ * full-color stop moves up for light colors and down for dark ones. The other
+ * two inner points keep their relative spacing from the preset.
+ *
+ * @param {Object} preset - The fiber preset to start from
+ * @param {{l: number, c: number}} lch - The color's CIE LCh lightness and chroma
+ * @returns {{heights: number[], offsets: number[]}} The adjusted control points
+ */
+export function getColorDrivenShape(preset, { l, c }) {
+    const offsetScale = 0.35 + 0.9 * Math.min(1.25, Math.max(0, c) / 80);
+
+    const [bottom, lower, middle, upper, top] = preset.heights;
+
+    // Keep the full-color stop clear of the ends, so the points either side have room
+    const shifted = Math.max(-1.0, Math.min(1.0, middle + ((l - 50) / 50) * 0.75));
+    const newMiddle = Math.max(bottom + 2 * MIN_POINT_GAP, Math.min(top - 2 * MIN_POINT_GAP, shifted));
+
+    // Where an inner point sits between its neighbours (halfway if they coincide)
+    const share = (from, to, point) => (to > from ? (point - from) / (to - from) : 0.5);
+
+    return {
+        heights: [
+            bottom,
+            bottom + share(bottom, middle, lower) * (newMiddle - bottom),
+            newMiddle,
+            newMiddle + share(middle, top, upper) * (top - newMiddle),
+            top
+        ],
+        offsets: preset.offsets.map(offset => offset * offsetScale)
+    };
+}